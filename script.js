@@ -1,6 +1,7 @@
 import { createFullESP32Assembly } from './esp32-assembly.js';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 
 // --- SCENE & ANIMATION VARS ---
 let scene, camera, renderer, controls;
@@ -40,7 +41,7 @@ let robot_arm, furnace;
 let automationRunning = false;
 let totalParcelsToProcess = 10;
 let stopAllAutomation = false; // Global flag to stop everything
-let boxCount = 0; // Track number of boxes processed
+let boxCount = 0; // Good parcels this shift, only ever set from the bridge's production counters
 let currentParcel = null; // Track current parcel being processed
 let currentCargo = null; // Track current cargo vehicle
 
@@ -65,141 +66,693 @@ const robotSetupConfig = {
 const furnaceExitPosition = new THREE.Vector3(-5, 0.05, -7);
 
 
-// --- ANIMATION STATE MACHINE (Door Entry) ---
-let state = {
-    authorized: false,
-    mainDoorOpen: false,
-    mainDoorClosed: false,
-    smallDoorOpen: false,
-    smallDoorClosed: false,
-    sequenceComplete: false
-};
+// --- DOOR PAIRS (one airlock per door configured on the bridge) ---
+// The primary door is built with the room; further bays are added from GET /doors.
+// mainDoor/smallDoor above always point at the primary pair (door preview, blueprint).
+const PRIMARY_DOOR = { id: 'main', name: 'Molding Station Airlock', twin: { x: 0, z: 0, rotationY: 0 } };
+const doorPairs = new Map(); // door id → { id, name, group, mainDoor, smallDoor, sequence, lastStatus, sensorDriven, leaves, violation }
+const DOOR_OPEN_ANGLE = Math.PI / 2;
+const interlockViolationMaterial = new THREE.MeshStandardMaterial({ color: 0xff2222, emissive: 0xff0000, emissiveIntensity: 0.6 });
+
+// --- ANIMATION STATE MACHINE (Door Entry, one per door pair) ---
+function createDoorSequenceState() {
+    return {
+        authorized: false,
+        mainDoorOpen: false,
+        mainDoorClosed: false,
+        smallDoorOpen: false,
+        smallDoorClosed: false,
+        sequenceComplete: false
+    };
+}
 
 // --- BACKEND COMMUNICATION ---
-const DOOR_API_URL = 'http://localhost:5000/door-status';
+const DOORS_API_URL = 'http://localhost:5000/doors';
 const ROBOT_API_URL = 'http://localhost:5000/robot-status';
-const RESET_DOOR_API_URL = 'http://localhost:5000/reset-door-status';
+const ROBOT_COMMAND_API_URL = 'http://localhost:5000/commands/robot';
+const AUTH_LOGIN_API_URL = 'http://localhost:5000/auth/login';
+const AUTH_ME_API_URL = 'http://localhost:5000/auth/me';
+const AUDIT_API_URL = 'http://localhost:5000/audit';
+const PRODUCTION_API_URL = 'http://localhost:5000/production';
+const EVENTS_API_URL = 'http://localhost:5000/events';
+const NODES_API_URL = 'http://localhost:5000/nodes';
+const ALARMS_API_URL = 'http://localhost:5000/alarms';
+const TELEMETRY_API_URL = 'http://localhost:5000/telemetry';
+const RULES_API_URL = 'http://localhost:5000/rules';
+const DEVICES_API_URL = 'http://localhost:5000/devices';
+
+// --- AUTHENTICATION ---
+// The bridge requires a bearer token on every REST call and socket connection.
+// Roles: viewer (watch only), operator (robot commands + door reset), admin.
+const AUTH_STORAGE_KEY = 'bridgeAuth';
+const AUTH_ROLES = ['viewer', 'operator', 'admin'];
+let authSession = JSON.parse(sessionStorage.getItem(AUTH_STORAGE_KEY) || 'null'); // { token, user, expiresAt }
+let socket = null;
+
+function hasRole(role) {
+    return Boolean(authSession) && AUTH_ROLES.indexOf(authSession.user.role) >= AUTH_ROLES.indexOf(role);
+}
+
+// fetch() with the bearer token; a 401 means the session is gone, so ask to log in again
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authSession) {
+        headers.Authorization = `Bearer ${authSession.token}`;
+    }
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        endSession('Session expired - please log in again');
+    }
+    return response;
+}
+
+function showLoginScreen(message = '') {
+    document.getElementById('login-error').textContent = message;
+    document.getElementById('login-overlay').style.display = 'flex';
+    document.getElementById('login-username').focus();
+}
+
+function startSession(session) {
+    authSession = session;
+    sessionStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+    document.getElementById('login-overlay').style.display = 'none';
+    document.getElementById('auth-user-name').textContent = `${session.user.username} (${session.user.role})`;
+    document.getElementById('auth-user').style.display = 'flex';
+
+    // Viewers can watch the twin but not drive the plant
+    autoButton.hidden = !hasRole('operator');
+    document.getElementById('kpi-reset-button').hidden = !hasRole('operator');
+    addConsoleMessage(`Logged in as ${session.user.username} (${session.user.role})`, 'system');
+    loadDoorLayout();
+    loadAuditTrail();
+    loadProduction();
+    loadDevices().then(() => {
+        loadNodeHealth();
+        startTrends();
+    });
+    loadAlarms();
+    initSocketConnection();
+}
+
+function endSession(message) {
+    if (!authSession) return;
+    authSession = null;
+    sessionStorage.removeItem(AUTH_STORAGE_KEY);
+    if (socket) {
+        socket.disconnect();
+        socket = null;
+    }
+    stopStatusPolling();
+    stopTrends();
+    applyAlarms({ summary: { unacknowledged: 0, highestUnacknowledged: null }, alarms: [] });
+    applyRules([]);
+    closeRules();
+    layoutEditor.dirty.clear();
+    closeLayoutEditor();
+    pendingAuditActions.length = 0;
+    document.getElementById('auth-user').style.display = 'none';
+    addConsoleMessage(message, 'warn');
+    showLoginScreen(message);
+}
+
+async function handleLoginSubmit(event) {
+    event.preventDefault();
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+    const errorDiv = document.getElementById('login-error');
+    errorDiv.textContent = '';
+    try {
+        const response = await fetch(AUTH_LOGIN_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            errorDiv.textContent = data.error || 'Login failed';
+            return;
+        }
+        document.getElementById('login-password').value = '';
+        startSession({ token: data.token, user: data.user, expiresAt: data.expiresAt });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        errorDiv.textContent = 'Cannot reach the bridge server';
+    }
+}
+
+// --- AUDIT TRAIL ---
+// Server-side actions (commands, door reset, logins) are audited by the bridge;
+// dashboard-only actions are reported here. Operators see the trail in the sidebar.
+const AUDIT_PANEL_SIZE = 50;
+const pendingAuditActions = []; // reported while the bridge was unreachable
+
+async function recordAuditAction(action, params = {}) {
+    if (!authSession) return;
+    const body = { action, params: { at: new Date().toISOString(), ...params } }; // "at" = when it happened in the browser
+    try {
+        const response = await apiFetch(AUDIT_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            console.error('Failed to record audit action:', response.statusText);
+        }
+    } catch (error) {
+        console.error('Error recording audit action:', error);
+        pendingAuditActions.push(body);
+    }
+}
+
+function flushPendingAuditActions() {
+    pendingAuditActions.splice(0).forEach(({ action, params }) => recordAuditAction(action, params));
+}
+
+function addAuditEntry(entry) {
+    const auditOutput = document.getElementById('audit-output');
+    if (!auditOutput) return;
+
+    const time = new Date(entry.ts).toLocaleString('en-GB', { hour12: false });
+    const params = Object.entries(entry.params || {})
+        .filter(([key]) => key !== 'at')
+        .map(([key, value]) => `${key}=${value}`)
+        .join(' ');
+    const doors = entry.state && entry.state.doors
+        ? Object.entries(entry.state.doors).map(([id, doorState]) => `${id} ${doorState}`).join(', ')
+        : entry.state && entry.state.door; // entries recorded before multi-door support
+    const state = entry.state ? `door ${doors} · robot ${entry.state.robot}` : '';
+
+    // Built with textContent: usernames from failed logins are untrusted input
+    const line = document.createElement('div');
+    line.className = `console-line ${entry.outcome === 'success' ? 'console-info' : 'console-warn'}`;
+    const timestamp = document.createElement('span');
+    timestamp.className = 'console-timestamp';
+    timestamp.textContent = time;
+    const message = document.createElement('span');
+    message.className = 'console-message';
+    message.textContent = `${entry.actor.username} · ${entry.action}${params ? ` (${params})` : ''} → ${entry.outcome}`;
+    const details = document.createElement('div');
+    details.className = 'audit-state';
+    details.textContent = state;
+    line.append(timestamp, message, details);
+
+    auditOutput.appendChild(line);
+    while (auditOutput.children.length > AUDIT_PANEL_SIZE) {
+        auditOutput.removeChild(auditOutput.firstChild);
+    }
+    auditOutput.scrollTop = auditOutput.scrollHeight;
+}
+
+// Fill the panel with the most recent entries (the API pages oldest first)
+async function loadAuditTrail() {
+    const auditOutput = document.getElementById('audit-output');
+    if (!auditOutput) return;
+    auditOutput.innerHTML = '';
+    if (!hasRole('operator')) {
+        auditOutput.textContent = 'The audit trail is available to operators and admins.';
+        return;
+    }
+    try {
+        const countResponse = await apiFetch(`${AUDIT_API_URL}?limit=1`);
+        if (!countResponse.ok) return;
+        const { total } = await countResponse.json();
+        const offset = Math.max(total - AUDIT_PANEL_SIZE, 0);
+        const response = await apiFetch(`${AUDIT_API_URL}?limit=${AUDIT_PANEL_SIZE}&offset=${offset}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        data.events.forEach(addAuditEntry);
+    } catch (error) {
+        console.error('Error loading audit trail:', error);
+    }
+}
+
+// --- PRODUCTION KPIS ---
+// Parcel counts and OEE are kept by the bridge, so they survive a page reload;
+// the panel shows the current shift and boxCount follows its good parcels.
+const KPI_GOOD = 0.85; // world-class OEE
+const KPI_FAIR = 0.6;
+
+function formatRatio(value) {
+    return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+function setKpi(id, text, rating = null) {
+    const element = document.getElementById(id);
+    if (!element) return;
+    element.textContent = text;
+    element.classList.remove('kpi-good', 'kpi-fair', 'kpi-poor');
+    if (rating !== null) {
+        element.classList.add(rating >= KPI_GOOD ? 'kpi-good' : rating >= KPI_FAIR ? 'kpi-fair' : 'kpi-poor');
+    }
+}
+
+function applyProduction(production) {
+    boxCount = production.counts.good;
+    autoButton.innerText = autoButton.innerText.replace(/Boxes: \d+/, `Boxes: ${boxCount}`);
+
+    ['oee', 'availability', 'performance', 'quality'].forEach((key) => {
+        setKpi(`kpi-${key}`, formatRatio(production.oee[key]), production.oee[key]);
+    });
+    setKpi('kpi-good', String(production.counts.good));
+    setKpi('kpi-rejected', String(production.counts.rejected));
+    const meanMs = production.cycleTime.meanMs;
+    setKpi('kpi-cycle', meanMs === null ? '–' : `${(meanMs / 1000).toFixed(1)} s`);
+    const thisHour = production.hourly[production.hourly.length - 1];
+    setKpi('kpi-hour', String(thisHour ? thisHour.good : 0));
+
+    const chart = document.getElementById('kpi-hourly');
+    if (!chart) return;
+    const busiest = Math.max(1, ...production.hourly.map((bucket) => bucket.good));
+    chart.replaceChildren(...production.hourly.map((bucket) => {
+        const bar = document.createElement('div');
+        bar.className = 'kpi-bar';
+        bar.style.height = `${(bucket.good / busiest) * 100}%`;
+        bar.title = `${new Date(bucket.hour).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}: ${bucket.good} good, ${bucket.rejected} rejected`;
+        return bar;
+    }));
+}
+
+async function loadProduction() {
+    try {
+        const response = await apiFetch(PRODUCTION_API_URL);
+        if (response.ok) applyProduction(await response.json());
+    } catch (error) {
+        console.error('Error loading production counters:', error);
+    }
+}
+
+async function resetProductionShift() {
+    if (!confirm('Close the current shift and start counting from zero?')) return;
+    try {
+        const response = await apiFetch(`${PRODUCTION_API_URL}/reset`, { method: 'POST' });
+        if (!response.ok) {
+            addConsoleMessage(`Shift reset refused (${response.status})`, 'warn');
+            return;
+        }
+        const data = await response.json();
+        addConsoleMessage(`New shift started - previous shift: ${data.closed.counts.good} good, OEE ${formatRatio(data.closed.oee.oee)}`, 'info');
+        applyProduction(data.production);
+    } catch (error) {
+        console.error('Error resetting production shift:', error);
+        addConsoleMessage('Cannot reach the bridge server', 'error');
+    }
+}
+
+// --- ALARMS ---
+// Standing alarms from the bridge: raised on hazards and faults, listed until they
+// are cleared and an operator has acknowledged them. The badge counts the
+// unacknowledged ones that are not shelved; while one of them is critical or high
+// the horn sounds until it is acknowledged, shelved or the horn is muted.
+const ALARM_HORN_SEVERITIES = ['critical', 'high'];
+const ALARM_HORN_INTERVAL = 4000;
+const ALARM_SEVERITY_COLORS = { critical: '#e74c3c', high: '#e67e22', medium: '#f1c40f', low: '#3498db' };
+let alarmList = [];
+let alarmHornInterval = null;
+let alarmAudioContext = null;
+let alarmHornMuted = false;
+
+function beep(frequency = 880, durationMs = 250) {
+    try {
+        alarmAudioContext = alarmAudioContext || new AudioContext();
+        const oscillator = alarmAudioContext.createOscillator();
+        const gain = alarmAudioContext.createGain();
+        oscillator.type = 'square';
+        oscillator.frequency.value = frequency;
+        gain.gain.value = 0.08;
+        oscillator.connect(gain).connect(alarmAudioContext.destination);
+        oscillator.start();
+        oscillator.stop(alarmAudioContext.currentTime + durationMs / 1000);
+    } catch (error) {
+        console.warn('Alarm horn unavailable:', error);
+    }
+}
+
+function updateAlarmHorn(summary) {
+    const sound = !alarmHornMuted && ALARM_HORN_SEVERITIES.includes(summary.highestUnacknowledged);
+    if (sound && !alarmHornInterval) {
+        beep();
+        alarmHornInterval = setInterval(() => beep(), ALARM_HORN_INTERVAL);
+    } else if (!sound && alarmHornInterval) {
+        clearInterval(alarmHornInterval);
+        alarmHornInterval = null;
+    }
+}
+
+function toggleAlarmHorn() {
+    alarmHornMuted = !alarmHornMuted;
+    const button = document.getElementById('alarm-mute-button');
+    button.textContent = alarmHornMuted ? '🔕' : '🔔';
+    button.classList.toggle('active', alarmHornMuted);
+    updateAlarmHorn({ highestUnacknowledged: highestUnacknowledged() });
+}
+
+function highestUnacknowledged() {
+    const waiting = alarmList.find((alarm) => !alarm.acknowledged && !alarm.shelved);
+    return waiting ? waiting.severity : null;
+}
+
+function describeAlarmState(alarm) {
+    const parts = [alarm.active ? 'ACTIVE' : 'cleared', alarm.acknowledged ? `ack ${alarm.acknowledgedBy}` : 'UNACK'];
+    if (alarm.shelved) {
+        parts.push(`shelved until ${new Date(alarm.shelved.until).toLocaleTimeString('en-GB', { hour12: false })}`);
+    }
+    return parts.join(' · ');
+}
+
+function alarmButton(label, handler) {
+    const button = document.createElement('button');
+    button.className = 'camera-switch-btn';
+    button.textContent = label;
+    button.addEventListener('click', handler);
+    return button;
+}
+
+// Alarm list (most severe first, as sent by the bridge) and badge
+function applyAlarms(data) {
+    alarmList = data.alarms;
+    const badge = document.getElementById('alarm-badge');
+    badge.textContent = String(data.summary.unacknowledged);
+    badge.hidden = data.summary.unacknowledged === 0;
+    badge.style.background = ALARM_SEVERITY_COLORS[data.summary.highestUnacknowledged] || '';
+    updateAlarmHorn(data.summary);
+
+    const output = document.getElementById('alarm-output');
+    if (alarmList.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'alarm-empty';
+        empty.textContent = 'No standing alarms';
+        output.replaceChildren(empty);
+        return;
+    }
+    // Built with textContent: alarm messages carry device-reported details
+    output.replaceChildren(...alarmList.map((alarm) => {
+        const row = document.createElement('div');
+        row.className = `alarm-row${alarm.acknowledged ? ' alarm-acknowledged' : ''}${alarm.shelved ? ' alarm-shelved' : ''}`;
+        row.style.borderLeftColor = ALARM_SEVERITY_COLORS[alarm.severity];
+        const title = document.createElement('div');
+        title.className = 'alarm-title';
+        title.textContent = `${alarm.code} · ${alarm.subject}${alarm.count > 1 ? ` (×${alarm.count})` : ''}`;
+        const message = document.createElement('div');
+        message.textContent = alarm.message;
+        const details = document.createElement('div');
+        details.className = 'alarm-details';
+        details.textContent = `${new Date(alarm.lastRaisedAt).toLocaleTimeString('en-GB', { hour12: false })} · ${alarm.severity} · ${describeAlarmState(alarm)}`;
+        row.append(title, message, details);
+
+        if (hasRole('operator')) {
+            const actions = document.createElement('div');
+            actions.className = 'alarm-actions';
+            if (!alarm.acknowledged) actions.append(alarmButton('Ack', () => sendAlarmAction(alarm, 'acknowledge')));
+            actions.append(alarm.shelved
+                ? alarmButton('Unshelve', () => sendAlarmAction(alarm, 'unshelve'))
+                : alarmButton('Shelve', () => shelveAlarm(alarm)));
+            row.append(actions);
+        }
+        return row;
+    }));
+}
+
+// Console line for every new alarm; lower severities get a single beep instead of the horn
+function handleAlarmChange(alarm) {
+    if (alarm.action !== 'raised' || alarm.count > 1) return;
+    addConsoleMessage(`🚨 ${alarm.severity.toUpperCase()} ${alarm.code} (${alarm.subject}): ${alarm.message}`, 'error');
+    if (!alarmHornMuted && !ALARM_HORN_SEVERITIES.includes(alarm.severity)) beep(660, 150);
+}
+
+async function loadAlarms() {
+    try {
+        const response = await apiFetch(ALARMS_API_URL);
+        if (response.ok) applyAlarms(await response.json());
+    } catch (error) {
+        console.error('Error loading alarms:', error);
+    }
+}
+
+async function sendAlarmAction(alarm, action, body = {}) {
+    try {
+        const response = await apiFetch(`${ALARMS_API_URL}/${alarm.id}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            addConsoleMessage(`Alarm ${alarm.code} ${action} refused: ${data.error}`, 'warn');
+            loadAlarms();
+            return;
+        }
+        applyAlarms(data.alarms);
+    } catch (error) {
+        console.error(`Error sending alarm ${action}:`, error);
+        addConsoleMessage('Cannot reach the bridge server', 'error');
+    }
+}
+
+function shelveAlarm(alarm) {
+    const reason = prompt(`Shelve ${alarm.code} (${alarm.subject}) - reason:`);
+    if (reason === null) return;
+    sendAlarmAction(alarm, 'shelve', reason.trim() ? { reason: reason.trim() } : {});
+}
+
+// Resume a stored session if its token is still accepted, otherwise show the login screen
+async function initAuth() {
+    document.getElementById('login-form').addEventListener('submit', handleLoginSubmit);
+    document.getElementById('logout-button').addEventListener('click', async () => {
+        await recordAuditAction('auth.logout');
+        endSession('Logged out');
+    });
+    document.getElementById('kpi-reset-button').addEventListener('click', resetProductionShift);
+    document.getElementById('alarm-mute-button').addEventListener('click', toggleAlarmHorn);
+    document.getElementById('trend-add-button').addEventListener('click', () => {
+        addTrendSeries(document.getElementById('trend-metric').value);
+    });
+    document.getElementById('trend-range').addEventListener('change', loadTrends);
+    document.getElementById('rules-toggle-button').addEventListener('click', openRules);
+    document.getElementById('rules-close-button').addEventListener('click', closeRules);
+    document.getElementById('rule-form').addEventListener('submit', saveRule);
+    document.getElementById('rule-condition-type').addEventListener('change', () => updateRuleConditionFields());
+    document.getElementById('rule-new-button').addEventListener('click', () => fillRuleForm(null));
+    document.getElementById('rule-dry-run-button').addEventListener('click', dryRunRule);
+
+    if (!authSession) {
+        showLoginScreen();
+        return;
+    }
+    try {
+        const response = await apiFetch(AUTH_ME_API_URL);
+        if (response.ok) {
+            const data = await response.json();
+            startSession({ ...authSession, user: data.user });
+        } else if (response.status !== 401) {
+            showLoginScreen(`Session check failed (${response.status})`);
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+        showLoginScreen('Cannot reach the bridge server');
+    }
+}
 
-// Add state management for robot commands
+// Door/robot state arrives as Socket.IO push events; HTTP polling only runs
+// as a fallback while the socket is down.
 let lastRobotCommand = null;
-let lastCommandTime = 0;
-let commandStabilityTimeout = null;
-const COMMAND_STABILITY_DELAY = 200; // 0.2 seconds stability required
-let pendingCommand = null;
+let doorPollInterval = null;
+let robotPollInterval = null;
+const STATUS_POLL_INTERVAL = 1000; // fallback polling period
+
+// Apply a door status from the server (socket push or fallback poll)
+function applyDoorStatus(doorId, status) {
+    const pair = doorPairs.get(doorId);
+    if (!pair || status === pair.lastStatus) return;
+    pair.lastStatus = status;
+    const state = pair.sequence;
+
+    // Only check for door authorization
+    if (status === 'DOOR_AUTHORIZED') {
+        console.log(`Door authorization received for ${doorId}!`);
+        addConsoleMessage(`🔓 Access Granted - ${pair.name} Authorization Received`, 'success');
+        state.authorized = true;
+        infoDiv.textContent = `Status: ${pair.name} authorized. Opening small door...`;
+
+        // --- NEW: Reset the state for a new cycle ---
+        if (state.sequenceComplete) {
+            Object.assign(state, createDoorSequenceState(), { authorized: true });
+            addConsoleMessage(`${pair.name} sequence reset for new cycle`, 'debug');
+        }
+    }
+}
+
+// Build twin door pairs for every door the bridge knows about. The bridge's first
+// door takes over the primary pair built with the room.
+async function loadDoorLayout() {
+    try {
+        const response = await apiFetch(DOORS_API_URL);
+        if (!response.ok) return;
+        const { doors } = await response.json();
+
+        const [primary, ...others] = doors;
+        const primaryPair = doorPairs.get(PRIMARY_DOOR.id);
+        if (primary && primaryPair && primary.id !== PRIMARY_DOOR.id) {
+            doorPairs.delete(PRIMARY_DOOR.id);
+            doorPairs.set(primary.id, primaryPair);
+            primaryPair.id = primary.id;
+        }
+        if (primary && primaryPair) {
+            primaryPair.name = primary.name || primary.id;
+        }
+        others.filter((door) => !doorPairs.has(door.id)).forEach((door) => {
+            createDoorPair(door, { freestanding: true });
+            addConsoleMessage(`🚪 ${door.name || door.id} (${door.zone || 'no zone'}) added to the twin`, 'info');
+        });
+        doors.forEach((door) => {
+            applyDoorStatus(door.id, door.status);
+            applyAirlockState(door.airlock);
+        });
+    } catch (error) {
+        console.error('Error loading door layout:', error);
+    }
+}
+
+// Leaf positions from the bridge's door sensors (server/airlock.js). Doors with
+// sensors follow them instead of playing the scripted open/close sequence.
+function applyAirlockState(airlock) {
+    const pair = airlock && doorPairs.get(airlock.id);
+    if (!pair) return;
+    pair.sensorDriven = airlock.sensors;
+    pair.leaves = {
+        main: airlock.leaves.main.position,
+        small: airlock.leaves.small.position
+    };
+
+    const violationKey = (violation) => `${violation.reason}:${violation.leaf}`;
+    const standing = new Set(pair.violations.map(violationKey));
+    const hadViolation = pair.violations.length > 0;
+    pair.violations = airlock.violations || [];
+    pair.violations
+        .filter((violation) => !standing.has(violationKey(violation)))
+        .forEach((violation) => reportInterlockViolation(pair, violation));
+    if (pair.violations.length === 0 && hadViolation) {
+        addConsoleMessage(`✅ ${pair.name}: interlock restored`, 'success');
+    }
+}
+
+function reportInterlockViolation(pair, violation) {
+    const reasons = {
+        BOTH_OPEN: 'both doors open',
+        OPEN_WHILE_BLOCKED: 'door opened without authorization'
+    };
+    addConsoleMessage(`⛔ INTERLOCK VIOLATION at ${pair.name}: ${violation.leaf} door - ${reasons[violation.reason] || violation.reason}`, 'error');
+    infoDiv.textContent = `Status: Interlock violation at ${pair.name}!`;
+}
+
+// Apply a robot status from the server (socket push or fallback poll)
+function applyRobotStatus(command) {
+    if (command === lastRobotCommand) return;
+    console.log(`Command changed from ${lastRobotCommand} to ${command}`);
+    lastRobotCommand = command;
+    processStableCommand(command);
+}
 
 function pollDoorStatus() {
-    setInterval(async () => {
+    if (doorPollInterval) return;
+    doorPollInterval = setInterval(async () => {
         try {
-            const response = await fetch(DOOR_API_URL);
+            const response = await apiFetch(DOORS_API_URL);
             if (!response.ok) {
                 console.error('Failed to fetch door data');
                 infoDiv.textContent = 'Status: Cannot connect to door API...';
                 return;
             }
             const data = await response.json();
-
-            // Only check for door authorization
-            if (data.stringMessage === 'DOOR_AUTHORIZED') {
-                console.log('Door authorization received!');
-                addConsoleMessage('🔓 Access Granted - Door Authorization Received', 'success');
-                state.authorized = true;
-                infoDiv.textContent = 'Status: Authorized. Opening small door...';
-
-                // --- NEW: Reset the state for a new cycle ---
-                if (state.sequenceComplete) {
-                    state.mainDoorOpen = false;
-                    state.smallDoorOpen = false;
-                    state.mainDoorClosed = false;
-                    state.smallDoorClosed = false;
-                    state.sequenceComplete = false;
-                    addConsoleMessage('Door sequence reset for new cycle', 'debug');
-                }
-            }
+            if (replay.active) return;
+            data.doors.forEach((door) => {
+                applyDoorStatus(door.id, door.status);
+                applyAirlockState(door.airlock);
+            });
         } catch (error) {
             console.error('Error fetching door data:', error);
             infoDiv.textContent = 'Status: Cannot connect to door API...';
         }
-    }, 1000);
+    }, STATUS_POLL_INTERVAL);
 }
 
 function pollRobotStatus() {
+    if (robotPollInterval) return;
     console.log('Robot polling started...'); // Debug log
-    setInterval(async () => {
+    robotPollInterval = setInterval(async () => {
         try {
-            console.log('Checking robot status...'); // Debug log
-            const response = await fetch(ROBOT_API_URL);
+            const response = await apiFetch(ROBOT_API_URL);
             if (!response.ok) {
                 console.error('Failed to fetch robot data');
                 return;
             }
             const data = await response.json();
-            console.log('Robot API response:', data); // Debug log
-
-            const currentCommand = data.stringMessage;
-            const currentTime = Date.now();
-
-            // Check if command has changed
-            if (currentCommand !== lastRobotCommand) {
-                console.log(`Command changed from ${lastRobotCommand} to ${currentCommand}`);
-                lastRobotCommand = currentCommand;
-                lastCommandTime = currentTime;
-                pendingCommand = currentCommand;
-
-                // Clear any existing timeout
-                if (commandStabilityTimeout) {
-                    clearTimeout(commandStabilityTimeout);
-                    commandStabilityTimeout = null;
-                }
-
-                // Set new timeout for command stability
-                commandStabilityTimeout = setTimeout(() => {
-                    if (pendingCommand) {
-                        processStableCommand(pendingCommand);
-                        pendingCommand = null;
-                    }
-                    commandStabilityTimeout = null;
-                }, COMMAND_STABILITY_DELAY);
-            } else {
-                // Command is stable, check if we need to process it immediately
-                if (currentTime - lastCommandTime >= COMMAND_STABILITY_DELAY && pendingCommand) {
-                    if (commandStabilityTimeout) {
-                        clearTimeout(commandStabilityTimeout);
-                        commandStabilityTimeout = null;
-                    }
-                    processStableCommand(pendingCommand);
-                    pendingCommand = null;
-                }
-            }
+            if (replay.active) return;
+            applyRobotStatus(data.stringMessage);
         } catch (error) {
             console.error('Error fetching robot data:', error);
         }
-    }, 1000);
+    }, STATUS_POLL_INTERVAL);
+}
+
+function startStatusPolling() {
+    if (doorPollInterval && robotPollInterval) return;
+    addConsoleMessage('Live updates unavailable - falling back to status polling', 'warn');
+    pollDoorStatus();
+    pollRobotStatus();
+}
+
+function stopStatusPolling() {
+    clearInterval(doorPollInterval);
+    clearInterval(robotPollInterval);
+    doorPollInterval = null;
+    robotPollInterval = null;
 }
 
 // Global fog control
 let isFogBlocked = false;
 let fogDensity = 0;
 const FOG_TRANSITION_SPEED = 2.0; // Speed of fog appearance/disappearance
+const FOG_CLEAR_NEAR = 40, FOG_CLEAR_FAR = 300; // Matches scene.fog in init()
+const FOG_HAZARD_NEAR = 1, FOG_HAZARD_FAR = 45; // Thick fog during an environment hazard
 
 function processStableCommand(command) {
-    console.log(`Processing stable command: ${command}`);
-    addConsoleMessage(`Processing stable command: ${command}`, 'debug');
+    console.log(`Processing robot command: ${command}`);
+    addConsoleMessage(`Processing robot command: ${command}`, 'debug');
     
     if (command === 'ROBOT_START') {
         if (automationRunning) {
-            console.log('Automation is already running. Ignoring redundant ROBOT_START command.');
-            addConsoleMessage('Automation already running - ignoring duplicate command', 'warn');
+            // Next queued job started while the last cycle is still animating: keep cycling
+            console.log('Automation is already running. Continuing with the next job.');
+            addConsoleMessage('Next robot job started - continuing automation', 'info');
+            stopAllAutomation = false;
             return;
         }
         // Clear fog block
         isFogBlocked = false;
-        console.log('ENV_ALERT confirmed stable! Starting robot automation...');
+        console.log('ROBOT_START received! Starting robot automation...');
         addConsoleMessage('🤖 Robot Automation Started - Processing Cargo', 'success');
         stopAllAutomation = false;
-        startAutomationSequence();
+        // With live updates the twin follows the job's phases (job_phase events)
+        if (!followsJobPhases()) {
+            startAutomationSequence();
+        }
     } 
+    else if (command === 'ROBOT_IDLE' && isFogBlocked) {
+        console.log('ENV_OK received! Environment hazard cleared...');
+        addConsoleMessage('✅ Environment Clear - Hazard Lifted, Operations May Resume', 'success');
+
+        // Lift the fog and hand control back to the operator
+        isFogBlocked = false;
+        stopAllAutomation = false;
+        autoButton.disabled = false;
+        autoButton.innerText = 'Start Robot Automation';
+    }
     else if (command === 'ROBOT_IDLE') {
-        console.log('ENV_OK confirmed stable! Allowing current cargo to complete...');
+        console.log('ROBOT_IDLE received! Allowing current cargo to complete...');
         addConsoleMessage('Robot automation stopping after current cycle', 'info');
         
         if (automationRunning) {
@@ -209,6 +762,14 @@ function processStableCommand(command) {
         
         console.log('Robot automation will complete current cycle.');
     }
+    else if (command === 'ROBOT_PAUSED') {
+        console.log('ROBOT_PAUSED received! Holding after current cycle...');
+        addConsoleMessage('⏸️ Robot paused by operator - holding after current cycle', 'warn');
+
+        if (automationRunning) {
+            stopAllAutomation = true;
+        }
+    }
     else if (command === 'FOG_BLOCK') {
         console.log('FOG_BLOCK received! Stopping automation and activating fog...');
         addConsoleMessage('⚠️ FOG ALERT: Environment Hazard Detected - Stopping Operations', 'error');
@@ -230,11 +791,75 @@ function processStableCommand(command) {
     }
 }
 
+// Console note whenever the number of waiting robot jobs or the hold changes
+let lastRobotQueueSummary = null;
+function applyRobotQueue(queue) {
+    const summary = `${queue.queued.length}:${queue.held}`;
+    if (summary === lastRobotQueueSummary) return;
+    lastRobotQueueSummary = summary;
+    if (queue.queued.length === 0) {
+        addConsoleMessage('Robot queue empty', 'debug');
+        return;
+    }
+    const next = queue.queued[0];
+    addConsoleMessage(
+        `Robot queue: ${queue.queued.length} job(s) waiting, next ${next.parcels} parcel(s) from ${next.requestedBy}` +
+        (queue.held ? ' - held until the next start request' : ''),
+        queue.held ? 'warn' : 'info'
+    );
+}
+
+// Ask the bridge to start the robot; the twin then follows the pushed robot_state
+async function requestRobotStart() {
+    if (replay.active) {
+        addConsoleMessage('Return to live view before driving the robot', 'warn');
+        return;
+    }
+    if (!hasRole('operator')) {
+        addConsoleMessage('Robot commands require the operator role', 'warn');
+        return;
+    }
+    autoButton.disabled = true;
+    try {
+        const response = await apiFetch(ROBOT_COMMAND_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ action: 'start' })
+        });
+        const data = await response.json();
+
+        if (response.ok && data.result && data.result.queued) {
+            addConsoleMessage(`🤖 Robot busy - start queued as job #${data.result.position}`, 'info');
+        } else if (response.ok) {
+            addConsoleMessage('🤖 Robot start command sent to plant', 'info');
+        } else {
+            const reason = data.result ? `${data.result.reason}${data.result.guard ? ` (${data.result.guard})` : ''}` : data.error;
+            addConsoleMessage(`Robot start refused: ${reason}`, 'warn');
+        }
+        if (data.robot) {
+            applyRobotStatus(data.robot.status);
+        }
+    } catch (error) {
+        console.error('Error sending robot command:', error);
+        addConsoleMessage('Command API unreachable - running local automation only', 'warn');
+        recordAuditAction('automation.start_local');
+        startAutomationSequence();
+    } finally {
+        if (!automationRunning && !isFogBlocked) {
+            autoButton.disabled = false;
+        }
+    }
+}
+
 // Function to reset door status on server when door sequence completes
-async function resetDoorStatusOnServer() {
+async function resetDoorStatusOnServer(doorId) {
+    // Viewers only mirror the plant; the operator's dashboard performs the reset
+    if (!hasRole('operator')) return;
     try {
-        console.log('Resetting door status on server...');
-        const response = await fetch(RESET_DOOR_API_URL, {
+        console.log(`Resetting door ${doorId} status on server...`);
+        const response = await apiFetch(`${DOORS_API_URL}/${encodeURIComponent(doorId)}/reset`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -404,75 +1029,7 @@ function init() {
     createSpotlight(5, 20, -5, 5, 0, -9, 0xffaaaa); // Red tint for the robot
     // Human model scaling removed
 
-    // --- ADD ESP32 ASSEMBLY ---
-    const esp32Assembly = createFullESP32Assembly(); 
-    const esp32Group = esp32Assembly.getESP32Group();
-
-    // Position the ESP32 board inside your lab
-    esp32Group.position.set(6, 10, 60.5);   // adjust coordinates as needed
-    esp32Group.scale.set(0.3, 0.3, 0.3);       // scale it up to match lab size
-    esp32Group.rotation.set(1.6, 0, 0); // Rotate ESP32 to face the robot
-    scene.add(esp32Group);
-
-
-      // --- ADD ESP32 ASSEMBLY ---
-      const esp32Assemblyacess = createFullESP32Assembly(); 
-      const esp32Group1 = esp32Assemblyacess.getESP32Group();
-  
-      // Position the ESP32 board inside your lab
-      esp32Group1.position.set(9, 10, 60.5);   // adjust coordinates as needed
-      esp32Group1.scale.set(0.3, 0.3, 0.3);       // scale it up to match lab size
-      esp32Group1.rotation.set(1.6, 0, 0); // Rotate ESP32 to face the robot
-      scene.add(esp32Group1);
-
-      // --- ADD ESP32 ON FRONT WALL BACKSIDE ---
-      const esp32FrontWall = createFullESP32Assembly();
-      const esp32Group2 = esp32FrontWall.getESP32Group();
-      esp32Group2.position.set(-9, 8, 44.5);   // Front wall backside
-      esp32Group2.scale.set(0.5, 0.5, 0.5);
-      esp32Group2.rotation.set(-1.5, Math.PI, 0); // Rotate to face inward
-      scene.add(esp32Group2);
-
-      // --- ADD ESP32 ON RIGHT WALL ---
-      const esp32RightWall = createFullESP32Assembly();
-      const esp32Group3 = esp32RightWall.getESP32Group();
-      esp32Group3.position.set(59.5, 10, -3);   // Right wall
-      esp32Group3.scale.set(0.5, 0.5, 0.5);
-      esp32Group3.rotation.set(0,0, 1.5); // Rotate to face inward
-      scene.add(esp32Group3);
-
-      // --- ADD ESP32 ON LEFT WALL ---
-      const esp32LeftWall = createFullESP32Assembly();
-      const esp32Group4 = esp32LeftWall.getESP32Group();
-      esp32Group4.position.set(59.5, 10, 3);   // Left wall
-      esp32Group4.scale.set(0.5, 0.5, 0.5);
-      esp32Group4.rotation.set(0, 0, 1.5); // Rotate to face inward
-      scene.add(esp32Group4);
-
-      // --- ADD ESP32 NEAR ROBOT ON TABLE 1 ---
-      const esp32RobotTable1 = createFullESP32Assembly();
-      const esp32Group5 = esp32RobotTable1.getESP32Group();
-      esp32Group5.position.set(-8, 4.5, -8);   // Near robot area on table
-      esp32Group5.scale.set(0.4, 0.4, 0.4);
-      esp32Group5.rotation.set(0, 8, 0); // Flat on table
-      scene.add(esp32Group5);
-
-      // --- ADD ESP32 NEAR ROBOT ON TABLE 2 ---
-      const esp32RobotTable2 = createFullESP32Assembly();
-      const esp32Group6 = esp32RobotTable2.getESP32Group();
-      esp32Group6.position.set(-8, 4.5, -4);   // Near robot area on table
-      esp32Group6.scale.set(0.4, 0.4, 0.4);
-      esp32Group6.rotation.set(0, 0, 0); // Flat on table
-      scene.add(esp32Group6);
-
-      // --- ADD ESP32 ON CENTER TABLE ---
-      const esp32CenterTable = createFullESP32Assembly();
-      const esp32Group7 = esp32CenterTable.getESP32Group();
-      esp32Group7.position.set(-12, 4.5, -4);   // Center lab area on table
-      esp32Group7.scale.set(0.4, 0.4, 0.4);
-      esp32Group7.rotation.set(0, 0, 0); // Flat on table
-      scene.add(esp32Group7);
-
+    // ESP32 boards are built from the device registry once logged in (see ESP32 DATA AND LABELS)
 
     // Ceiling Lights
     const newLightHeight = 24.5;
@@ -508,14 +1065,16 @@ function init() {
     robotContainer.add(railSystem.rails); // Add the visual rails to the scene
 
     // Event Listeners
-    autoButton.addEventListener('click', startAutomationSequence);
+    autoButton.addEventListener('click', requestRobotStart);
+    initReplayControls();
     window.addEventListener('resize', onWindowResize, false);
 
     // ESP32 Click Event Listeners
-    setupESP32ClickListeners(esp32Group, esp32Group1, esp32Group2, esp32Group3, esp32Group4, esp32Group5, esp32Group6, esp32Group7);
-    
-    // Create ESP32 time labels
-    createESP32TimeLabels([esp32Group, esp32Group1, esp32Group2, esp32Group3, esp32Group4, esp32Group5, esp32Group6, esp32Group7]);
+    setupESP32ClickListeners();
+    initLayoutEditor();
+
+    // Keep the device labels' "seen … ago" counting and facing the camera
+    setInterval(updateAllLabels, 1000);
 
     // Add keyboard controls for camera navigation
     document.addEventListener('keydown', (event) => {
@@ -584,12 +1143,11 @@ function endAutomationCycle() {
     automationRunning = false;   // robot is free again
     currentParcel = null;        // clear parcel
     currentCargo = null;         // clear cargo
-    boxCount++;                  // count how many parcels processed
 
-    addConsoleMessage(`📦 Cargo Cycle Complete - Total Processed: ${boxCount} packages`, 'success');
+    addConsoleMessage('📦 Cargo Cycle Complete', 'success');
 
     // If automation is still allowed, continue automatically
-    if (!stopAllAutomation && boxCount < totalParcelsToProcess) {
+    if (!stopAllAutomation && totalParcelsToProcess > 0) {
         setTimeout(() => {
             // Add an additional position check before starting next cycle
             if (robot_arm && robot_arm.rotation.y !== 0) {
@@ -606,8 +1164,6 @@ function endAutomationCycle() {
 
     // Start
     animate();
-    pollDoorStatus();
-    pollRobotStatus();
     
     // Turn on all lights when the scene starts - enhanced brightness
     controlAllLights(2.0, 0.5);
@@ -618,8 +1174,8 @@ function endAutomationCycle() {
     // Initialize console
     initConsole();
     
-    // Initialize Socket.IO connection for robot animation
-    initSocketConnection();
+    // Log in (or resume the stored session), then open the Socket.IO connection
+    initAuth();
 }
 
 // --- CONSOLE FUNCTIONS ---
@@ -648,12 +1204,16 @@ function addConsoleMessage(message, type = 'info') {
         second: '2-digit' 
     });
     
+    // Messages carry MQTT payloads, replayed events and operator-set names: text only
     const messageDiv = document.createElement('div');
     messageDiv.className = `console-line console-${type}`;
-    messageDiv.innerHTML = `
-        <span class="console-timestamp">${timestamp}</span>
-        <span class="console-message">${message}</span>
-    `;
+    const timestampSpan = document.createElement('span');
+    timestampSpan.className = 'console-timestamp';
+    timestampSpan.textContent = timestamp;
+    const messageSpan = document.createElement('span');
+    messageSpan.className = 'console-message';
+    messageSpan.textContent = message;
+    messageDiv.append(timestampSpan, ' ', messageSpan);
     
     consoleOutput.appendChild(messageDiv);
     
@@ -685,7 +1245,8 @@ function initSocketConnection() {
         };
         script.onerror = function() {
             console.error('Failed to load Socket.IO library');
-            addConsoleMessage('Failed to load Socket.IO - robot animation may not work', 'error');
+            addConsoleMessage('Failed to load Socket.IO - using status polling instead', 'error');
+            startStatusPolling();
         };
         document.head.appendChild(script);
     } else {
@@ -696,23 +1257,73 @@ function initSocketConnection() {
 function setupSocketConnection() {
     try {
         // Connect to the Socket.IO server
-        const socket = io('http://localhost:5000');
+        socket = io('http://localhost:5000', { auth: { token: authSession.token } });
         
         socket.on('connect', () => {
             console.log('Connected to Socket.IO server');
             addConsoleMessage('Socket.IO connection established', 'info');
+            stopStatusPolling();
+            flushPendingAuditActions();
         });
         
         socket.on('disconnect', () => {
             console.log('Disconnected from Socket.IO server');
             addConsoleMessage('Socket.IO connection lost', 'warn');
+            startStatusPolling();
+        });
+
+        socket.on('connect_error', (error) => {
+            if (error.message === 'unauthorized') {
+                endSession('Live updates rejected - please log in again');
+                return;
+            }
+            startStatusPolling();
         });
         
-        // Listen for robot animation events
-        socket.on('robot_animation', (data) => {
-            console.log('Robot animation event received:', data);
-            addConsoleMessage(`Robot animation triggered for ${data.duration}ms`, 'info');
-            triggerRobotAnimation(data.duration);
+        // Door/robot state pushed on every server transition (and once on connect)
+        // (held back while a recording is replayed)
+        socket.on('door_state', live((data) => {
+            console.log('Door state received:', data);
+            applyDoorStatus(data.id, data.status);
+        }));
+
+        // Leaf sensor positions and interlock violations per door pair
+        socket.on('airlock_state', live(applyAirlockState));
+
+        socket.on('robot_state', live((data) => {
+            console.log('Robot state received:', data);
+            applyRobotStatus(data.status);
+        }));
+
+        // Phases of the running robot job; the twin animates the line from these
+        socket.on('job_phase', live(handleJobPhase));
+
+        // Robot job queue (waiting start requests) pushed on every change
+        socket.on('robot_queue', applyRobotQueue);
+
+        // Shift counters and OEE, on every parcel and robot state change
+        socket.on('production', applyProduction);
+
+        // Device registry after every add, edit or removal
+        socket.on('devices', applyDevices);
+
+        // Field node heartbeats and online/stale/offline changes
+        socket.on('node_health', applyNodeHealth);
+
+        // Sensor readings for the device popups
+        socket.on('node_telemetry', appendTelemetry);
+
+        // Standing alarms (on every change and on connect) and each raise/clear/acknowledgement
+        socket.on('alarms', applyAlarms);
+        socket.on('alarm', handleAlarmChange);
+
+        // Threshold rules and their holding/fired status
+        socket.on('rules', applyRules);
+
+        // Acknowledgement watchdog timeouts and faults reported by the door/robot controllers
+        socket.on('plant_fault', (fault) => {
+            console.error('Plant fault:', fault);
+            addConsoleMessage(`⚠️ ${fault.machine}: ${fault.reason}${fault.detail ? ` - ${fault.detail}` : ''}`, 'error');
         });
         
         // Listen for MQTT messages (optional - for debugging)
@@ -720,30 +1331,20 @@ function setupSocketConnection() {
             console.log('MQTT message received via Socket.IO:', data);
             addConsoleMessage(`MQTT: ${data.topic} → ${data.message}`, 'debug');
         });
-        
+
+        // New audit entries (only sent to operators and admins)
+        socket.on('audit_entry', addAuditEntry);
+
+        // Messages that matched no route in the server's routing table
+        socket.on('mqtt_unrouted', (data) => {
+            console.warn('Unrouted MQTT message:', data);
+            addConsoleMessage(`Unrouted MQTT (${data.reason}): ${data.topic} → ${data.payload}`, 'warn');
+        });
+
     } catch (error) {
         console.error('Error setting up Socket.IO connection:', error);
         addConsoleMessage('Socket.IO setup failed: ' + error.message, 'error');
-    }
-}
-
-function triggerRobotAnimation(duration) {
-    if (!robot_arm) {
-        console.log('Robot arm not found - cannot animate');
-        addConsoleMessage('Robot arm not available for animation', 'warn');
-        return;
-    }
-    
-    console.log(`Starting robot animation for ${duration}ms`);
-    addConsoleMessage(`Robot animation started (${duration/1000}s)`, 'info');
-    
-    // Start the automation sequence if not already running
-    if (!automationRunning) {
-        console.log('Starting automation sequence from Socket.IO trigger');
-        startAutomationSequence();
-    } else {
-        console.log('Automation already running - animation trigger acknowledged');
-        addConsoleMessage('Robot already active - animation acknowledged', 'info');
+        startStatusPolling();
     }
 }
 
@@ -855,7 +1456,7 @@ function storeBlueprintMaterials() {
     
     // Store materials for other scene objects (walls, floor, etc.)
     scene.traverse((child) => {
-        if (child.isMesh && !child.userData.originalMaterial) {
+        if (child.isMesh && !child.userData.originalMaterial && !child.userData.keepMaterial) {
             child.userData.originalMaterial = child.material;
             
             // Assign appropriate blueprint materials based on object type and position
@@ -1743,6 +2344,9 @@ function createRoom() {
     frontWallRight.receiveShadow = true;
     scene.add(frontWallRight);
 
+    // Device boards snap to the walls in the layout editor
+    placementSurfaces.push(backWall, leftWall, rightWall, frontWallLeft, frontWallLeft1, frontWallLeft2, frontWallRight);
+
     const ceiling = new THREE.Mesh(new THREE.PlaneGeometry(roomWidth, roomDepth), new THREE.MeshStandardMaterial({ color: 0xffffff }));
     ceiling.position.y = wallHeight;
     ceiling.rotation.x = Math.PI / 2;
@@ -1750,19 +2354,31 @@ function createRoom() {
 }
 
 function createDoors() {
+    const pair = createDoorPair(PRIMARY_DOOR);
+    mainDoor = pair.mainDoor;
+    smallDoor = pair.smallDoor;
+}
+
+// Builds one airlock (outer main door, antechamber, inner small door) offset by door.twin.
+// Freestanding bays sit outside the room, so they get their own wall section and name plate.
+function createDoorPair(door, { freestanding = false } = {}) {
+    const twin = { x: 0, z: 0, rotationY: 0, ...(door.twin || {}) };
+    const group = new THREE.Group();
+    group.position.set(twin.x, 0, twin.z);
+    group.rotation.y = twin.rotationY;
+    scene.add(group);
+
     const mainDoorMaterial = new THREE.MeshStandardMaterial({ color: 0x664422, roughness: 0.6 });
     const smallDoorMaterial = new THREE.MeshStandardMaterial({ color: 0x886644, roughness: 0.6 });
     const doorHeight = 16, mainDoorWidth = 10, smallDoorWidth = 8, doorDepth = 0.5, antechamberDepth = 15;
 
-    mainDoor = new THREE.Mesh(new THREE.BoxGeometry(mainDoorWidth, doorHeight, doorDepth), mainDoorMaterial);
-    mainDoor.castShadow = true;
-    mainDoor.position.set(mainDoorWidth / 2, doorHeight / 2, 0);
+    const pairMainDoor = new THREE.Mesh(new THREE.BoxGeometry(mainDoorWidth, doorHeight, doorDepth), mainDoorMaterial);
+    pairMainDoor.castShadow = true;
+    pairMainDoor.position.set(mainDoorWidth / 2, doorHeight / 2, 0);
     const mainDoorPivot = new THREE.Group();
     mainDoorPivot.position.set(-mainDoorWidth / 2, 0, 90 / 2);
-    mainDoorPivot.add(mainDoor);
-    scene.add(mainDoorPivot);
-
-    
+    mainDoorPivot.add(pairMainDoor);
+    group.add(mainDoorPivot);
 
     const antechamberWallWidth = 20;
     const smallDoorSideWidth = (antechamberWallWidth / 2) - (smallDoorWidth / 2);
@@ -1771,35 +2387,103 @@ function createDoors() {
     const antechamberFrontMaterial = createScaledBrickMaterial(smallDoorSideWidth, 25);
     const antechamberFrontLeft = new THREE.Mesh(new THREE.BoxGeometry(smallDoorSideWidth, 25, doorDepth), antechamberFrontMaterial);
     antechamberFrontLeft.position.set(-(smallDoorWidth / 2 + smallDoorSideWidth / 2), 12.5, 45 + antechamberDepth);
-    scene.add(antechamberFrontLeft);
+    group.add(antechamberFrontLeft);
 
     const antechamberFrontRight = new THREE.Mesh(new THREE.BoxGeometry(smallDoorSideWidth, 25, doorDepth), antechamberFrontMaterial);
     antechamberFrontRight.position.set((smallDoorWidth / 2 + smallDoorSideWidth / 2), 12.5, 45 + antechamberDepth);
-    scene.add(antechamberFrontRight);
+    group.add(antechamberFrontRight);
     
     const antechamberSideMaterial = createScaledBrickMaterial(antechamberDepth, 25);
     const antechamberSideLeft = new THREE.Mesh(new THREE.BoxGeometry(antechamberDepth, 25, doorDepth), antechamberSideMaterial);
     antechamberSideLeft.rotation.y = Math.PI / 2;
     antechamberSideLeft.position.set(-antechamberWallWidth / 2, 12.5, 45 + antechamberDepth / 2);
-    scene.add(antechamberSideLeft);
+    group.add(antechamberSideLeft);
 
     const antechamberSideRight = new THREE.Mesh(new THREE.BoxGeometry(antechamberDepth, 25, doorDepth), antechamberSideMaterial);
     antechamberSideRight.rotation.y = Math.PI / 2;
     antechamberSideRight.position.set(antechamberWallWidth / 2, 12.5, 45 + antechamberDepth / 2);
-    scene.add(antechamberSideRight);
+    group.add(antechamberSideRight);
 
-    smallDoor = new THREE.Mesh(new THREE.BoxGeometry(smallDoorWidth, doorHeight, doorDepth), smallDoorMaterial);
-    smallDoor.castShadow = true;
-    smallDoor.position.set(smallDoorWidth / 2, doorHeight / 2, 0);
+    const pairSmallDoor = new THREE.Mesh(new THREE.BoxGeometry(smallDoorWidth, doorHeight, doorDepth), smallDoorMaterial);
+    pairSmallDoor.castShadow = true;
+    pairSmallDoor.position.set(smallDoorWidth / 2, doorHeight / 2, 0);
     const smallDoorPivot = new THREE.Group();
     smallDoorPivot.position.set(-smallDoorWidth / 2, 0, 45 + antechamberDepth);
-    smallDoorPivot.add(smallDoor);
-    scene.add(smallDoorPivot);
+    smallDoorPivot.add(pairSmallDoor);
+    group.add(smallDoorPivot);
+
+    if (freestanding) {
+        // Wall section around the outer door (the primary door uses the room's front wall)
+        const pillarWidth = (antechamberWallWidth - mainDoorWidth) / 2;
+        const pillarMaterial = createScaledBrickMaterial(pillarWidth, 25);
+        [-1, 1].forEach((side) => {
+            const pillar = new THREE.Mesh(new THREE.BoxGeometry(pillarWidth, 25, doorDepth), pillarMaterial);
+            pillar.position.set(side * (mainDoorWidth / 2 + pillarWidth / 2), 12.5, 45);
+            group.add(pillar);
+        });
+        const lintel = new THREE.Mesh(new THREE.BoxGeometry(mainDoorWidth, 25 - doorHeight, doorDepth), createScaledBrickMaterial(mainDoorWidth, 25 - doorHeight));
+        lintel.position.set(0, doorHeight + (25 - doorHeight) / 2, 45);
+        group.add(lintel);
+
+        group.add(createDoorNamePlate(door.name || door.id, 45 + antechamberDepth));
+        storeDoorPairBlueprintMaterials(group);
+    }
+
+    const pair = {
+        id: door.id,
+        name: door.name || door.id,
+        group,
+        mainDoor: pairMainDoor,
+        smallDoor: pairSmallDoor,
+        sequence: createDoorSequenceState(),
+        lastStatus: null,
+        sensorDriven: false,
+        leaves: { main: 'UNKNOWN', small: 'UNKNOWN' },
+        violations: []
+    };
+    doorPairs.set(door.id, pair);
+    return pair;
 }
 
+// Name plate above the inner door of a freestanding bay
+function createDoorNamePlate(name, z) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 96;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(20, 30, 45, 0.9)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 44px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(name, canvas.width / 2, canvas.height / 2);
 
+    const plate = new THREE.Mesh(
+        new THREE.PlaneGeometry(16, 3),
+        new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true })
+    );
+    plate.position.set(0, 21, z + 0.4);
+    plate.userData.keepMaterial = true; // stays readable in blueprint mode
+    return plate;
+}
 
-function createCeilingLight(x, y, z) {
+// Bays added after start-up miss storeBlueprintMaterials(), so give them blueprint looks here
+function storeDoorPairBlueprintMaterials(group) {
+    group.traverse((child) => {
+        if (!child.isMesh || child.userData.keepMaterial) return;
+        const color = child.material.color ? child.material.color.getHex() : null;
+        child.userData.originalMaterial = child.material;
+        child.userData.blueprintMaterial = color === 0x664422 || color === 0x886644 ? blueprintMaterials.door : blueprintMaterials.wall;
+        if (currentCameraMode === 'blueprint') {
+            child.material = child.userData.blueprintMaterial;
+        }
+    });
+}
+
+
+
+function createCeilingLight(x, y, z) {
     const light = new THREE.PointLight(0xffffee, 1.5, 60, 1.2); // Higher intensity and range for better coverage
     light.position.set(x, y, z);
     light.castShadow = false; // Disable shadows to reduce texture units usage
@@ -1998,6 +2682,7 @@ function createMetallicTable() {
     tableTop.castShadow = true;
     tableTop.receiveShadow = true;
     tableGroup.add(tableTop);
+    placementSurfaces.push(tableTop);
     
     // Table legs - industrial steel tubes
     const legGeometry = new THREE.CylinderGeometry(0.4, 0.4, 4, 8);
@@ -2276,57 +2961,102 @@ function createRobot() {
 }
 
 
-function updateAnimationSequence(delta) {
-    // Door preview is always visible now - no need to show/hide
+// Swing a sensor-driven pair's leaves toward their reported positions
+function updateSensorDrivenDoors(pair, delta) {
+    [['main', pair.mainDoor], ['small', pair.smallDoor]].forEach(([leaf, door]) => {
+        const doorPivot = door.parent;
+        const target = pair.leaves[leaf] === 'OPEN' ? DOOR_OPEN_ANGLE : 0;
+        const step = delta * 0.5;
+        if (Math.abs(doorPivot.rotation.y - target) <= step) {
+            doorPivot.rotation.y = target;
+        } else {
+            doorPivot.rotation.y += Math.sign(target - doorPivot.rotation.y) * step;
+        }
+    });
+}
+
+// Offending leaf glows red while the bridge reports an interlock violation
+function updateInterlockHighlight(pair) {
+    [['main', pair.mainDoor], ['small', pair.smallDoor]].forEach(([leaf, door]) => {
+        const offending = pair.violations.some((violation) => violation.leaf === leaf);
+        if (offending && door.material !== interlockViolationMaterial) {
+            door.userData.materialBeforeViolation = door.material;
+            door.material = interlockViolationMaterial;
+        } else if (!offending && door.material === interlockViolationMaterial) {
+            door.material = currentCameraMode === 'blueprint' && door.userData.blueprintMaterial
+                ? door.userData.blueprintMaterial
+                : door.userData.originalMaterial || door.userData.materialBeforeViolation;
+        }
+    });
+    if (pair.violations.length > 0) {
+        interlockViolationMaterial.emissiveIntensity = 0.4 + 0.4 * Math.abs(Math.sin(clock.elapsedTime * 4));
+    }
+}
+
+// Step one door pair through open small → close small → open main → close main
+function updateDoorSequence(pair, delta) {
+    updateInterlockHighlight(pair);
+    if (pair.sensorDriven) {
+        updateSensorDrivenDoors(pair, delta);
+        return;
+    }
+    const state = pair.sequence;
+
     
     // 1️⃣ Open small (inner) door first
     if (state.authorized && !state.smallDoorOpen) {
-        const doorPivot = smallDoor.parent;
+        const doorPivot = pair.smallDoor.parent;
         doorPivot.rotation.y += delta * 0.5;
         if (doorPivot.rotation.y >= Math.PI / 2) {
             state.smallDoorOpen = true;
-            infoDiv.textContent = 'Small door opened.';
-            addConsoleMessage('Small door opened successfully', 'info');
+            infoDiv.textContent = `${pair.name}: small door opened.`;
+            addConsoleMessage(`${pair.name}: small door opened successfully`, 'info');
         }
     }
     // 2️⃣ Wait for the small door to open, then close it
     else if (state.smallDoorOpen && !state.smallDoorClosed) {
-        const doorPivot = smallDoor.parent;
+        const doorPivot = pair.smallDoor.parent;
         doorPivot.rotation.y -= delta * 0.5;
         if (doorPivot.rotation.y <= 0) {
             state.smallDoorClosed = true;
-            infoDiv.textContent = 'Small door closed.';
-            addConsoleMessage('Small door closed', 'info');
+            infoDiv.textContent = `${pair.name}: small door closed.`;
+            addConsoleMessage(`${pair.name}: small door closed`, 'info');
         }
     }
     // 3️⃣ Open main (outer) door after the small door is closed
     else if (state.smallDoorClosed && !state.mainDoorOpen) {
-        const doorPivot = mainDoor.parent;
+        const doorPivot = pair.mainDoor.parent;
         doorPivot.rotation.y += delta * 0.5;
         if (doorPivot.rotation.y >= Math.PI / 2) {
             state.mainDoorOpen = true;
-            infoDiv.textContent = 'Main door opened.';
-            addConsoleMessage('Main door opened successfully', 'info');
+            infoDiv.textContent = `${pair.name}: main door opened.`;
+            addConsoleMessage(`${pair.name}: main door opened successfully`, 'info');
         }
     }
     // 4️⃣ Close main (outer) door after it's been opened
     else if (state.mainDoorOpen && !state.mainDoorClosed) {
-        const doorPivot = mainDoor.parent;
+        const doorPivot = pair.mainDoor.parent;
         doorPivot.rotation.y -= delta * 0.5;
         if (doorPivot.rotation.y <= 0) {
             state.mainDoorClosed = true;
-            infoDiv.textContent = 'Main door closed.';
-            addConsoleMessage('Main door closed - sequence complete', 'info');
+            infoDiv.textContent = `${pair.name}: main door closed.`;
+            addConsoleMessage(`${pair.name}: main door closed - sequence complete`, 'info');
             state.sequenceComplete = true;
             state.authorized = false; // Reset authorized state for next cycle
             
             // Door preview stays visible - no need to hide
             
             // Reset door status on server to prevent continuous opening
-            resetDoorStatusOnServer();
+            // (a replayed cycle already has its recorded reset)
+            if (!replay.active) resetDoorStatusOnServer(pair.id);
         }
     }
-    
+}
+
+function updateAnimationSequence(delta) {
+    // Door preview is always visible now - no need to show/hide
+    doorPairs.forEach((pair) => updateDoorSequence(pair, delta));
+
     // Update door preview if active
     updateDoorPreview();
     
@@ -2336,7 +3066,10 @@ function updateAnimationSequence(delta) {
     } else {
         fogDensity = Math.max(fogDensity - delta * FOG_TRANSITION_SPEED, 0);
     }
-    scene.fog.density = fogDensity;
+    // scene.fog is linear (THREE.Fog), so pull near/far in as the density rises
+    const fogAmount = fogDensity / 0.1;
+    scene.fog.near = FOG_CLEAR_NEAR + (FOG_HAZARD_NEAR - FOG_CLEAR_NEAR) * fogAmount;
+    scene.fog.far = FOG_CLEAR_FAR + (FOG_HAZARD_FAR - FOG_CLEAR_FAR) * fogAmount;
 }
 
 /**
@@ -2445,7 +3178,6 @@ function startAutomationSequence() {
     if (totalParcelsToProcess <= 0) {
         console.log("All parcels were processed. Resetting for continuous operation.");
         totalParcelsToProcess = 999; // Set high number for continuous cycling
-        boxCount = 0;
     }
 
     // FIX: Safely clean up any objects from a *previous*, failed run
@@ -2509,8 +3241,6 @@ function startAutomationSequence() {
             // STEP 4: Animate the robot to place the parcel on the waiting cargo.
             animateRobotToParcel(nextParcel, cargo, () => {
                 console.log('=== ROBOT FINISHED, RETRACTING PLATFORM ===');
-                boxCount++;
-                console.log(`Box ${boxCount} processed!`);
 
                 // STEP 5: Retract the furnace platform.
                 retractPlatform(() => {
@@ -2567,12 +3297,516 @@ function cleanupCurrentAutomation() {
     console.log('Cleanup completed. System is ready for a new sequence.');
 }
 
+// --- JOB PHASES ---
+// While the socket is up the bridge announces the phases of the running robot job
+// (cargo_arriving → parcel_ejected → pick → place → cargo_leaving, per parcel; see
+// server/job-phases.js) and the twin plays one animation step per phase, scaled to
+// the phase's expected duration, instead of its own canned loop. Phases that queue
+// up behind a slow animation play faster so the twin catches up with the line.
+const PHASE_CATCH_UP_FACTOR = 0.25;
+let phaseQueue = [];
+let phaseStepRunning = false;
+let phaseGeneration = 0; // bumped when a job is aborted; stale step callbacks check it
+let phaseMotion = null; // pick-and-place motion of the current parcel
+let retractFurnacePlatform = null;
+let lastJobPhase = null;
+
+function followsJobPhases() {
+    return replay.active || Boolean(socket && socket.connected);
+}
+
+function handleJobPhase(phase) {
+    console.log('Job phase received:', phase);
+    if (phase.phase === null) {
+        addConsoleMessage(`Robot job ${phase.ended} after parcel ${phase.parcel}/${phase.parcels}`, phase.ended === 'completed' ? 'success' : 'warn');
+        if (phase.ended === 'completed') {
+            phaseQueue.push(phase); // let the remaining steps play out first
+            runNextPhaseStep();
+        } else {
+            abortJobPhases();
+        }
+        lastJobPhase = null;
+        return;
+    }
+    if (phase.paused) {
+        addConsoleMessage(`⏸️ Robot job paused during ${phase.phase} (parcel ${phase.parcel}/${phase.parcels})`, 'warn');
+        return;
+    }
+    // Re-announcements (resume after a pause, reconnect) of the phase already shown
+    if (lastJobPhase && lastJobPhase.job === phase.job && lastJobPhase.parcel === phase.parcel && lastJobPhase.phase === phase.phase) {
+        return;
+    }
+    lastJobPhase = phase;
+    addConsoleMessage(`Robot job: ${phase.phase.replace('_', ' ')} (parcel ${phase.parcel}/${phase.parcels}, ${phase.source})`, 'debug');
+    phaseQueue.push(phase);
+    runNextPhaseStep();
+}
+
+function runNextPhaseStep() {
+    if (phaseStepRunning || phaseQueue.length === 0) return;
+    const phase = phaseQueue.shift();
+    const generation = phaseGeneration;
+    const done = () => {
+        if (generation !== phaseGeneration) return;
+        phaseStepRunning = false;
+        runNextPhaseStep();
+    };
+
+    if (phase.phase === null) {
+        finishPhaseDrivenJob();
+        done();
+        return;
+    }
+    if (!automationRunning) {
+        automationRunning = true;
+        stopAllAutomation = false;
+        switchToMotorView();
+        autoButton.disabled = true;
+    }
+    autoButton.innerText = `Processing... (Boxes: ${boxCount})`;
+
+    phaseStepRunning = true;
+    const durationMs = phaseQueue.length > 0 ? phase.remainingMs * PHASE_CATCH_UP_FACTOR : phase.remainingMs;
+    PHASE_STEPS[phase.phase](durationMs, done);
+}
+
+// One animation step per phase; each tolerates a twin that joined mid-job
+const PHASE_STEPS = {
+    cargo_arriving(durationMs, done) {
+        clearAutomationObjects(); // leftovers of the previous parcel
+        const cargo = placeCargoOnRail(0);
+        animateCargoOnPath(cargo, cargoRailPath, 0, progressAtPickup, durationMs, done);
+    },
+    parcel_ejected(durationMs, done) {
+        ensureCargo();
+        createAndAnimateParcelFromFurnace((parcel, _platform, retract) => {
+            currentParcel = parcel;
+            retractFurnacePlatform = retract;
+            done();
+        }, { slideMs: durationMs, retractMs: Math.min(1000, durationMs) });
+    },
+    pick(durationMs, done) {
+        ensureCargo();
+        const pickUp = () => {
+            phaseMotion = createRobotMotion(currentParcel, currentCargo);
+            phaseMotion.run(2, durationMs, done);
+        };
+        if (currentParcel) {
+            pickUp();
+        } else {
+            createAndAnimateParcelFromFurnace((parcel, _platform, retract) => {
+                currentParcel = parcel;
+                retractFurnacePlatform = retract;
+                pickUp();
+            }, { slideMs: 0 });
+        }
+    },
+    place(durationMs, done) {
+        const placed = () => {
+            phaseMotion = null;
+            if (retractFurnacePlatform) retractFurnacePlatform();
+            retractFurnacePlatform = null;
+            done();
+        };
+        if (phaseMotion) {
+            phaseMotion.run(6, durationMs, placed);
+        } else {
+            // Joined after the pick: nothing to animate, the parcel is already on its way
+            ensureCargo();
+            placed();
+        }
+    },
+    cargo_leaving(durationMs, done) {
+        const cargo = ensureCargo();
+        animateCargoOnPath(cargo, cargoRailPath, progressAtPickup, 1.0, durationMs, () => {
+            clearAutomationObjects();
+            done();
+        });
+    }
+};
+
+// A cargo carrier at the given rail progress (the start of the rails by default)
+function placeCargoOnRail(progress) {
+    const cargo = createCargo();
+    robot_arm.parent.add(cargo);
+    currentCargo = cargo;
+    cargo.position.copy(cargoRailPath.getPointAt(progress));
+    cargo.position.y = 0.2;
+    const tangent = cargoRailPath.getTangentAt(progress);
+    cargo.lookAt(cargo.position.clone().add(tangent));
+    return cargo;
+}
+
+function ensureCargo() {
+    return currentCargo || placeCargoOnRail(progressAtPickup);
+}
+
+function abortJobPhases() {
+    phaseGeneration++;
+    phaseQueue = [];
+    phaseStepRunning = false;
+    if (phaseMotion) phaseMotion.cancel();
+    phaseMotion = null;
+    retractFurnacePlatform = null;
+    clearAutomationObjects();
+    finishPhaseDrivenJob();
+}
+
+function finishPhaseDrivenJob() {
+    // The next job may already be waiting in the queue
+    if (phaseQueue.length > 0) return;
+    automationRunning = false;
+    switchBackToDoorView();
+    if (!isFogBlocked) {
+        autoButton.disabled = false;
+        autoButton.innerText = `Start Automation (Boxes: ${boxCount})`;
+    }
+}
+
+// --- HISTORICAL REPLAY ---
+// Plays a recorded time window of the bridge's event history back through the
+// twin: door and robot transitions go through applyDoorStatus / applyRobotStatus
+// (and so updateAnimationSequence / processStableCommand), job phases through
+// handleJobPhase, and MQTT traffic, feedback and faults into the console with
+// their recorded time. Live updates are held back until the replay is closed.
+const REPLAY_EVENT_TYPES = [
+    'state_transition', 'job_phase', 'airlock_state', 'mqtt_received', 'feedback_published',
+    'command_published', 'fault', 'interlock_violation', 'interlock_cleared'
+];
+const REPLAY_SPEEDS = [1, 4, 16];
+const REPLAY_TICK_MS = 100;
+const REPLAY_MAX_EVENTS = 50000;
+const REPLAY_PAGE_SIZE = 1000;
+// Node heartbeats and sensor readings (the default nodes topics) are not plant
+// events and would crowd everything else out of a long window
+const REPLAY_EXCLUDED_TOPICS = ['cps/nodes/+/heartbeat', 'cps/nodes/+/telemetry'];
+const REPLAY_ROBOT_STATUS = { IDLE: 'ROBOT_IDLE', ROBOT_PROCESSING: 'ROBOT_START', ROBOT_PAUSED: 'ROBOT_PAUSED', FOG_LOCKED: 'FOG_BLOCK' };
+
+const replay = {
+    active: false,
+    entries: [], // { ms, event }, oldest first
+    index: 0, // next entry to apply
+    startMs: 0,
+    endMs: 0,
+    positionMs: 0,
+    speed: 1,
+    playing: false,
+    timer: null,
+    lastTick: 0
+};
+
+function live(handler) {
+    return (...args) => {
+        if (!replay.active) handler(...args);
+    };
+}
+
+// Door and fog animations run at the replay speed and stop while it is paused
+function replayTimeScale() {
+    if (!replay.active) return 1;
+    return replay.playing ? replay.speed : 0;
+}
+
+function replayClock(ms) {
+    return new Date(ms).toLocaleString('en-GB', { hour12: false });
+}
+
+function doorStatusFor(state) {
+    return state === 'IDLE' ? 'DOOR_BLOCKED' : 'DOOR_AUTHORIZED';
+}
+
+// Recorded phase durations, compressed to the replay speed
+function scaledJobPhase(phase) {
+    if (phase.phase === null) return phase;
+    return { ...phase, durationMs: phase.durationMs / replay.speed, remainingMs: phase.remainingMs / replay.speed };
+}
+
+// Events recorded before several violations could stand carry a single `violation`
+function applyReplayAirlock(event) {
+    const violations = event.violations || (event.violation ? [event.violation] : []);
+    applyAirlockState({ id: event.door, sensors: event.sensors, leaves: event.leaves, violations });
+}
+
+function applyReplayEvent({ ms, event }) {
+    const at = replayClock(ms);
+    switch (event.type) {
+        case 'state_transition':
+            addConsoleMessage(`⏪ ${at} [${event.machine}] ${event.from} --${event.event}--> ${event.to}`, 'debug');
+            if (event.machine === 'robot') {
+                applyRobotStatus(REPLAY_ROBOT_STATUS[event.to]);
+            } else if (event.machine.startsWith('door:')) {
+                applyDoorStatus(event.machine.slice('door:'.length), doorStatusFor(event.to));
+            }
+            break;
+        case 'job_phase':
+            handleJobPhase(scaledJobPhase(event));
+            break;
+        case 'airlock_state':
+            applyReplayAirlock(event);
+            break;
+        case 'mqtt_received':
+            addConsoleMessage(`⏪ ${at} MQTT: ${event.topic} → ${event.payload}${event.duplicate ? ' (duplicate, ignored)' : ''}`, 'debug');
+            break;
+        case 'command_published':
+            addConsoleMessage(`⏪ ${at} Command (${event.source}): ${event.topic} → ${event.payload}`, 'info');
+            break;
+        case 'feedback_published':
+            addConsoleMessage(`⏪ ${at} Feedback: ${event.topic} → ${event.payload}`, 'info');
+            break;
+        case 'fault':
+            addConsoleMessage(`⏪ ${at} ⚠️ ${event.machine}: ${event.reason}${event.detail ? ` - ${event.detail}` : ''}`, 'error');
+            break;
+        case 'interlock_violation':
+        case 'interlock_cleared':
+            addConsoleMessage(`⏪ ${at} Interlock ${event.type === 'interlock_violation' ? 'violation' : 'cleared'} at ${event.door}: ${event.reason}`, 'warn');
+            break;
+    }
+}
+
+// Bring the twin back to a quiet plant: no job, no fog, doors closed
+function resetTwinState() {
+    abortJobPhases();
+    lastJobPhase = null;
+    stopAllAutomation = false;
+    isFogBlocked = false;
+    lastRobotCommand = null;
+    doorPairs.forEach((pair) => {
+        pair.sequence = createDoorSequenceState();
+        pair.lastStatus = null;
+        pair.sensorDriven = false;
+        pair.leaves = { main: 'UNKNOWN', small: 'UNKNOWN' };
+        pair.violations = [];
+        pair.mainDoor.parent.rotation.y = 0;
+        pair.smallDoor.parent.rotation.y = 0;
+    });
+    autoButton.disabled = replay.active;
+}
+
+// Pages through the window with the store's cursor, so each page reads on from
+// where the last one ended. truncated is set when more than REPLAY_MAX_EVENTS
+// events remain.
+async function fetchReplayEvents(from, to) {
+    const events = [];
+    let after = null;
+    for (;;) {
+        const params = new URLSearchParams({
+            from,
+            to,
+            type: REPLAY_EVENT_TYPES.join(','),
+            excludeTopic: REPLAY_EXCLUDED_TOPICS.join(','),
+            limit: REPLAY_PAGE_SIZE
+        });
+        if (after) params.set('after', after);
+        const response = await apiFetch(`${EVENTS_API_URL}?${params}`);
+        if (!response.ok) {
+            throw new Error(`event history request failed (${response.status})`);
+        }
+        const page = await response.json();
+        if (events.length + page.events.length > REPLAY_MAX_EVENTS) {
+            events.push(...page.events.slice(0, REPLAY_MAX_EVENTS - events.length));
+            return { events, truncated: true };
+        }
+        events.push(...page.events);
+        if (page.nextCursor === null) return { events, truncated: false };
+        after = page.nextCursor;
+    }
+}
+
+// An exported event file: the store's JSONL, or a GET /events response / event array
+function parseReplayFile(text) {
+    try {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) return data;
+        return Array.isArray(data.events) ? data.events : [data];
+    } catch (error) {
+        // Not a single JSON document: one event per line
+        return text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+    }
+}
+
+// truncated: the source held more events than were loaded, so the replay ends
+// at the last loaded event instead of playing an empty stretch up to endMs
+function startReplay(events, startMs, endMs, source, truncated = false) {
+    const recorded = events
+        .filter((event) => event && REPLAY_EVENT_TYPES.includes(event.type) && !Number.isNaN(Date.parse(event.ts)))
+        .map((event) => ({ ms: Date.parse(event.ts), event }))
+        .sort((a, b) => a.ms - b.ms);
+    const entries = recorded.slice(0, REPLAY_MAX_EVENTS);
+    const cutShort = truncated || recorded.length > entries.length;
+    if (entries.length === 0) {
+        addConsoleMessage(`Replay: no recorded plant events in ${source}`, 'warn');
+        return;
+    }
+
+    pauseReplay();
+    replay.active = true;
+    replay.entries = entries;
+    replay.startMs = Number.isNaN(startMs) ? entries[0].ms : startMs;
+    replay.endMs = cutShort || Number.isNaN(endMs) ? entries[entries.length - 1].ms : endMs;
+    addConsoleMessage(`⏪ Replaying ${entries.length} events from ${source} (${replayClock(replay.startMs)} → ${replayClock(replay.endMs)})`, 'system');
+    if (cutShort) {
+        addConsoleMessage(`Replay: ${source} holds more than ${REPLAY_MAX_EVENTS} plant events - the replay stops at ${replayClock(replay.endMs)}; choose a shorter window for the rest`, 'warn');
+    }
+    infoDiv.textContent = 'Status: Replay';
+    seekReplay(replay.startMs);
+    playReplay();
+}
+
+// Jump to a point in the recording: rebuild the plant state at that instant,
+// then play on from there
+function seekReplay(positionMs) {
+    resetTwinState();
+    replay.positionMs = positionMs;
+    const next = replay.entries.findIndex((entry) => entry.ms > positionMs);
+    replay.index = next === -1 ? replay.entries.length : next;
+
+    const doorStates = new Map();
+    const airlocks = new Map();
+    let robotState = null;
+    let phase = null;
+    replay.entries.slice(0, replay.index).forEach(({ ms, event }) => {
+        if (event.type === 'state_transition' && event.machine === 'robot') {
+            robotState = event.to;
+        } else if (event.type === 'state_transition' && event.machine.startsWith('door:')) {
+            doorStates.set(event.machine.slice('door:'.length), event.to);
+        } else if (event.type === 'airlock_state') {
+            airlocks.set(event.door, event);
+        } else if (event.type === 'job_phase') {
+            phase = event.phase === null ? null : { ...event, remainingMs: event.paused ? event.remainingMs : Math.max(event.remainingMs - (positionMs - ms), 0) };
+        }
+    });
+
+    airlocks.forEach(applyReplayAirlock);
+    doorStates.forEach((state, id) => applyDoorStatus(id, doorStatusFor(state)));
+    if (robotState) applyRobotStatus(REPLAY_ROBOT_STATUS[robotState]);
+    if (phase) handleJobPhase(scaledJobPhase(phase));
+    updateReplayControls();
+}
+
+function replayTick() {
+    const now = performance.now();
+    replay.positionMs = Math.min(replay.positionMs + (now - replay.lastTick) * replay.speed, replay.endMs);
+    replay.lastTick = now;
+    while (replay.index < replay.entries.length && replay.entries[replay.index].ms <= replay.positionMs) {
+        applyReplayEvent(replay.entries[replay.index++]);
+    }
+    updateReplayControls();
+    if (replay.positionMs >= replay.endMs) {
+        pauseReplay();
+        addConsoleMessage('⏪ Replay reached the end of the recording', 'info');
+    }
+}
+
+function playReplay() {
+    if (!replay.active || replay.playing) return;
+    if (replay.positionMs >= replay.endMs) seekReplay(replay.startMs);
+    replay.playing = true;
+    replay.lastTick = performance.now();
+    replay.timer = setInterval(replayTick, REPLAY_TICK_MS);
+    updateReplayControls();
+}
+
+function pauseReplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    replay.playing = false;
+    updateReplayControls();
+}
+
+// Leave the recording and pick the live plant state up again
+async function stopReplay() {
+    if (!replay.active) return;
+    pauseReplay();
+    replay.active = false;
+    replay.entries = [];
+    resetTwinState();
+    updateReplayControls();
+    addConsoleMessage('Replay closed - back to live view', 'system');
+    infoDiv.textContent = 'Status: Ready';
+
+    await loadDoorLayout();
+    try {
+        const response = await apiFetch(ROBOT_API_URL);
+        if (response.ok) applyRobotStatus((await response.json()).stringMessage);
+    } catch (error) {
+        console.error('Error fetching robot data:', error);
+    }
+}
+
+function updateReplayControls() {
+    const scrubber = document.getElementById('replay-scrubber');
+    if (!scrubber) return;
+    scrubber.disabled = !replay.active;
+    scrubber.max = String(Math.max(replay.endMs - replay.startMs, 1));
+    if (document.activeElement !== scrubber) {
+        scrubber.value = String(replay.positionMs - replay.startMs);
+    }
+    document.getElementById('replay-time').textContent = replay.active ? replayClock(replay.positionMs) : '--:--:--';
+    document.getElementById('replay-play-button').disabled = !replay.active;
+    document.getElementById('replay-play-button').textContent = replay.playing ? '⏸' : '▶';
+    document.getElementById('replay-exit-button').disabled = !replay.active;
+}
+
+function initReplayControls() {
+    const bar = document.getElementById('replay-bar');
+    if (!bar) return;
+
+    document.getElementById('replay-toggle-button').addEventListener('click', () => {
+        bar.hidden = !bar.hidden;
+        if (bar.hidden) stopReplay();
+    });
+    document.getElementById('replay-load-button').addEventListener('click', async () => {
+        const from = new Date(document.getElementById('replay-from').value);
+        const to = new Date(document.getElementById('replay-to').value);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            addConsoleMessage('Replay: choose a start time before the end time', 'warn');
+            return;
+        }
+        try {
+            const { events, truncated } = await fetchReplayEvents(from.toISOString(), to.toISOString());
+            startReplay(events, from.getTime(), to.getTime(), 'the event history', truncated);
+        } catch (error) {
+            console.error('Error loading replay events:', error);
+            addConsoleMessage(`Replay: ${error.message}`, 'error');
+        }
+    });
+    document.getElementById('replay-file').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            startReplay(parseReplayFile(await file.text()), NaN, NaN, file.name);
+        } catch (error) {
+            console.error('Error reading replay file:', error);
+            addConsoleMessage(`Replay: cannot read ${file.name} (${error.message})`, 'error');
+        }
+    });
+    document.getElementById('replay-play-button').addEventListener('click', () => {
+        if (replay.playing) pauseReplay();
+        else playReplay();
+    });
+    document.getElementById('replay-speed').addEventListener('change', (event) => {
+        const speed = Number(event.target.value);
+        if (REPLAY_SPEEDS.includes(speed)) replay.speed = speed;
+    });
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.addEventListener('input', () => {
+        document.getElementById('replay-time').textContent = replayClock(replay.startMs + Number(scrubber.value));
+    });
+    scrubber.addEventListener('change', () => {
+        seekReplay(replay.startMs + Number(scrubber.value));
+        scrubber.blur();
+    });
+    document.getElementById('replay-exit-button').addEventListener('click', stopReplay);
+    updateReplayControls();
+}
+
 function animateCargoOnPath(cargo, path, startProgress, endProgress, duration, onCompleteCallback) {
     const startTime = Date.now();
 
     function move() {
         const elapsedTime = Date.now() - startTime;
-        let progress = Math.min(elapsedTime / duration, 1);
+        let progress = duration > 0 ? Math.min(elapsedTime / duration, 1) : 1;
         
         // Calculate current position along the single path
         const pathProgress = startProgress + progress * (endProgress - startProgress);
@@ -2602,14 +3836,23 @@ function animateCargoOnPath(cargo, path, startProgress, endProgress, duration, o
     move();
 }
 
-function animateRobotToParcel(parcelObj, cargoObj, onCompleteCallback) {
+const ROBOT_MOTION_MS = 1800; // full pick-and-place at the twin's own pace
+
+function animateRobotToParcel(parcelObj, cargoObj, onCompleteCallback, durationMs = ROBOT_MOTION_MS) {
     // Add null checks to prevent errors
     if (!parcelObj || !cargoObj) {
         console.error('animateRobotToParcel: parcelObj or cargoObj is null');
         if (onCompleteCallback) onCompleteCallback();
         return;
     }
-    
+    createRobotMotion(parcelObj, cargoObj).run(6, durationMs, onCompleteCallback);
+}
+
+// Robot pick-and-place in six unit segments of t: 0-1 down to the parcel, 1-2 pick up
+// and lift, 2-3 rotate to the cargo, 3-4 down to place, 4-5 release and lift, 5-6
+// rotate back. run(untilT, durationMs, done) advances the motion to untilT over
+// durationMs, so a job phase can play "pick" (to 2) and "place" (to 6) separately.
+function createRobotMotion(parcelObj, cargoObj) {
     const robotHand = robot_arm.children[3].children[0].children[2].children[0].children[4];
     const lowerArm = robot_arm.children[3];
     const upperArm = robot_arm.children[3].children[0].children[2];
@@ -2632,8 +3875,10 @@ function animateRobotToParcel(parcelObj, cargoObj, onCompleteCallback) {
     const [thetaPlace, alphaPlace] = calculatePlacementAngles(placementPosition);
 
     let t = 0;
+    let cancelled = false;
     
-    function animate() {
+    // One fixed step of the motion; false once it has finished
+    function advance() {
         if (t < 1) { // Go down to pick
             robot_arm.rotation.y -= angleStepToParcel;
             lowerArm.rotateZ(-alpha * step);
@@ -2670,11 +3915,34 @@ function animateRobotToParcel(parcelObj, cargoObj, onCompleteCallback) {
         } else if (t < 6) { // Return to start rotation
             robot_arm.rotation.y += angleStepToCargo;
         } else {
-            if (onCompleteCallback) onCompleteCallback();
-            return;
+            return false;
         }
         t += step;
-        requestAnimationFrame(animate);
+        return true;
+    }
+
+    // Steps are applied in whole increments (so the arm always returns to its start
+    // pose) but as many per frame as the elapsed time calls for
+    function run(untilT, durationMs, onCompleteCallback) {
+        const stepsToRun = Math.max(Math.ceil((untilT - t) / step), 1);
+        const msPerStep = durationMs / stepsToRun;
+        const startTime = Date.now();
+        let stepsDone = 0;
+
+        function frame() {
+            if (cancelled) return;
+            const stepsDue = msPerStep > 0 ? Math.floor((Date.now() - startTime) / msPerStep) : stepsToRun;
+            while (stepsDone < Math.min(stepsDue, stepsToRun) && t < untilT) {
+                if (!advance()) break;
+                stepsDone++;
+            }
+            if (t < untilT && t < 6 && stepsDone < stepsToRun) {
+                requestAnimationFrame(frame);
+            } else if (onCompleteCallback) {
+                onCompleteCallback();
+            }
+        }
+        frame();
     }
     
     function calculateAngles(target) {
@@ -2692,10 +3960,11 @@ function animateRobotToParcel(parcelObj, cargoObj, onCompleteCallback) {
         return calculateAngles({position: target});
     }
     
-    animate();
+    return { run, cancel: () => { cancelled = true; } };
 }
 
-function createAndAnimateParcelFromFurnace(onCompleteCallback) {
+// slideMs / retractMs pace the furnace platform (a job phase passes its own duration)
+function createAndAnimateParcelFromFurnace(onCompleteCallback, { slideMs = 1500, retractMs = 1000 } = {}) {
     if (stopAllAutomation) {
         if (onCompleteCallback) onCompleteCallback(null, null, () => {});
         return;
@@ -2738,7 +4007,7 @@ function createAndAnimateParcelFromFurnace(onCompleteCallback) {
     console.log('Parcel and platform created, starting slide animation');
     
     const easeOut = t => 1 - Math.pow(1 - t, 2);
-    const outDuration = 1500;
+    const outDuration = slideMs;
     const outStart = Date.now();
     let slideOutCompleted = false;
 
@@ -2746,7 +4015,7 @@ function createAndAnimateParcelFromFurnace(onCompleteCallback) {
         if (slideOutCompleted) return;
         
         const elapsed = Date.now() - outStart;
-        const t = Math.min(elapsed / outDuration, 1);
+        const t = outDuration > 0 ? Math.min(elapsed / outDuration, 1) : 1;
         const k = easeOut(t);
 
         const targetPlatformPos = startInside.clone().lerp(pickupPos, k);
@@ -2765,12 +4034,12 @@ function createAndAnimateParcelFromFurnace(onCompleteCallback) {
             
             const retractPlatform = (done) => {
                 console.log('Starting platform retraction');
-                const inDuration = 1000;
+                const inDuration = retractMs;
                 const inStart = Date.now();
                 
                 function retract() {
                     const elapsedRetract = Date.now() - inStart;
-                    const t2 = Math.min(elapsedRetract / inDuration, 1);
+                    const t2 = inDuration > 0 ? Math.min(elapsedRetract / inDuration, 1) : 1;
                     const k2 = easeOut(t2);
                     
                     platform.position.copy(pickupPos.clone().lerp(startInside, k2));
@@ -3092,198 +4361,129 @@ function updateDoorAnimations() {
 }
 
 // --- ESP32 DATA AND LABELS ---
-function initializeESP32Data() {
-    esp32Data = [
-        {
-            name: "Motion Detector",
-            description: "The Motion Detector, equipped with an ESP8266, detects movement using a PIR sensor, making it an essential component for security systems in homes and businesses. This node's functionality highlights its role in automated security setups, where real-time motion detection triggers alerts and recordings, enhancing the safety and surveillance capabilities of the system.",
-            image: "img/motiondetect.jpg",
-            functions: ["Motion Detection", "Security Alerts", "Real-time Monitoring", "Automated Recording"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP8266 Dev Board (NodeMCU)" },
-                { type: "Sensor", name: "PIR Motion Sensor" },
-                { type: "Actuators", name: "Servo Motor" },
-                { type: "Actuators", name: "Green LED" }
-            ]
-        },
-        {
-            name: "Access Control System",
-            description: "The Access Control System, utilizes the Raspberry Pi Pico W to implement RFID-based access control, enhancing security by allowing or denying entry based on authorized credentials. This system integrates with IoT platforms to monitor access in real-time, making it ideal for secure areas in educational, corporate, or residential environments. Its role within the cyber-physical system framework is to ensure a secure and manageable entry point that leverages cloud connectivity for efficient access logging and control.",
-            image: "img/access_control.jpg", 
-            functions: ["RFID Authentication", "Door Control", "Security Logging", "IoT Integration"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "Raspberry Pi Pico W" },
-                { type: "Sensor", name: "RC522 RFID Reader" },
-                { type: "Actuators", name: "Servo Motor" },
-                { type: "Actuators", name: "Buzzer" },
-                { type: "Actuators", name: "Red LED" },
-                { type: "Actuators", name: "Green LED" }
-            ]
-        },
-        {
-            name: "Obstacle Detector",
-            description: "This node utilizes an ESP32 to process signals from ultrasonic sensors for detecting obstacles, crucial for robotic navigation and automated vehicle systems. It helps prevent collisions and facilitates smooth operational pathways in complex environments, showcasing the integration of sensory data and machine response in real-time applications.",
-            image: "img/ObstacleDetector.jpg",
-            functions: ["Obstacle Detection", "Collision Prevention", "Robotic Navigation", "Real-time Processing"],
-            status: "Active", 
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP32 Dev Board" },
-                { type: "Sensor", name: "Ultrasonic Sensor (HC-SR04)" },
-                { type: "Actuators", name: "Buzzer" },
-                { type: "Actuators", name: "Red LED" }
-            ]
-        },
-        {
-            name: "Temperature Control System",
-            description: "The Temperature Control System employs the ESP32 Dev Board alongside the LM35 temperature sensor to manage and regulate temperature in controlled environments such as greenhouses or server rooms. This node optimizes conditions through automated adjustments, ensuring environmental stability—crucial for sensitive operations and processes.",
-            image: "img/TemperatureControlSystem.jpg",
-            functions: ["Temperature Monitoring", "Environmental Control", "Automated Regulation", "Climate Optimization"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP32 Dev Board" },
-                { type: "Sensor", name: "LM35 Temperature Sensor" },
-                { type: "Actuators", name: "Red LED" },
-                { type: "Actuators", name: "Relay" },
-                { type: "Actuators", name: "5V DC Fan" }
-            ]
-        },
-        {
-            name: "ENVIRONMENTAL MONITORING SYSTEM",
-            description: "The Environmental Monitoring System, utilizes the ESP32 microcontroller to monitor and control environmental conditions such as temperature, humidity, and air quality. It uses sensors like DHT11, MQ135, and LDR to collect data and provides real-time monitoring through an LCD display. This system helps ensure healthier indoor environments and supports smart monitoring for homes, offices, and industries.",
-            image: "img/envmonitor.jpg",
-            functions: ["Video Monitoring", "Intrusion Detection", "Emergency Response"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP32 Dev Board" },
-                { type: "Sensor", name: "DHT11 Digital Relative Humidity and Temperature Sensor Module" },
-                { type: "Sensor", name: "MQ135 Air/Gas Detector Sensor Module" },
-                { type: "Sensor", name: "LM393 Photosensitive Light-Dependent Control Sensor LDR Module" },
-                
-            ]
-        },
-        {
-            name: "Energy Management System",
-            description: "The Energy Management System, leverages the ESP32 microcontroller to monitor and control energy usage efficiently in buildings and industrial settings. It uses sensors to track power consumption and automates the management of energy resources to optimize usage and reduce costs, demonstrating the potential of smart systems to enhance sustainability and operational efficiency.",
-            image: "img/EnergyManagementSystem.jpg",
-            functions: ["Power Monitoring", "Energy Optimization", "Resource Management", "Cost Reduction"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP32 Dev Board" },
-                { type: "Sensors", name: "INA219 DC Power Monitor Module" },
-                { type: "Sensors", name: "Momentary Tactile Push Button" },
-                { type: "Motor Driver", name: "Cytron MD10C" },
-                { type: "Actuators", name: "Incandescent Bulb" },
-                { type: "Actuators", name: "Heater (Power Resistor)" },
-                { type: "Actuators", name: "DC Motor" },
-                { type: "Actuators", name: "LCD, 16x2 Character" },
-                { type: "Actuators", name: "Relay" }
-            ]
-        },
-        {
-            name: "MOTOR MONITORING SYSTEM",
-            description: "The Motor Monitoring System uses the ESP32 microcontroller to monitor and control motor operations with real-time feedback. It integrates multiple sensors including VL6180X distance sensor, piezoelectric vibration sensor, and INA219 current sensor for comprehensive motor monitoring. The system provides automated safety controls, vibration detection, power monitoring, and visual feedback through an OLED display. This system is ideal for industrial automation, predictive maintenance, and motor safety applications.",
-            image: "img/motormonitoring.jpg",
-            functions: ["Device Communication", "Data Relay", "Protocol Translation"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP32 Dev Board" },
-                { type: "Sensor", name: "MLX90614 Infrared Temperature Sensor" },
-                { type: "Sensor", name: "MLX90614 ESF Non-Contact Infrared Temperature Measurement Module" },
-                { type: "Sensor", name: "Photoelectric Speed Sensor with coded Encoder Disc " },
-                { type: "Actuators", name: "DC Motor " },
-                { type: "Actuators", name: "Servo Motor" },
-                
-            ]
-            
+// Boards, labels and popups come from the bridge's device registry: GET /devices
+// after login, then a 'devices' socket event on every edit. esp32Data holds the
+// registry devices plus their heartbeat status (health); a device without a
+// placement is parked in a row next to the centre table until it is given one.
+const DEVICE_TYPE_NAMES = { esp32: 'ESP32', esp8266: 'ESP8266', 'pico-w': 'Raspberry Pi Pico W' };
+const UNPLACED_DEVICE_ORIGIN = { x: -16, y: 4.5, z: 4 };
+const UNPLACED_DEVICE_SPACING = 3;
+const DEVICE_LABEL_OFFSET = new THREE.Vector3(0, 3, 0); // labels float above their board
+const esp32Models = new Map(); // device id → ESP32 board group in the scene
+
+async function loadDevices() {
+    try {
+        const response = await apiFetch(DEVICES_API_URL);
+        if (response.ok) applyDevices((await response.json()).devices);
+    } catch (error) {
+        console.error('Error loading the device registry:', error);
+        addConsoleMessage('Could not load the device registry', 'error');
+    }
+}
 
-        },
-        {
-            name: "Machine Monitoring System",
-            description: "The Machine Monitoring System uses the ESP32 microcontroller to monitor and control lathe operations with real-time feedback. It integrates multiple sensors including VL6180X distance sensor, piezoelectric vibration sensor, and INA219 current sensor for comprehensive machine monitoring. The system provides automated safety controls, vibration detection, power monitoring, and visual feedback through an OLED display. This system is ideal for industrial automation, predictive maintenance, and machine safety applications.",
-            image: "img/monitoring.jpg",
-            functions: ["Robot Control", "Process Automation", "Task Scheduling"],
-            status: "Active",
-            lastUpdate: new Date(),
-            components: [
-                { type: "Controller", name: "ESP32 Dev Board" },
-                { type: "Sensor", name: "VL6180X Distance Sensor" },
-                { type: "Sensor", name: "Piezoelectric Vibration Sensor" },
-                { type: "Sensor", name: "INA219 Current Sensor" },
-                { type: "Actuators", name: "LR7843 Mosfet" },
-                { type: "Actuators", name: "DC Motor " },
-                { type: "Actuators", name: "I1.3 inch Oled Display" },
-                { type: "Actuators", name: "Led" },
-                { type: "Actuators", name: "Buzzer" },
-                { type: "Actuators", name: "SG90 Servo motor" },
-            ]
-        }
-    ];
+function placeDevice(group, placement, unplacedIndex) {
+    if (placement) {
+        const { position, rotation, scale } = placement;
+        group.position.set(position.x, position.y, position.z);
+        group.rotation.set(rotation.x, rotation.y, rotation.z);
+        group.scale.setScalar(scale);
+    } else {
+        group.position.set(UNPLACED_DEVICE_ORIGIN.x - unplacedIndex * UNPLACED_DEVICE_SPACING, UNPLACED_DEVICE_ORIGIN.y, UNPLACED_DEVICE_ORIGIN.z);
+        group.rotation.set(0, 0, 0);
+        group.scale.setScalar(0.4);
+    }
 }
 
-function createESP32TimeLabels(esp32Groups) {
-    initializeESP32Data();
-    
-    esp32Groups.forEach((group, index) => {
-        if (group && esp32Data[index]) {
-            const labelGroup = new THREE.Group();
-            
-            // Create name display canvas
-            const canvas = document.createElement('canvas');
-            canvas.width = 600;
-            canvas.height = 140;
-            const ctx = canvas.getContext('2d');
-            
-            // Create label texture
-            const texture = new THREE.CanvasTexture(canvas);
-            texture.flipY = true;
-            
-            // Create label geometry and material (larger size for long text)
-            const labelGeometry = new THREE.PlaneGeometry(6, 1.4);
-            const labelMaterial = new THREE.MeshBasicMaterial({
-                map: texture,
-                transparent: true,
-                alphaTest: 0.1,
-                side: THREE.DoubleSide
-            });
-            
-            const labelMesh = new THREE.Mesh(labelGeometry, labelMaterial);
-            
-            // Position label above ESP32
-            const labelOffset = new THREE.Vector3(0, 3, 0);
-            labelMesh.position.copy(group.position).add(labelOffset);
-            
-            // Make label always face camera
-            labelMesh.lookAt(camera.position);
-            
-            labelGroup.add(labelMesh);
-            scene.add(labelGroup);
-            
-            // Store references
-            esp32Labels.push({
-                mesh: labelMesh,
-                canvas: canvas,
-                ctx: ctx,
-                texture: texture,
-                data: esp32Data[index],
-                group: labelGroup
-            });
-            
-            // Update initial label content
-            updateLabelContent(esp32Labels[index]);
+// Rebuild the twin's boards and labels from the registry; existing boards are moved, not recreated
+function applyDevices(devices) {
+    const previous = new Map(esp32Data.map((data) => [data.id, data]));
+    esp32Data = devices.map((device) => ({ ...device, health: previous.has(device.id) ? previous.get(device.id).health : null }));
+
+    const ids = new Set(esp32Data.map((data) => data.id));
+    esp32Models.forEach((group, id) => {
+        if (ids.has(id)) return;
+        if (layoutEditor.selected === id) selectLayoutDevice(null);
+        layoutEditor.dirty.delete(id);
+        scene.remove(group);
+        esp32Models.delete(id);
+    });
+    esp32Labels = esp32Labels.filter((label) => {
+        if (ids.has(label.data.id)) return true;
+        scene.remove(label.group);
+        label.texture.dispose();
+        return false;
+    });
+
+    let unplaced = 0;
+    esp32Data.forEach((data) => {
+        let group = esp32Models.get(data.id);
+        if (!group) {
+            group = createFullESP32Assembly().getESP32Group();
+            scene.add(group);
+            esp32Models.set(data.id, group);
         }
+        // Boards moved in the layout editor keep their unsaved placement
+        const parkingIndex = data.placement ? 0 : unplaced++;
+        if (!layoutEditor.dirty.has(data.id)) placeDevice(group, data.placement, parkingIndex);
+        group.userData.deviceId = data.id;
+        group.userData.name = data.name;
+
+        const label = esp32Labels.find((entry) => entry.data.id === data.id) || createESP32Label();
+        label.data = data;
+        label.mesh.position.copy(group.position).add(DEVICE_LABEL_OFFSET);
+        updateLabelContent(label);
     });
-    
-    // Start time update interval
-    setInterval(updateAllLabels, 1000);
+
+    populateTrendMetrics();
+    updateLayoutControls();
+    const popup = document.getElementById('dynamic-esp32-popup');
+    if (popup && popup.style.display === 'flex') {
+        const shown = esp32Data.find((data) => data.id === popup.dataset.node);
+        if (shown) updatePopupContent(popup, shown);
+        else popup.style.display = 'none';
+    }
+}
+
+function createESP32Label() {
+    const labelGroup = new THREE.Group();
+
+    // Create name display canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = 600;
+    canvas.height = 140;
+    const ctx = canvas.getContext('2d');
+
+    // Create label texture
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = true;
+
+    // Create label geometry and material (larger size for long text)
+    const labelGeometry = new THREE.PlaneGeometry(6, 1.4);
+    const labelMaterial = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        alphaTest: 0.1,
+        side: THREE.DoubleSide
+    });
+
+    const labelMesh = new THREE.Mesh(labelGeometry, labelMaterial);
+
+    // Make label always face camera
+    labelMesh.lookAt(camera.position);
+
+    labelGroup.add(labelMesh);
+    scene.add(labelGroup);
+
+    const label = {
+        mesh: labelMesh,
+        canvas: canvas,
+        ctx: ctx,
+        texture: texture,
+        data: null, // set by applyDevices
+        group: labelGroup
+    };
+    esp32Labels.push(label);
+    return label;
 }
 
 function updateLabelContent(label) {
@@ -3297,9 +4497,9 @@ function updateLabelContent(label) {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
     ctx.fillRect(0, 0, 600, 140);
     
-    // Border
-    ctx.strokeStyle = '#00ff00';
-    ctx.lineWidth = 2;
+    // Border in the node's health colour
+    ctx.strokeStyle = nodeStatusColor(data.health);
+    ctx.lineWidth = 4;
     ctx.strokeRect(2, 2, 596, 136);
     
     // Device name with text wrapping for long names
@@ -3346,19 +4546,18 @@ function updateLabelContent(label) {
         ctx.fillText(data.name, 300, 80);
     }
     
-    // Click instruction (smaller, at bottom)
-    ctx.fillStyle = '#ffff00';
-    ctx.font = '12px Arial';
-    ctx.fillText('Click for details', 300, 120);
+    // Health and click instruction (smaller, at bottom)
+    ctx.fillStyle = nodeStatusColor(data.health);
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(`${describeNodeHealth(data.health)} · click for details`, 300, 124);
     
     // Update texture
     label.texture.needsUpdate = true;
 }
 
+// Redrawn every second so the "seen … ago" ages keep counting
 function updateAllLabels() {
     esp32Labels.forEach(label => {
-        // Update timestamp
-        label.data.lastUpdate = new Date();
         updateLabelContent(label);
         
         // Make label face camera
@@ -3368,31 +4567,798 @@ function updateAllLabels() {
     });
 }
 
+// --- DEVICE LAYOUT EDITOR ---
+// Layout mode: click a board to attach a transform gizmo and drag, rotate or scale
+// it. With snapping on, a moved board lands flat on the nearest wall or table face
+// (components facing away from it) and the gizmo steps in fixed increments. Edits
+// stay local until saved to the registry (PUT /devices/:id, operators) or
+// downloaded as a devices.json that can be used as the bridge's devices.file.
+const LAYOUT_MODES = ['translate', 'rotate', 'scale'];
+const LAYOUT_SNAP_DISTANCE = 4; // how far from a face a board is pulled onto it
+const LAYOUT_SURFACE_OFFSET = 0.1; // boards sit just off the face they snap to
+const LAYOUT_TRANSLATION_STEP = 0.5;
+const LAYOUT_ROTATION_STEP = THREE.MathUtils.degToRad(15);
+const LAYOUT_SCALE_STEP = 0.05;
+const LAYOUT_CLICK_GRACE_MS = 250; // the click that ends a gizmo drag does not select
+const BOARD_UP = new THREE.Vector3(0, 1, 0); // the side the components face
+const placementSurfaces = []; // walls and table tops (createRoom, createMetallicTable)
+
+const layoutEditor = {
+    active: false,
+    gizmo: null,
+    mode: 'translate',
+    snap: true,
+    selected: null, // device id under the gizmo
+    dirty: new Set(), // device ids moved since the last save
+    moved: false, // the current drag changed the board
+    draggedAt: 0
+};
+
+function initLayoutEditor() {
+    const gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.addEventListener('dragging-changed', (event) => {
+        controls.enabled = !event.value;
+        if (event.value) {
+            layoutEditor.moved = false;
+            return;
+        }
+        layoutEditor.draggedAt = performance.now();
+        const group = esp32Models.get(layoutEditor.selected);
+        if (!group || !layoutEditor.moved) return;
+        if (layoutEditor.snap && layoutEditor.mode === 'translate') snapToSurface(group);
+        markLayoutEdited(group);
+    });
+    gizmo.addEventListener('objectChange', () => {
+        const group = esp32Models.get(layoutEditor.selected);
+        if (!group) return;
+        layoutEditor.moved = true;
+        if (layoutEditor.mode === 'scale') keepUniformScale(group);
+        moveDeviceLabel(group);
+    });
+    scene.add(gizmo);
+    layoutEditor.gizmo = gizmo;
+    setLayoutSnap(true);
+
+    document.getElementById('layout-toggle-button').addEventListener('click', () => {
+        if (layoutEditor.active) closeLayoutEditor();
+        else openLayoutEditor();
+    });
+    document.querySelectorAll('#layout-bar [data-mode]').forEach((button) => {
+        button.addEventListener('click', () => setLayoutMode(button.dataset.mode));
+    });
+    document.getElementById('layout-snap').addEventListener('change', (event) => setLayoutSnap(event.target.checked));
+    document.getElementById('layout-save-button').addEventListener('click', saveLayout);
+    document.getElementById('layout-download-button').addEventListener('click', downloadLayout);
+    document.getElementById('layout-revert-button').addEventListener('click', revertLayout);
+    document.getElementById('layout-exit-button').addEventListener('click', closeLayoutEditor);
+    updateLayoutControls();
+}
+
+function openLayoutEditor() {
+    layoutEditor.active = true;
+    document.getElementById('layout-bar').hidden = false;
+    updateLayoutControls();
+}
+
+function closeLayoutEditor() {
+    if (layoutEditor.dirty.size > 0) {
+        if (!confirm(`Discard the unsaved placement of ${layoutEditor.dirty.size} device(s)?`)) return;
+        revertLayout();
+    }
+    selectLayoutDevice(null);
+    layoutEditor.active = false;
+    document.getElementById('layout-bar').hidden = true;
+}
+
+function selectLayoutDevice(deviceId) {
+    const group = deviceId ? esp32Models.get(deviceId) : null;
+    layoutEditor.selected = group ? deviceId : null;
+    if (group) layoutEditor.gizmo.attach(group);
+    else layoutEditor.gizmo.detach();
+    updateLayoutControls();
+}
+
+function setLayoutMode(mode) {
+    if (!LAYOUT_MODES.includes(mode)) return;
+    layoutEditor.mode = mode;
+    layoutEditor.gizmo.setMode(mode);
+    updateLayoutControls();
+}
+
+function setLayoutSnap(enabled) {
+    layoutEditor.snap = enabled;
+    layoutEditor.gizmo.setTranslationSnap(enabled ? LAYOUT_TRANSLATION_STEP : null);
+    layoutEditor.gizmo.setRotationSnap(enabled ? LAYOUT_ROTATION_STEP : null);
+    layoutEditor.gizmo.setScaleSnap(enabled ? LAYOUT_SCALE_STEP : null);
+}
+
+// The registry stores one scale factor: follow whichever axis handle was dragged
+function keepUniformScale(group) {
+    const { x, y, z } = group.scale;
+    const dragged = x !== y && x !== z ? x : y !== z ? y : z;
+    group.scale.setScalar(Math.max(LAYOUT_SCALE_STEP, dragged));
+}
+
+function moveDeviceLabel(group) {
+    const label = esp32Labels.find((entry) => entry.data.id === group.userData.deviceId);
+    if (label) label.mesh.position.copy(group.position).add(DEVICE_LABEL_OFFSET);
+}
+
+// Closest wall or table face to a point, within LAYOUT_SNAP_DISTANCE; undersides are skipped
+function nearestSurfaceFace(point) {
+    let nearest = null;
+    placementSurfaces.forEach((mesh) => {
+        const box = new THREE.Box3().setFromObject(mesh);
+        ['x', 'y', 'z'].forEach((axis, index) => {
+            [1, -1].forEach((sign) => {
+                if (axis === 'y' && sign < 0) return;
+                const onFace = point.clone().clamp(box.min, box.max);
+                onFace[axis] = sign > 0 ? box.max[axis] : box.min[axis];
+                const distance = onFace.distanceTo(point);
+                if (nearest && distance >= nearest.distance) return;
+                nearest = { point: onFace, normal: new THREE.Vector3().setComponent(index, sign), distance };
+            });
+        });
+    });
+    return nearest && nearest.distance <= LAYOUT_SNAP_DISTANCE ? nearest : null;
+}
+
+function snapToSurface(group) {
+    const face = nearestSurfaceFace(group.position);
+    if (!face) return;
+    group.position.copy(face.point).addScaledVector(face.normal, LAYOUT_SURFACE_OFFSET);
+    if (face.normal.y > 0) {
+        group.rotation.set(0, group.rotation.y, 0); // flat on the table, keeping its heading
+    } else {
+        group.quaternion.setFromUnitVectors(BOARD_UP, face.normal);
+    }
+    moveDeviceLabel(group);
+}
+
+function markLayoutEdited(group) {
+    layoutEditor.dirty.add(group.userData.deviceId);
+    updateLayoutControls();
+}
+
+function roundTo(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// A board's placement in the registry's { position, rotation, scale } form
+function boardPlacement(group) {
+    const vector = (source, digits) => ({ x: roundTo(source.x, digits), y: roundTo(source.y, digits), z: roundTo(source.z, digits) });
+    return { position: vector(group.position, 2), rotation: vector(group.rotation, 3), scale: roundTo(group.scale.x, 3) };
+}
+
+function layoutDevices() {
+    return esp32Data.map(({ health, topics, ...device }) => ({
+        ...device,
+        placement: layoutEditor.dirty.has(device.id) ? boardPlacement(esp32Models.get(device.id)) : device.placement
+    }));
+}
+
+async function saveLayout() {
+    const changed = layoutDevices().filter((device) => layoutEditor.dirty.has(device.id));
+    for (const device of changed) {
+        try {
+            const response = await apiFetch(`${DEVICES_API_URL}/${encodeURIComponent(device.id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(device)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const reason = data.error || (data.errors && data.errors.join('; ')) || response.statusText;
+                addConsoleMessage(`Layout: ${device.name} not saved (${reason})`, 'warn');
+                continue;
+            }
+            layoutEditor.dirty.delete(device.id);
+        } catch (error) {
+            console.error('Error saving the device layout:', error);
+            addConsoleMessage('Cannot reach the bridge server', 'error');
+            break;
+        }
+    }
+    if (layoutEditor.dirty.size === 0) addConsoleMessage(`Layout: ${changed.length} device placement(s) saved`, 'system');
+    updateLayoutControls();
+}
+
+function downloadLayout() {
+    const blob = new Blob([JSON.stringify({ devices: layoutDevices() }, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `devices-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    // Revoking straight after click() can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Put every board back where the registry has it
+function revertLayout() {
+    layoutEditor.dirty.clear();
+    applyDevices(esp32Data);
+}
+
+function updateLayoutControls() {
+    const bar = document.getElementById('layout-bar');
+    if (!bar || !layoutEditor.gizmo) return;
+    const data = esp32Data.find((entry) => entry.id === layoutEditor.selected);
+    document.getElementById('layout-selection').textContent = data
+        ? `${data.name}${layoutEditor.dirty.has(data.id) ? ' (moved)' : ''}`
+        : 'Click a board to move it';
+    bar.querySelectorAll('[data-mode]').forEach((button) => {
+        button.classList.toggle('active', button.dataset.mode === layoutEditor.mode);
+    });
+    const save = document.getElementById('layout-save-button');
+    save.hidden = !hasRole('operator');
+    save.disabled = layoutEditor.dirty.size === 0;
+    save.textContent = layoutEditor.dirty.size > 0 ? `Save to Registry (${layoutEditor.dirty.size})` : 'Save to Registry';
+    document.getElementById('layout-revert-button').disabled = layoutEditor.dirty.size === 0;
+}
+
+// --- NODE HEALTH ---
+// Online/stale/offline status of the field nodes from their heartbeats, tracked by
+// the bridge (GET /nodes once, then 'node_health' socket events)
+const NODE_STATUS_COLORS = { online: '#00ff00', stale: '#ffbf00', offline: '#ff3b30' };
+const NODE_UNKNOWN_COLOR = '#888888'; // not reported by the bridge (yet)
+
+function nodeStatusColor(health) {
+    return health ? NODE_STATUS_COLORS[health.status] : NODE_UNKNOWN_COLOR;
+}
+
+function formatAge(iso) {
+    const seconds = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// "ONLINE · seen 3s ago · -61 dBm"; detailed adds uptime for the popup
+function describeNodeHealth(health, detailed = false) {
+    if (!health) return 'NO STATUS';
+    const parts = [health.status.toUpperCase()];
+    parts.push(health.lastSeen ? `seen ${formatAge(health.lastSeen)} ago` : 'never seen');
+    if (health.rssi !== null) parts.push(`${health.rssi} dBm`);
+    if (detailed && health.uptimeS !== null) parts.push(`up ${formatAge(new Date(Date.now() - health.uptimeS * 1000).toISOString())}`);
+    if (detailed && health.status === 'offline' && health.reason === 'last-will') parts.push('disconnected (last will)');
+    return parts.join(' · ');
+}
+
+function applyNodeHealth(node) {
+    const data = esp32Data.find((entry) => entry.id === node.id);
+    if (!data) return;
+    const previous = data.health;
+    data.health = node;
+    if (previous && previous.status !== node.status) {
+        addConsoleMessage(`Node ${data.name}: ${previous.status} → ${node.status}`, node.status === 'online' ? 'info' : 'warn');
+    }
+
+    const label = esp32Labels.find((entry) => entry.data === data);
+    if (label) updateLabelContent(label);
+    const popup = document.getElementById('dynamic-esp32-popup');
+    if (popup && popup.style.display === 'flex' && popup.dataset.node === node.id) {
+        updatePopupContent(popup, data);
+    }
+}
+
+async function loadNodeHealth() {
+    try {
+        const response = await apiFetch(NODES_API_URL);
+        if (!response.ok) return;
+        const { nodes } = await response.json();
+        nodes.forEach(applyNodeHealth);
+    } catch (error) {
+        console.error('Error loading node health:', error);
+    }
+}
+
+// --- NODE TELEMETRY ---
+// Live sensor values with last-hour sparklines in the device popups: history from
+// GET /nodes/:id/telemetry when a popup opens, then 'node_telemetry' socket events
+const TELEMETRY_WINDOW_MS = 60 * 60 * 1000;
+const nodeTelemetry = new Map(); // node id → { metric: [[epoch ms, value], ...] }
+
+function appendTelemetry(reading) {
+    const metrics = nodeTelemetry.get(reading.node) || {};
+    const at = Date.parse(reading.at);
+    Object.entries(reading.values).forEach(([metric, value]) => {
+        const samples = metrics[metric] || [];
+        samples.push([at, value]);
+        while (samples.length > 0 && samples[0][0] < at - TELEMETRY_WINDOW_MS) samples.shift();
+        metrics[metric] = samples;
+    });
+    nodeTelemetry.set(reading.node, metrics);
+    refreshTelemetry(reading.node);
+}
+
+async function loadNodeTelemetry(nodeId) {
+    try {
+        const response = await apiFetch(`${NODES_API_URL}/${encodeURIComponent(nodeId)}/telemetry`);
+        if (!response.ok) return;
+        const history = await response.json();
+        const metrics = {};
+        Object.entries(history.metrics).forEach(([metric, series]) => {
+            metrics[metric] = series.samples;
+        });
+        nodeTelemetry.set(nodeId, metrics);
+        refreshTelemetry(nodeId);
+    } catch (error) {
+        console.error(`Error loading telemetry for ${nodeId}:`, error);
+    }
+}
+
+// Redraw the open popup if it shows this node
+function refreshTelemetry(nodeId) {
+    const popup = document.getElementById('dynamic-esp32-popup');
+    if (!popup || popup.style.display !== 'flex' || popup.dataset.node !== nodeId) return;
+    const data = esp32Data.find((entry) => entry.id === nodeId);
+    if (data) renderTelemetry(popup, data);
+}
+
+function formatReading(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function renderTelemetry(popup, data) {
+    const section = popup.querySelector('#dynamic-popup-telemetry');
+    const grid = popup.querySelector('#dynamic-popup-telemetry-grid');
+    if (!section || !grid) return;
+    if (data.metrics.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+
+    const metrics = nodeTelemetry.get(data.id) || {};
+    grid.replaceChildren(...data.metrics.map((metric) => {
+        const samples = metrics[metric.key] || [];
+        const latest = samples[samples.length - 1];
+        const tile = document.createElement('div');
+        tile.className = 'telemetry-tile';
+        const label = document.createElement('div');
+        label.className = 'telemetry-label';
+        label.textContent = metric.label;
+        const value = document.createElement('div');
+        value.className = 'telemetry-value';
+        value.textContent = latest ? `${formatReading(latest[1])} ${metric.unit}` : 'no data';
+        const sparkline = document.createElement('canvas');
+        sparkline.className = 'telemetry-sparkline';
+        sparkline.width = 220;
+        sparkline.height = 48;
+        tile.append(label, value, sparkline);
+        if (samples.length > 0) {
+            const values = samples.map(([, reading]) => reading);
+            tile.title = `Last hour: min ${formatReading(Math.min(...values))}, max ${formatReading(Math.max(...values))} ${metric.unit}`;
+        }
+        drawSparkline(sparkline, samples);
+        return tile;
+    }));
+}
+
+// Last hour left to right, scaled to the values in it
+function drawSparkline(canvas, samples) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (samples.length < 2) return;
+
+    const end = samples[samples.length - 1][0];
+    const values = samples.map(([, value]) => value);
+    const min = Math.min(...values);
+    const span = Math.max(...values) - min || 1;
+    ctx.strokeStyle = '#4a90e2';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    samples.forEach(([at, value], index) => {
+        const x = (1 - (end - at) / TELEMETRY_WINDOW_MS) * width;
+        const y = height - 3 - ((value - min) / span) * (height - 6);
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+
+// --- TRENDS ---
+// Stored telemetry from GET /telemetry/:node/:metric, several metrics overlaid in
+// the sidebar. Each line is scaled to its own range (the units differ); the
+// legend carries the latest value and the range of the window.
+const TREND_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#1abc9c'];
+const TREND_REFRESH_INTERVAL = 60000;
+const TREND_DEFAULTS = ['temperature-control/temperature', 'energy-management/current'];
+const trendSeries = []; // { node, metric, label, unit, color, points }
+let trendRefreshInterval = null;
+
+// Every metric a registry device declares, as 'node/metric' options
+function populateTrendMetrics() {
+    const select = document.getElementById('trend-metric');
+    select.replaceChildren(...esp32Data.flatMap((data) => data.metrics.map((metric) => {
+        const option = document.createElement('option');
+        option.value = `${data.id}/${metric.key}`;
+        option.textContent = `${data.name} · ${metric.label}`;
+        return option;
+    })));
+}
+
+function addTrendSeries(value) {
+    if (!value || trendSeries.some((series) => `${series.node}/${series.metric}` === value)) return;
+    const [node, key] = value.split('/');
+    const data = esp32Data.find((entry) => entry.id === node);
+    const metric = data && data.metrics.find((entry) => entry.key === key);
+    if (!metric) return;
+    const color = TREND_COLORS.find((candidate) => !trendSeries.some((series) => series.color === candidate)) || TREND_COLORS[0];
+    trendSeries.push({ node, metric: key, label: `${data.name} · ${metric.label}`, unit: metric.unit, color, points: [] });
+    loadTrends();
+}
+
+function removeTrendSeries(index) {
+    trendSeries.splice(index, 1);
+    drawTrends();
+}
+
+function startTrends() {
+    stopTrends();
+    populateTrendMetrics();
+    if (trendSeries.length === 0) TREND_DEFAULTS.forEach(addTrendSeries);
+    else loadTrends();
+    trendRefreshInterval = setInterval(loadTrends, TREND_REFRESH_INTERVAL);
+}
+
+function stopTrends() {
+    clearInterval(trendRefreshInterval);
+    trendRefreshInterval = null;
+}
+
+async function loadTrends() {
+    const rangeMs = Number(document.getElementById('trend-range').value);
+    const to = new Date();
+    const from = new Date(to.getTime() - rangeMs);
+    await Promise.all(trendSeries.map(async (series) => {
+        try {
+            const query = `from=${from.toISOString()}&to=${to.toISOString()}`;
+            const response = await apiFetch(`${TELEMETRY_API_URL}/${encodeURIComponent(series.node)}/${encodeURIComponent(series.metric)}?${query}`);
+            if (!response.ok) return;
+            const history = await response.json();
+            series.points = history.points.map((point) => [Date.parse(point.at), point.avg]);
+        } catch (error) {
+            console.error(`Error loading trend ${series.node}/${series.metric}:`, error);
+        }
+    }));
+    drawTrends(from.getTime(), to.getTime());
+}
+
+function drawTrends(fromMs = Date.now() - Number(document.getElementById('trend-range').value), toMs = Date.now()) {
+    const legend = document.getElementById('trend-legend');
+    legend.replaceChildren(...trendSeries.map((series, index) => {
+        const item = document.createElement('div');
+        item.className = 'trend-legend-item';
+        item.style.borderLeftColor = series.color;
+        const values = series.points.map(([, value]) => value);
+        const latest = values[values.length - 1];
+        item.textContent = values.length > 0
+            ? `${series.label}: ${formatReading(latest)} ${series.unit} (${formatReading(Math.min(...values))}–${formatReading(Math.max(...values))})`
+            : `${series.label}: no data`;
+        const remove = document.createElement('button');
+        remove.className = 'trend-remove';
+        remove.textContent = '×';
+        remove.title = 'Remove from the chart';
+        remove.addEventListener('click', () => removeTrendSeries(index));
+        item.append(remove);
+        return item;
+    }));
+
+    const canvas = document.getElementById('trend-chart');
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    trendSeries.forEach((series) => {
+        if (series.points.length < 2) return;
+        const values = series.points.map(([, value]) => value);
+        const min = Math.min(...values);
+        const span = Math.max(...values) - min || 1;
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        series.points.forEach(([at, value], index) => {
+            const x = ((at - fromMs) / (toMs - fromMs)) * width;
+            const y = height - 4 - ((value - min) / span) * (height - 8);
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    });
+}
+
+// --- RULES ---
+// Threshold rules from /rules: a telemetry metric, machine state or door leaf held
+// past a value for some seconds raises an alarm and/or sends commands. The Rules
+// dialog lists them with their live status; a dry run replays the form's rule over
+// the last 24 h of recorded history without acting.
+const RULE_OPERATORS = { telemetry: ['>', '>=', '<', '<=', '==', '!='], state: ['==', '!='], leaf: ['==', '!='] };
+const RULE_DRY_RUN_MS = 24 * 60 * 60 * 1000;
+let ruleList = [];
+let editingRuleId = null; // null while the form holds a new rule
+
+// Options of the target select for a condition type: 'node/metric', machine or 'door/leaf'
+function ruleTargets(type) {
+    if (type === 'telemetry') {
+        return esp32Data.flatMap((data) => data.metrics.map((metric) => ({
+            value: `${data.id}/${metric.key}`,
+            label: `${data.name} · ${metric.label} (${metric.unit})`
+        })));
+    }
+    const doors = [...doorPairs.values()];
+    if (type === 'state') {
+        return [{ value: 'robot', label: 'Robot' }].concat(doors.map((pair) => ({ value: `door:${pair.id}`, label: `Door ${pair.name}` })));
+    }
+    return doors.flatMap((pair) => ['main', 'small'].map((leaf) => ({ value: `${pair.id}/${leaf}`, label: `${pair.name} · ${leaf} door` })));
+}
+
+function fillSelect(select, options, selected) {
+    select.replaceChildren(...options.map(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    if (selected !== undefined && options.some((option) => option.value === selected)) select.value = selected;
+}
+
+function updateRuleConditionFields(target, op) {
+    const type = document.getElementById('rule-condition-type').value;
+    fillSelect(document.getElementById('rule-target'), ruleTargets(type), target);
+    fillSelect(document.getElementById('rule-op'), RULE_OPERATORS[type].map((value) => ({ value, label: value })), op);
+    document.getElementById('rule-value').placeholder = type === 'telemetry' ? 'Number' : (type === 'leaf' ? 'OPEN / CLOSED' : 'State, e.g. FOG_LOCKED');
+}
+
+function describeRuleCondition(condition) {
+    if (condition.type === 'telemetry') return `${condition.node}/${condition.metric} ${condition.op} ${condition.value}`;
+    if (condition.type === 'state') return `${condition.machine} ${condition.op} ${condition.value}`;
+    return `${condition.door} ${condition.leaf} door ${condition.op} ${condition.value}`;
+}
+
+function describeRuleActions(actions) {
+    return actions.map((action) => {
+        if (action.type === 'alarm') return `${action.severity} alarm`;
+        if (action.type === 'publish') return `publish ${action.payload} → ${action.topic}`;
+        return action.type === 'robot_stop' ? 'stop robot' : 'fog hazard';
+    }).join(', ');
+}
+
+// Rule list with live status, as sent by the bridge on every change
+function applyRules(rules) {
+    ruleList = rules;
+    const list = document.getElementById('rules-list');
+    if (ruleList.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'rule-details';
+        empty.textContent = 'No rules defined';
+        list.replaceChildren(empty);
+        return;
+    }
+    // Built with textContent: names and messages are typed in by operators
+    list.replaceChildren(...ruleList.map((rule) => {
+        const { status } = rule;
+        const row = document.createElement('div');
+        row.className = `rule-row${!rule.enabled ? ' rule-disabled' : (status.fired ? ' rule-fired' : (status.holding ? ' rule-holding' : ''))}`;
+        const title = document.createElement('div');
+        title.className = 'alarm-title';
+        title.textContent = rule.name;
+        const summary = document.createElement('div');
+        summary.textContent = `If ${describeRuleCondition(rule.condition)} for ${rule.forMs / 1000} s → ${describeRuleActions(rule.actions)}`;
+        const details = document.createElement('div');
+        details.className = 'rule-details';
+        const state = !rule.enabled ? 'disabled' : (status.fired ? 'FIRED' : (status.holding ? `holding since ${new Date(status.since).toLocaleTimeString('en-GB', { hour12: false })}` : 'armed'));
+        const lastFired = status.lastFiredAt ? ` · last fired ${new Date(status.lastFiredAt).toLocaleString('en-GB', { hour12: false })}` : '';
+        details.textContent = `${state} · fired ${status.fireCount}×${lastFired}`;
+        row.append(title, summary, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'rule-actions';
+        actions.append(alarmButton('Edit', () => fillRuleForm(rule)));
+        if (hasRole('operator')) {
+            actions.append(
+                alarmButton(rule.enabled ? 'Disable' : 'Enable', () => sendRule('PUT', rule.id, { ...rule, enabled: !rule.enabled })),
+                alarmButton('Delete', () => deleteRule(rule))
+            );
+        }
+        row.append(actions);
+        return row;
+    }));
+}
+
+async function loadRules() {
+    try {
+        const response = await apiFetch(RULES_API_URL);
+        if (response.ok) applyRules((await response.json()).rules);
+    } catch (error) {
+        console.error('Error loading rules:', error);
+    }
+}
+
+function openRules() {
+    document.getElementById('rule-save-button').hidden = !hasRole('operator');
+    document.getElementById('rules-overlay').hidden = false;
+    if (editingRuleId === null && !document.getElementById('rule-name').value) fillRuleForm(null);
+    loadRules();
+}
+
+function closeRules() {
+    document.getElementById('rules-overlay').hidden = true;
+}
+
+// Load a rule into the form (null for a blank one)
+function fillRuleForm(rule) {
+    editingRuleId = rule ? rule.id : null;
+    const condition = rule ? rule.condition : { type: 'telemetry', op: '>', value: '' };
+    const actions = rule ? rule.actions : [{ type: 'alarm', severity: 'medium', message: null }];
+    const find = (type) => actions.find((action) => action.type === type);
+
+    document.getElementById('rule-name').value = rule ? rule.name : '';
+    document.getElementById('rule-enabled').checked = rule ? rule.enabled : true;
+    document.getElementById('rule-condition-type').value = condition.type;
+    const target = condition.type === 'telemetry'
+        ? `${condition.node}/${condition.metric}`
+        : (condition.type === 'state' ? condition.machine : `${condition.door}/${condition.leaf}`);
+    updateRuleConditionFields(target, condition.op);
+    document.getElementById('rule-value').value = String(condition.value);
+    document.getElementById('rule-for').value = rule ? String(rule.forMs / 1000) : '10';
+
+    const alarm = find('alarm');
+    document.getElementById('rule-action-alarm').checked = Boolean(alarm);
+    document.getElementById('rule-alarm-severity').value = alarm ? alarm.severity : 'medium';
+    document.getElementById('rule-alarm-message').value = (alarm && alarm.message) || '';
+    document.getElementById('rule-action-robot-stop').checked = Boolean(find('robot_stop'));
+    document.getElementById('rule-action-fog-hazard').checked = Boolean(find('fog_hazard'));
+    const publish = find('publish');
+    document.getElementById('rule-action-publish').checked = Boolean(publish);
+    document.getElementById('rule-publish-topic').value = publish ? publish.topic : '';
+    document.getElementById('rule-publish-payload').value = publish ? publish.payload : '';
+    document.getElementById('rule-save-button').textContent = rule ? 'Save Changes' : 'Create Rule';
+    document.getElementById('rule-error').textContent = '';
+    document.getElementById('rule-dry-run-output').replaceChildren();
+}
+
+// The form as a rule body for POST/PUT /rules and the dry run
+function readRuleForm() {
+    const type = document.getElementById('rule-condition-type').value;
+    const target = document.getElementById('rule-target').value;
+    const op = document.getElementById('rule-op').value;
+    const rawValue = document.getElementById('rule-value').value.trim();
+    let condition;
+    if (type === 'telemetry') {
+        const [node, metric] = target.split('/');
+        condition = { type, node, metric, op, value: rawValue === '' ? null : Number(rawValue) };
+    } else if (type === 'state') {
+        condition = { type, machine: target, op, value: rawValue.toUpperCase() };
+    } else {
+        const [door, leaf] = target.split('/');
+        condition = { type, door, leaf, op, value: rawValue.toUpperCase() };
+    }
+
+    const actions = [];
+    if (document.getElementById('rule-action-alarm').checked) {
+        const message = document.getElementById('rule-alarm-message').value.trim();
+        actions.push({ type: 'alarm', severity: document.getElementById('rule-alarm-severity').value, message: message || null });
+    }
+    if (document.getElementById('rule-action-robot-stop').checked) actions.push({ type: 'robot_stop' });
+    if (document.getElementById('rule-action-fog-hazard').checked) actions.push({ type: 'fog_hazard' });
+    if (document.getElementById('rule-action-publish').checked) {
+        actions.push({
+            type: 'publish',
+            topic: document.getElementById('rule-publish-topic').value.trim(),
+            payload: document.getElementById('rule-publish-payload').value
+        });
+    }
+    return {
+        name: document.getElementById('rule-name').value.trim(),
+        enabled: document.getElementById('rule-enabled').checked,
+        forMs: Math.round(Number(document.getElementById('rule-for').value) * 1000),
+        condition,
+        actions
+    };
+}
+
+function showRuleErrors(data) {
+    document.getElementById('rule-error').textContent = (data.errors || [data.error]).join('; ');
+}
+
+// POST /rules (id null) or PUT /rules/:id; returns the saved rule or null
+async function sendRule(method, id, body) {
+    try {
+        const response = await apiFetch(id ? `${RULES_API_URL}/${encodeURIComponent(id)}` : RULES_API_URL, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showRuleErrors(data);
+            return null;
+        }
+        loadRules();
+        return data.rule;
+    } catch (error) {
+        console.error('Error saving rule:', error);
+        document.getElementById('rule-error').textContent = 'Cannot reach the bridge server';
+        return null;
+    }
+}
+
+async function saveRule(event) {
+    event.preventDefault();
+    const rule = await sendRule(editingRuleId ? 'PUT' : 'POST', editingRuleId, readRuleForm());
+    if (!rule) return;
+    addConsoleMessage(`Rule "${rule.name}" saved`, 'system');
+    fillRuleForm(rule);
+}
+
+async function deleteRule(rule) {
+    if (!confirm(`Delete rule "${rule.name}"?`)) return;
+    try {
+        const response = await apiFetch(`${RULES_API_URL}/${encodeURIComponent(rule.id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            showRuleErrors(await response.json());
+            return;
+        }
+        if (editingRuleId === rule.id) fillRuleForm(null);
+        addConsoleMessage(`Rule "${rule.name}" deleted`, 'system');
+        loadRules();
+    } catch (error) {
+        console.error('Error deleting rule:', error);
+        document.getElementById('rule-error').textContent = 'Cannot reach the bridge server';
+    }
+}
+
+async function dryRunRule() {
+    const output = document.getElementById('rule-dry-run-output');
+    document.getElementById('rule-error').textContent = '';
+    output.textContent = 'Replaying the last 24 h…';
+    const to = new Date();
+    try {
+        const response = await apiFetch(`${RULES_API_URL}/dry-run`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rule: readRuleForm(), from: new Date(to.getTime() - RULE_DRY_RUN_MS).toISOString(), to: to.toISOString() })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            output.replaceChildren();
+            showRuleErrors(data);
+            return;
+        }
+        const heading = document.createElement('div');
+        heading.textContent = `${data.samples} recorded values · would have fired ${data.fires}×`;
+        output.replaceChildren(heading, ...data.events.map((entry) => {
+            const line = document.createElement('div');
+            line.className = 'rule-details';
+            line.textContent = `${new Date(entry.at).toLocaleString('en-GB', { hour12: false })} ${entry.event === 'fire' ? 'FIRE' : 're-arm'} (${entry.value})`;
+            return line;
+        }));
+    } catch (error) {
+        console.error('Error running rule dry run:', error);
+        output.textContent = 'Cannot reach the bridge server';
+    }
+}
+
 // --- ESP32 POPUP FUNCTIONALITY ---
 let raycaster, mouse;
 
-function setupESP32ClickListeners(esp32Group, esp32Group1, esp32Group2, esp32Group3, esp32Group4, esp32Group5, esp32Group6, esp32Group7) {
+function setupESP32ClickListeners() {
     // Initialize raycaster and mouse for click detection
     raycaster = new THREE.Raycaster();
     mouse = new THREE.Vector2();
 
-    // Add click event listener to the renderer canvas
+    // Add click event listener to the renderer canvas; the boards carry their
+    // device id in userData (see applyDevices)
     renderer.domElement.addEventListener('click', onESP32Click, false);
-    
-    // Store references to ESP32 groups for click detection with data indices
-    const esp32Groups = [esp32Group, esp32Group1, esp32Group2, esp32Group3, esp32Group4, esp32Group5, esp32Group6, esp32Group7];
-    const popupIds = ['esp32-popup', 'esp32-access-popup', 'esp32-motion-popup', 'esp32-lighting-popup', 'esp32-security-popup', 'esp32-environmental-popup', 'esp32-iot-popup', 'esp32-automation-popup'];
-    
-    esp32Groups.forEach((group, index) => {
-        if (group) {
-            group.userData.popupId = popupIds[index];
-            group.userData.dataIndex = index;
-            group.userData.name = esp32Data[index] ? esp32Data[index].name : `ESP32_${index}`;
-        }
-    });
 }
 
 function onESP32Click(event) {
+    if (layoutEditor.active && performance.now() - layoutEditor.draggedAt < LAYOUT_CLICK_GRACE_MS) return;
+
     // Calculate mouse position in normalized device coordinates (-1 to +1)
     const rect = renderer.domElement.getBoundingClientRect();
     mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -3410,30 +5376,36 @@ function onESP32Click(event) {
             let object = intersects[i].object;
             
             // Check if clicked object is a label
-            const labelIndex = esp32Labels.findIndex(label => label.mesh === object);
-            if (labelIndex !== -1) {
-                console.log(`Clicked on label for ${esp32Labels[labelIndex].data.name}`);
-                showDynamicPopup(labelIndex);
+            const label = esp32Labels.find(entry => entry.mesh === object);
+            if (label) {
+                console.log(`Clicked on label for ${label.data.name}`);
+                openDevice(label.data.id);
                 return;
             }
             
             // Traverse up the hierarchy to find ESP32 group
             while (object.parent) {
-                if (object.userData.popupId && object.userData.dataIndex !== undefined) {
+                if (object.userData.deviceId) {
                     console.log(`Clicked on ${object.userData.name}`);
-                    showDynamicPopup(object.userData.dataIndex);
+                    openDevice(object.userData.deviceId);
                     return;
                 }
                 object = object.parent;
             }
         }
     }
+    if (layoutEditor.active) selectLayoutDevice(null);
 }
 
-function showDynamicPopup(dataIndex) {
-    if (!esp32Data[dataIndex]) return;
-    
-    const data = esp32Data[dataIndex];
+// In layout mode a click picks the board for the gizmo instead of opening its popup
+function openDevice(deviceId) {
+    if (layoutEditor.active) selectLayoutDevice(deviceId);
+    else showDynamicPopup(deviceId);
+}
+
+function showDynamicPopup(deviceId) {
+    const data = esp32Data.find((entry) => entry.id === deviceId);
+    if (!data) return;
     
     // Create or get dynamic popup
     let popup = document.getElementById('dynamic-esp32-popup');
@@ -3443,49 +5415,65 @@ function showDynamicPopup(dataIndex) {
     
     // Update popup content
     updatePopupContent(popup, data);
+    if (data.metrics.length > 0) loadNodeTelemetry(data.id);
     
     // Show popup
     popup.style.display = 'flex';
     console.log(`Showing dynamic popup for: ${data.name}`);
 }
 
+// Small element builder for the popup skeleton; device fields are filled in
+// later by updatePopupContent, always as text
+function createElementWith(tag, attributes = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    element.append(...children);
+    return element;
+}
+
 function createDynamicPopup() {
-    const popup = document.createElement('div');
-    popup.id = 'dynamic-esp32-popup';
-    popup.className = 'popup-overlay';
-    popup.innerHTML = `
-        <div class="popup-content">
-            <div class="popup-header">
-                <h2 class="popup-title" id="dynamic-popup-title">ESP32 Device</h2>
-                <button class="close-btn" onclick="closePopup('dynamic-esp32-popup')">&times;</button>
-            </div>
-            <div class="popup-body">
-                <div class="popup-left">
-                    <img id="dynamic-popup-image" src="" alt="ESP32 Device" class="popup-image">
-                </div>
-                <div class="popup-right">
-                    <div class="popup-description">
-                        <p id="dynamic-popup-description">Device description</p>
-                        
-                        <div id="dynamic-popup-components" class="popup-specs" style="display: none;">
-                            <h3>Components Summary:</h3>
-                            <table class="components-table">
-                                <thead>
-                                    <tr>
-                                        <th>Component Type</th>
-                                        <th>Component Name</th>
-                                    </tr>
-                                </thead>
-                                <tbody id="dynamic-popup-components-table">
-                                </tbody>
-                            </table>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
-    
+    const closeButton = createElementWith('button', { class: 'close-btn' }, ['×']);
+    closeButton.addEventListener('click', () => closePopup('dynamic-esp32-popup'));
+
+    const componentsHead = createElementWith('thead', {}, [
+        createElementWith('tr', {}, [
+            createElementWith('th', {}, ['Component Type']),
+            createElementWith('th', {}, ['Component Name'])
+        ])
+    ]);
+
+    const popup = createElementWith('div', { id: 'dynamic-esp32-popup', class: 'popup-overlay' }, [
+        createElementWith('div', { class: 'popup-content' }, [
+            createElementWith('div', { class: 'popup-header' }, [
+                createElementWith('h2', { class: 'popup-title', id: 'dynamic-popup-title' }, ['ESP32 Device']),
+                closeButton
+            ]),
+            createElementWith('div', { class: 'popup-body' }, [
+                createElementWith('div', { class: 'popup-left' }, [
+                    createElementWith('img', { id: 'dynamic-popup-image', alt: 'ESP32 Device', class: 'popup-image' })
+                ]),
+                createElementWith('div', { class: 'popup-right' }, [
+                    createElementWith('div', { class: 'popup-description' }, [
+                        createElementWith('p', { id: 'dynamic-popup-health', class: 'popup-health' }),
+                        createElementWith('p', { id: 'dynamic-popup-topics', class: 'popup-topics' }),
+                        createElementWith('p', { id: 'dynamic-popup-description' }, ['Device description']),
+                        createElementWith('div', { id: 'dynamic-popup-telemetry', class: 'popup-telemetry', style: 'display: none;' }, [
+                            createElementWith('h3', {}, ['Live Readings ', createElementWith('span', { class: 'telemetry-window' }, ['last hour'])]),
+                            createElementWith('div', { id: 'dynamic-popup-telemetry-grid', class: 'telemetry-grid' })
+                        ]),
+                        createElementWith('div', { id: 'dynamic-popup-components', class: 'popup-specs', style: 'display: none;' }, [
+                            createElementWith('h3', {}, ['Components Summary:']),
+                            createElementWith('table', { class: 'components-table' }, [
+                                componentsHead,
+                                createElementWith('tbody', { id: 'dynamic-popup-components-table' })
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]);
+
     document.body.appendChild(popup);
     return popup;
 }
@@ -3498,41 +5486,49 @@ function updatePopupContent(popup, data) {
     // Update image
     const image = popup.querySelector('#dynamic-popup-image');
     if (image) {
-        image.src = data.image;
+        image.style.display = data.image ? '' : 'none';
+        if (data.image) image.src = data.image;
         image.alt = data.name;
     }
     
+    popup.dataset.node = data.id;
+
+    // Heartbeat status
+    const health = popup.querySelector('#dynamic-popup-health');
+    if (health) {
+        health.textContent = describeNodeHealth(data.health, true);
+        health.style.color = nodeStatusColor(data.health);
+    }
+
+    // Board type and the node's telemetry topic
+    const topics = popup.querySelector('#dynamic-popup-topics');
+    if (topics) topics.textContent = `${DEVICE_TYPE_NAMES[data.type] || data.type} · ${data.topics.telemetry || data.id}`;
+
     // Update description
     const description = popup.querySelector('#dynamic-popup-description');
     if (description) description.textContent = data.description;
+
+    renderTelemetry(popup, data);
     
     // Update components table if available
     const componentsSection = popup.querySelector('#dynamic-popup-components');
     const componentsTable = popup.querySelector('#dynamic-popup-components-table');
-    if (data.components && componentsTable) {
+    if (data.components.length > 0 && componentsTable) {
         componentsSection.style.display = 'block';
-        componentsTable.innerHTML = '';
-        data.components.forEach(component => {
+        componentsTable.replaceChildren(...data.components.map(component => {
             const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${component.type}</td>
-                <td>${component.name}</td>
-            `;
-            componentsTable.appendChild(row);
-        });
+            [component.type, component.name].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
     } else if (componentsSection) {
         componentsSection.style.display = 'none';
     }
 }
 
-function showPopup(popupId) {
-    const popup = document.getElementById(popupId);
-    if (popup) {
-        popup.style.display = 'flex';
-        console.log(`Showing popup: ${popupId}`);
-    }
-}
-
 function closePopup(popupId) {
     const popup = document.getElementById(popupId);
     if (popup) {
@@ -3545,7 +5541,11 @@ function closePopup(popupId) {
 window.closePopup = closePopup;
 
 // Make switchDoorCamera function globally available for HTML onclick
-window.switchDoorCamera = switchDoorCamera;
+// (button clicks are audited; automatic switches during automation are not)
+window.switchDoorCamera = (mode) => {
+    switchDoorCamera(mode);
+    recordAuditAction('camera.switch', { mode });
+};
 
 // Close popup when clicking outside the content
 document.addEventListener('click', function(event) {
@@ -3576,7 +5576,7 @@ function animate() {
     const elapsedTime = clock.getElapsedTime();
 
     // ✅ Replace custom human entry animation with our new function
-    updateAnimationSequence(delta);
+    updateAnimationSequence(delta * replayTimeScale());
 
     // Walking animation logic removed
     
@@ -0,0 +1,166 @@
+const { systemClock, isoNow } = require("./clock");
+
+// --- AIRLOCK INTERLOCK ---
+// Tracks the physical position of each door pair's two leaves (outer "main" door,
+// inner "small" door) from sensor topics and enforces the airlock rule: only one
+// leaf may be open at a time. Sensor reports that break the rule raise violations:
+//   BOTH_OPEN           both leaves report OPEN
+//   OPEN_WHILE_BLOCKED  a leaf opened while the door was not authorized (one per leaf)
+// Several can stand at once. Each is raised and cleared on its own: it clears as
+// soon as one of its offending leaves reports CLOSED.
+
+const LEAVES = ["main", "small"];
+const LEAF_POSITIONS = ["OPEN", "CLOSED", "UNKNOWN"]; // as reported in snapshots
+const OPEN_PAYLOADS = ["OPEN", "OPENED", "1", "TRUE"];
+const CLOSED_PAYLOADS = ["CLOSED", "CLOSE", "0", "FALSE"];
+
+function otherLeaf(leaf) {
+  return leaf === "main" ? "small" : "main";
+}
+
+// Sensor payload → "OPEN" / "CLOSED", or null when it cannot be read
+function parseLeafPosition(payload) {
+  const value = String(payload).trim().toUpperCase();
+  if (OPEN_PAYLOADS.includes(value)) return "OPEN";
+  if (CLOSED_PAYLOADS.includes(value)) return "CLOSED";
+  return null;
+}
+
+function createAirlockMonitor({
+  doors, // config.doors
+  isDoorBlocked, // (doorId) → true while the door is not authorized
+  onChange = () => {}, // (doorId, snapshot) after any leaf or violation change
+  onViolation = () => {}, // (doorId, violation)
+  onViolationCleared = () => {}, // (doorId, violation)
+  clock = systemClock
+}) {
+  const airlocks = new Map(); // door id → { sensors, leaves, violations: Map key → violation }
+
+  doors.forEach((door) => {
+    const leaves = {};
+    LEAVES.forEach((leaf) => {
+      leaves[leaf] = { position: "UNKNOWN", since: null };
+    });
+    airlocks.set(door.id, { sensors: door.sensors || null, leaves, violations: new Map() });
+  });
+
+  // Routing-table entries for every configured sensor topic
+  function sensorRoutes() {
+    return doors
+      .filter((door) => door.sensors)
+      .flatMap((door) => LEAVES
+        .filter((leaf) => door.sensors[leaf])
+        .map((leaf) => ({
+          name: `${door.id}-${leaf}-sensor`,
+          topic: door.sensors[leaf],
+          handler: "doorSensor",
+          options: { door: door.id, leaf }
+        })));
+  }
+
+  function snapshot(doorId) {
+    const airlock = airlocks.get(doorId);
+    return {
+      id: doorId,
+      sensors: Boolean(airlock.sensors),
+      leaves: JSON.parse(JSON.stringify(airlock.leaves)),
+      violations: [...airlock.violations.values()]
+    };
+  }
+
+  // Violations the leaf positions amount to after changedLeaf moved. Standing
+  // OPEN_WHILE_BLOCKED violations last while their leaf stays open, even once
+  // the door is authorized; a new one needs the leaf to open while blocked.
+  function violationsAfter(doorId, changedLeaf) {
+    const airlock = airlocks.get(doorId);
+    const { leaves } = airlock;
+    const found = new Map();
+    if (LEAVES.every((leaf) => leaves[leaf].position === "OPEN")) {
+      found.set("BOTH_OPEN", { reason: "BOTH_OPEN", leaf: changedLeaf, leaves: LEAVES.slice() });
+    }
+    LEAVES.forEach((leaf) => {
+      const key = `OPEN_WHILE_BLOCKED:${leaf}`;
+      if (leaves[leaf].position !== "OPEN") return;
+      if (airlock.violations.has(key) || (leaf === changedLeaf && isDoorBlocked(doorId))) {
+        found.set(key, { reason: "OPEN_WHILE_BLOCKED", leaf, leaves: [leaf] });
+      }
+    });
+    return found;
+  }
+
+  function checkViolations(doorId, changedLeaf) {
+    const airlock = airlocks.get(doorId);
+    const found = violationsAfter(doorId, changedLeaf);
+
+    [...airlock.violations].forEach(([key, violation]) => {
+      if (found.has(key)) return;
+      airlock.violations.delete(key);
+      onViolationCleared(doorId, violation);
+    });
+    found.forEach((violation, key) => {
+      if (airlock.violations.has(key)) return;
+      airlock.violations.set(key, { ...violation, since: isoNow(clock) });
+      onViolation(doorId, airlock.violations.get(key));
+    });
+  }
+
+  // Sensor report for one leaf; returns the new position or null for unreadable payloads
+  function report(doorId, leaf, payload) {
+    const position = parseLeafPosition(payload);
+    if (!position) {
+      console.warn(`Airlock ${doorId}: unreadable ${leaf} door sensor payload "${payload}"`);
+      return null;
+    }
+    const airlock = airlocks.get(doorId);
+    const current = airlock.leaves[leaf];
+    if (current.position === position) return position;
+
+    airlock.leaves[leaf] = { position, since: isoNow(clock) };
+    console.log(`Airlock ${doorId}: ${leaf} door ${position}`);
+    checkViolations(doorId, leaf);
+    onChange(doorId, snapshot(doorId));
+    return position;
+  }
+
+  // Interlock check for commanding a leaf open: the other leaf must not be open
+  function canOpen(doorId, leaf) {
+    const airlock = airlocks.get(doorId);
+    if (airlock.violations.size > 0) {
+      return { allowed: false, reason: "INTERLOCK_VIOLATION", violation: airlock.violations.values().next().value };
+    }
+    if (airlock.leaves[otherLeaf(leaf)].position === "OPEN") {
+      return { allowed: false, reason: "INTERLOCK", blockingLeaf: otherLeaf(leaf) };
+    }
+    return { allowed: true };
+  }
+
+  // No leaf reported open (doors without sensors are always sealed)
+  function isSealed(doorId) {
+    const { leaves } = airlocks.get(doorId);
+    return LEAVES.every((leaf) => leaves[leaf].position !== "OPEN");
+  }
+
+  // Both leaves confirmed closed by their sensors
+  function isClosed(doorId) {
+    const { leaves } = airlocks.get(doorId);
+    return LEAVES.every((leaf) => leaves[leaf].position === "CLOSED");
+  }
+
+  // Whether any violation stands at the door
+  function isViolated(doorId) {
+    return airlocks.get(doorId).violations.size > 0;
+  }
+
+  return {
+    sensorRoutes,
+    report,
+    canOpen,
+    isSealed,
+    isClosed,
+    isViolated,
+    snapshot,
+    hasSensors: (doorId) => Boolean(airlocks.get(doorId).sensors)
+  };
+}
+
+module.exports = { LEAVES, LEAF_POSITIONS, createAirlockMonitor, parseLeafPosition };
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const express = require("express");
+const { systemClock, isoNow } = require("./clock");
+const { SEVERITIES, ALARM_CODES } = require("./constants");
+
+// --- ALARMS ---
+// Hazards and faults an operator has to acknowledge, instead of console lines
+// that scroll away. Lifecycle (after ISA-18.2):
+//   raise        condition present → active, unacknowledged
+//   clear        condition gone → stays listed until acknowledged
+//   acknowledge  an operator has seen it; it leaves the list once also cleared
+//   shelve       hidden from the badge and horn for a while, then back
+// Momentary alarms (an ignored authorization, a watchdog timeout) have no
+// condition to wait for; they are raised already cleared.
+//
+//   { id, code, subject, severity, message, active, acknowledged, acknowledgedBy,
+//     acknowledgedAt, raisedAt, lastRaisedAt, clearedAt, count, shelved: { by, reason, until } | null }
+//
+// One alarm stands per code and subject (door, node, "robot"); raising it again
+// before it has left the list only bumps its count.
+
+function createAlarmManager({
+  severities = {}, // config.alarms.severities
+  onChange = () => {}, // (alarm, action, user) on raise/clear/acknowledge/shelve/unshelve
+  clock = systemClock
+} = {}) {
+  const standing = new Map(); // id → alarm, until cleared and acknowledged
+  const shelveTimers = new Map(); // id → timer
+
+  function severityOf(code, override) {
+    return override || severities[code] || ALARM_CODES[code].severity;
+  }
+
+  function find(code, subject) {
+    return [...standing.values()].find((alarm) => alarm.code === code && alarm.subject === subject) || null;
+  }
+
+  function snapshot(alarm) {
+    return { ...alarm, shelved: alarm.shelved ? { ...alarm.shelved } : null };
+  }
+
+  function retireIfDone(alarm) {
+    if (alarm.active || !alarm.acknowledged) return;
+    standing.delete(alarm.id);
+    clock.clearTimeout(shelveTimers.get(alarm.id));
+    shelveTimers.delete(alarm.id);
+  }
+
+  /**
+   * Raise (or re-raise) the alarm for code + subject; returns its snapshot.
+   * options.severity overrides the configured one (rule alarms).
+   */
+  function raise(code, subject, message, { severity = null } = {}) {
+    const { momentary } = ALARM_CODES[code];
+    const now = isoNow(clock);
+    let alarm = find(code, subject);
+    if (alarm) {
+      alarm.count += 1;
+      alarm.message = message;
+      alarm.lastRaisedAt = now;
+      if (!alarm.active && !momentary) {
+        alarm.active = true;
+        alarm.clearedAt = null;
+      }
+    } else {
+      alarm = {
+        id: crypto.randomUUID(),
+        code,
+        subject,
+        severity: severityOf(code, severity),
+        message,
+        active: !momentary,
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        raisedAt: now,
+        lastRaisedAt: now,
+        clearedAt: momentary ? now : null,
+        count: 1,
+        shelved: null
+      };
+      standing.set(alarm.id, alarm);
+      console.warn(`ALARM [${alarm.severity}] ${code} (${subject}): ${message}`);
+    }
+    onChange(snapshot(alarm), "raised", null);
+    return snapshot(alarm);
+  }
+
+  /** The condition behind code + subject has gone; returns the snapshot or null */
+  function clear(code, subject) {
+    const alarm = find(code, subject);
+    if (!alarm || !alarm.active) return null;
+    alarm.active = false;
+    alarm.clearedAt = isoNow(clock);
+    console.log(`Alarm ${code} (${subject}) cleared${alarm.acknowledged ? "" : " - awaiting acknowledgement"}`);
+    retireIfDone(alarm);
+    onChange(snapshot(alarm), "cleared", null);
+    return snapshot(alarm);
+  }
+
+  // The mutators below return { accepted, reason?, alarm }
+  function acknowledge(id, user) {
+    const alarm = standing.get(id);
+    if (!alarm) return { accepted: false, reason: "NOT_FOUND", alarm: null };
+    if (alarm.acknowledged) return { accepted: false, reason: "ALREADY_ACKNOWLEDGED", alarm: snapshot(alarm) };
+    alarm.acknowledged = true;
+    alarm.acknowledgedBy = user.username;
+    alarm.acknowledgedAt = isoNow(clock);
+    retireIfDone(alarm);
+    onChange(snapshot(alarm), "acknowledged", user);
+    return { accepted: true, alarm: snapshot(alarm) };
+  }
+
+  function shelve(id, { durationMs, reason = null }, user) {
+    const alarm = standing.get(id);
+    if (!alarm) return { accepted: false, reason: "NOT_FOUND", alarm: null };
+    clock.clearTimeout(shelveTimers.get(id));
+    alarm.shelved = { by: user.username, reason, until: new Date(clock.now() + durationMs).toISOString() };
+    shelveTimers.set(id, clock.setTimeout(() => unshelve(id, null), durationMs));
+    onChange(snapshot(alarm), "shelved", user);
+    return { accepted: true, alarm: snapshot(alarm) };
+  }
+
+  // user is null when the shelving period runs out
+  function unshelve(id, user) {
+    const alarm = standing.get(id);
+    if (!alarm) return { accepted: false, reason: "NOT_FOUND", alarm: null };
+    if (!alarm.shelved) return { accepted: false, reason: "NOT_SHELVED", alarm: snapshot(alarm) };
+    clock.clearTimeout(shelveTimers.get(id));
+    shelveTimers.delete(id);
+    alarm.shelved = null;
+    onChange(snapshot(alarm), "unshelved", user);
+    return { accepted: true, alarm: snapshot(alarm) };
+  }
+
+  // Standing alarms, most severe and most recent first, with the badge counts
+  function describe() {
+    const alarms = [...standing.values()]
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.lastRaisedAt.localeCompare(a.lastRaisedAt))
+      .map(snapshot);
+    const unshelved = alarms.filter((alarm) => !alarm.shelved);
+    const unacknowledged = unshelved.filter((alarm) => !alarm.acknowledged);
+    return {
+      summary: {
+        standing: alarms.length,
+        active: unshelved.filter((alarm) => alarm.active).length,
+        unacknowledged: unacknowledged.length,
+        shelved: alarms.length - unshelved.length,
+        highestUnacknowledged: unacknowledged.length > 0 ? unacknowledged[0].severity : null
+      },
+      alarms
+    };
+  }
+
+  function get(id) {
+    return standing.has(id) ? snapshot(standing.get(id)) : null;
+  }
+
+  function stop() {
+    shelveTimers.forEach((timer) => clock.clearTimeout(timer));
+    shelveTimers.clear();
+  }
+
+  return { raise, clear, acknowledge, shelve, unshelve, describe, get, stop };
+}
+
+// GET /alarms (viewer); POST /alarms/:id/acknowledge, /shelve, /unshelve (operator)
+function createAlarmApi({ manager, requireRole, defaultShelveMs, maxShelveMs, audit = () => {} }) {
+  const router = express.Router();
+
+  // 404 for alarms that never stood or have left the list, 409 for other refusals
+  function respond(res, outcome) {
+    if (outcome.reason === "NOT_FOUND") {
+      return res.status(404).json({ success: false, error: "No standing alarm with this id" });
+    }
+    if (!outcome.accepted) {
+      return res.status(409).json({ success: false, error: outcome.reason, alarm: outcome.alarm });
+    }
+    res.json({ success: true, alarm: outcome.alarm, alarms: manager.describe() });
+  }
+
+  function auditOutcome(req, action, params, outcome) {
+    if (outcome.reason === "NOT_FOUND") return;
+    const { code, subject } = outcome.alarm;
+    audit({
+      actor: req.user,
+      action,
+      params: { alarm: req.params.id, code, subject, ...params },
+      outcome: outcome.accepted ? "success" : "refused",
+      result: outcome.accepted ? null : { reason: outcome.reason }
+    });
+  }
+
+  router.get("/", requireRole("viewer"), (req, res) => {
+    res.json(manager.describe());
+  });
+
+  router.post("/:id/acknowledge", requireRole("operator"), (req, res) => {
+    const outcome = manager.acknowledge(req.params.id, req.user);
+    auditOutcome(req, "alarm.acknowledge", {}, outcome);
+    respond(res, outcome);
+  });
+
+  // { durationMs, reason }
+  router.post("/:id/shelve", requireRole("operator"), (req, res) => {
+    const { durationMs = defaultShelveMs, reason = null } = req.body || {};
+    if (!Number.isInteger(durationMs) || durationMs < 1 || durationMs > maxShelveMs) {
+      return res.status(400).json({ success: false, error: `durationMs must be an integer between 1 and ${maxShelveMs}` });
+    }
+    if (reason !== null && typeof reason !== "string") {
+      return res.status(400).json({ success: false, error: "reason must be a string" });
+    }
+    const outcome = manager.shelve(req.params.id, { durationMs, reason }, req.user);
+    auditOutcome(req, "alarm.shelve", { durationMs, reason }, outcome);
+    respond(res, outcome);
+  });
+
+  router.post("/:id/unshelve", requireRole("operator"), (req, res) => {
+    const outcome = manager.unshelve(req.params.id, req.user);
+    auditOutcome(req, "alarm.unshelve", {}, outcome);
+    respond(res, outcome);
+  });
+
+  return router;
+}
+
+module.exports = { SEVERITIES, ALARM_CODES, createAlarmManager, createAlarmApi };
@@ -0,0 +1,93 @@
+const express = require("express");
+
+// --- AUDIT TRAIL ---
+// Who did what: every operator action is stored with the actor, action name,
+// parameters, outcome and the door/robot state it left behind.
+//
+//   { id, ts, type: "audit", actor: { username, role }, action: "door.reset",
+//     params: {}, outcome: "success", result: {...}, state: { door, robot } }
+//
+// Entries share the event store format but live in their own directory so they
+// can be retained (and handed to reviewers) separately from the MQTT history.
+
+// Actions the dashboard may report itself; everything else is recorded server-side
+const CLIENT_ACTIONS = ["camera.switch", "automation.start_local", "auth.logout"];
+
+function createAuditLog({ store, snapshot, onEntry = () => {} }) {
+  function record({ actor, action, params = {}, outcome = "success", result = null }) {
+    const entry = store.record("audit", { actor, action, params, outcome, result, state: snapshot() });
+    console.log(`Audit: ${actor.username} (${actor.role || "anonymous"}) ${action} → ${outcome}`);
+    onEntry(entry);
+    return entry;
+  }
+
+  // actor and action accept comma-separated lists; other filters as in the event store
+  function query({ actor, action, ...filters } = {}) {
+    const actors = actor ? String(actor).split(",").map((a) => a.trim()) : null;
+    const actions = action ? String(action).split(",").map((a) => a.trim()) : null;
+    return store.query({
+      ...filters,
+      type: "audit",
+      filter: (entry) =>
+        (!actors || actors.includes(entry.actor && entry.actor.username)) &&
+        (!actions || actions.includes(entry.action))
+    });
+  }
+
+  return { record, query };
+}
+
+// GET /audit (operator) and POST /audit for actions that only happen in the dashboard
+function createAuditApi({ auditLog, requireRole, parseTime }) {
+  const router = express.Router();
+
+  router.get("/", requireRole("operator"), async (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 1000" });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "offset must be a non-negative integer" });
+    }
+
+    try {
+      parseTime(req.query.from, "from");
+      parseTime(req.query.to, "to");
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const result = await auditLog.query({
+        from: req.query.from,
+        to: req.query.to,
+        actor: req.query.actor,
+        action: req.query.action,
+        limit,
+        offset
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("Error querying audit log:", err);
+      res.status(500).json({ error: "Could not read audit log" });
+    }
+  });
+
+  // The actor always comes from the token, never from the request body
+  router.post("/", requireRole("viewer"), (req, res) => {
+    const { action, params = {} } = req.body || {};
+    if (!CLIENT_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${CLIENT_ACTIONS.join(", ")}` });
+    }
+    if (typeof params !== "object" || params === null || Array.isArray(params)) {
+      return res.status(400).json({ success: false, error: "params must be an object" });
+    }
+    const entry = auditLog.record({ actor: req.user, action, params });
+    res.status(201).json({ success: true, entry });
+  });
+
+  return router;
+}
+
+module.exports = { CLIENT_ACTIONS, createAuditLog, createAuditApi };
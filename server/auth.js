@@ -0,0 +1,293 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const { systemClock } = require("./clock");
+
+// --- AUTHENTICATION & ROLES ---
+// Users live in a local JSON file with scrypt-hashed passwords:
+//   { "users": [ { "username": "alice", "role": "operator", "passwordHash": "scrypt$<salt>$<hash>" } ] }
+// Login returns an HMAC-signed bearer token carrying the username, role and expiry.
+// maxLoginFailures wrong passwords in a row lock a user's login for lockoutMs.
+
+const ROLES = ["viewer", "operator", "admin"]; // each role includes the ones before it
+const SCRYPT_KEYLEN = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function hasRole(userRole, requiredRole) {
+  return ROLES.indexOf(userRole) >= ROLES.indexOf(requiredRole);
+}
+
+function loadUsers(usersFile) {
+  if (!fs.existsSync(usersFile)) {
+    throw new Error(
+      `Users file not found: ${usersFile}\n` +
+      `Create the first admin with: node server/auth.js add-user <username> admin`
+    );
+  }
+  const data = JSON.parse(fs.readFileSync(usersFile, "utf8"));
+  const users = Array.isArray(data.users) ? data.users : [];
+  users.forEach((user, index) => {
+    if (!user.username || !user.passwordHash || !ROLES.includes(user.role)) {
+      throw new Error(`${usersFile}: users[${index}] needs username, passwordHash and a role of ${ROLES.join("/")}`);
+    }
+  });
+  return users;
+}
+
+function saveUsers(usersFile, users) {
+  fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+  fs.writeFileSync(usersFile, JSON.stringify({ users }, null, 2) + "\n", { mode: 0o600 });
+}
+
+function createAuth({ usersFile, tokenSecret, tokenTtlHours, maxLoginFailures, lockoutMs, clock = systemClock }) {
+  let users = loadUsers(usersFile);
+  const loginFailures = new Map(); // username → { count, lockedUntil }, existing users only
+
+  let secret = tokenSecret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    console.warn("auth.tokenSecret not set - using a random secret, tokens will not survive a restart");
+  }
+
+  function sign(body) {
+    return crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  }
+
+  function issueToken(user) {
+    const expiresAt = clock.now() + tokenTtlHours * 60 * 60 * 1000;
+    const body = Buffer.from(JSON.stringify({ sub: user.username, role: user.role, exp: expiresAt })).toString("base64url");
+    return { token: `${body}.${sign(body)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Returns { username, role } for a valid, unexpired token, otherwise null
+  function verifyToken(token) {
+    if (typeof token !== "string") return null;
+    const [body, signature] = token.split(".");
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch (err) {
+      return null;
+    }
+    if (!claims.exp || claims.exp < clock.now()) return null;
+
+    // Role changes and removed users take effect without waiting for expiry
+    const user = users.find((u) => u.username === claims.sub);
+    if (!user) return null;
+    return { username: user.username, role: user.role };
+  }
+
+  // Milliseconds the user's login stays locked; 0 when it is not
+  function lockedForMs(username) {
+    const failures = loginFailures.get(username);
+    if (!failures || failures.lockedUntil === null) return 0;
+    const remainingMs = failures.lockedUntil - clock.now();
+    if (remainingMs > 0) return remainingMs;
+    loginFailures.delete(username);
+    return 0;
+  }
+
+  // Session for valid credentials, otherwise null; a locked user cannot log in at all
+  function login(username, password) {
+    const user = users.find((u) => u.username === username);
+    if (!user) return null;
+    if (lockedForMs(username) > 0) return null;
+    if (!verifyPassword(String(password), user.passwordHash)) {
+      const failures = loginFailures.get(username) || { count: 0, lockedUntil: null };
+      failures.count += 1;
+      if (failures.count >= maxLoginFailures) {
+        failures.lockedUntil = clock.now() + lockoutMs;
+        console.warn(`Login for "${username}" locked for ${lockoutMs} ms after ${failures.count} failed attempts`);
+      }
+      loginFailures.set(username, failures);
+      return null;
+    }
+    loginFailures.delete(username);
+    return { user: { username: user.username, role: user.role }, ...issueToken(user) };
+  }
+
+  function listUsers() {
+    return users.map(({ username, role }) => ({ username, role }));
+  }
+
+  function addUser(username, password, role) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(", ")}`);
+    if (users.some((u) => u.username === username)) throw new Error(`user "${username}" already exists`);
+    users = users.concat({ username, role, passwordHash: hashPassword(password) });
+    saveUsers(usersFile, users);
+    return { username, role };
+  }
+
+  function bearerToken(req) {
+    const header = req.headers.authorization || "";
+    return header.startsWith("Bearer ") ? header.slice("Bearer ".length) : null;
+  }
+
+  // Express middleware: 401 without a valid token, 403 below the required role
+  function requireRole(role) {
+    return (req, res, next) => {
+      const user = verifyToken(bearerToken(req));
+      if (!user) {
+        return res.status(401).json({ success: false, error: "Authentication required" });
+      }
+      if (!hasRole(user.role, role)) {
+        return res.status(403).json({ success: false, error: `Requires ${role} role` });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  // Socket.IO middleware: every connection needs a viewer token in handshake.auth.token
+  function socketMiddleware(socket, next) {
+    const user = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!user) {
+      return next(new Error("unauthorized"));
+    }
+    socket.data.user = user;
+    next();
+  }
+
+  return { login, lockedForMs, verifyToken, requireRole, socketMiddleware, listUsers, addUser };
+}
+
+// auth.enabled = false: every request is treated as an admin (local development only)
+function createOpenAccess() {
+  const anonymous = { username: "anonymous", role: "admin" };
+  return {
+    login: () => null,
+    lockedForMs: () => 0,
+    verifyToken: () => anonymous,
+    requireRole: () => (req, res, next) => {
+      req.user = anonymous;
+      next();
+    },
+    socketMiddleware: (socket, next) => {
+      socket.data.user = anonymous;
+      next();
+    },
+    listUsers: () => [],
+    addUser: () => {
+      throw new Error("Authentication is disabled");
+    }
+  };
+}
+
+// POST /auth/login, GET /auth/me, GET|POST /auth/users (admin)
+function createAuthApi(auth, { audit = () => {} } = {}) {
+  const router = express.Router();
+
+  router.post("/login", (req, res) => {
+    const { username, password } = req.body || {};
+    const lockedMs = typeof username === "string" ? auth.lockedForMs(username) : 0;
+    if (lockedMs > 0) {
+      console.log(`Login attempt for locked user "${username}"`);
+      audit({ actor: { username, role: null }, action: "auth.login", outcome: "locked" });
+      res.set("Retry-After", String(Math.ceil(lockedMs / 1000)));
+      return res.status(429).json({ success: false, error: "Too many failed logins - try again later" });
+    }
+    const session = typeof username === "string" ? auth.login(username, password) : null;
+    if (!session) {
+      console.log(`Failed login attempt for "${username}"`);
+      audit({ actor: { username: String(username), role: null }, action: "auth.login", outcome: "denied" });
+      return res.status(401).json({ success: false, error: "Invalid username or password" });
+    }
+    console.log(`User ${session.user.username} (${session.user.role}) logged in`);
+    audit({ actor: session.user, action: "auth.login" });
+    res.json({ success: true, ...session });
+  });
+
+  router.get("/me", auth.requireRole("viewer"), (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  router.get("/users", auth.requireRole("admin"), (req, res) => {
+    res.json({ users: auth.listUsers() });
+  });
+
+  router.post("/users", auth.requireRole("admin"), (req, res) => {
+    const { username, password, role } = req.body || {};
+    if (typeof username !== "string" || !username || typeof password !== "string" || password.length < 8) {
+      return res.status(400).json({ success: false, error: "username and a password of at least 8 characters are required" });
+    }
+    try {
+      const user = auth.addUser(username, password, role);
+      audit({ actor: req.user, action: "auth.user_create", params: { username, role } });
+      res.status(201).json({ success: true, user });
+    } catch (err) {
+      res.status(400).json({ success: false, error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  createOpenAccess,
+  createAuthApi,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  loadUsers,
+  saveUsers
+};
+
+// --- CLI ---
+// node server/auth.js add-user <username> <viewer|operator|admin> [--users <file>]
+// The password is read from AUTH_NEW_PASSWORD or prompted for.
+if (require.main === module) {
+  const [command, username, role] = process.argv.slice(2);
+  const usersIndex = process.argv.indexOf("--users");
+  const usersFile = path.resolve(usersIndex !== -1 ? process.argv[usersIndex + 1] : path.join(__dirname, "..", "users.json"));
+
+  if (command !== "add-user" || !username || !ROLES.includes(role)) {
+    console.error(`Usage: node server/auth.js add-user <username> <${ROLES.join("|")}> [--users <file>]`);
+    process.exit(1);
+  }
+
+  const addUserWithPassword = (password) => {
+    if (!password || password.length < 8) {
+      console.error("Password must be at least 8 characters");
+      process.exit(1);
+    }
+    const users = fs.existsSync(usersFile) ? loadUsers(usersFile) : [];
+    if (users.some((u) => u.username === username)) {
+      console.error(`User "${username}" already exists in ${usersFile}`);
+      process.exit(1);
+    }
+    saveUsers(usersFile, users.concat({ username, role, passwordHash: hashPassword(password) }));
+    console.log(`Added ${role} "${username}" to ${usersFile}`);
+  };
+
+  if (process.env.AUTH_NEW_PASSWORD) {
+    addUserWithPassword(process.env.AUTH_NEW_PASSWORD);
+  } else {
+    const rl = require("readline").createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`Password for ${username}: `, (password) => {
+      rl.close();
+      addUserWithPassword(password);
+    });
+  }
+}
@@ -0,0 +1,950 @@
+const express = require("express");
+const http = require("http");
+const path = require("path");
+const cors = require("cors");
+const { Server } = require("socket.io");
+const { brokerUrl } = require("./config");
+const { createTopicRouter } = require("./topic-router");
+const { createPlantStateMachines } = require("./plant-state");
+const { createEventStore, parseTime, parseCursor } = require("./event-store");
+const { createPublishFilter, createCommandApi } = require("./command-api");
+const { createAuth, createOpenAccess, createAuthApi, hasRole } = require("./auth");
+const { createAuditLog, createAuditApi } = require("./audit-log");
+const { LEAVES, createAirlockMonitor } = require("./airlock");
+const { createRobotJobQueue, createRobotQueueApi } = require("./robot-queue");
+const { createJobPhaseTracker } = require("./job-phases");
+const { createProductionCounter, createProductionApi } = require("./production");
+const { nodeIdFromTopic, createNodeHealthMonitor, createNodeHealthApi } = require("./node-health");
+const { createDeviceRegistry, createDeviceApi } = require("./devices");
+const { createTelemetryBuffer, createTelemetryApi } = require("./telemetry");
+const { createAlarmManager, createAlarmApi } = require("./alarms");
+const { createTimeSeriesStore, createTimeSeriesApi } = require("./timeseries");
+const { loadConditionHistory, createRulesEngine, createRulesApi } = require("./rules");
+const { systemClock, isoNow } = require("./clock");
+
+// --- BRIDGE ---
+// MQTT ↔ REST/Socket.IO bridge: routing table, door/robot state machines, job
+// queue, production counters, device registry, alarms, rules, event history and
+// audit trail. Creating one has no side effects beyond the event store
+// directories; Mqttsever.js hands it the broker connection and calls listen(),
+// the test suite (test/) a mock client and a fake clock.
+
+const DUPLICATE_WINDOW_MS = 2000; // suppress identical payloads within this window
+const OWN_ECHO_WINDOW_MS = 10000;
+const PRODUCTION_PUSH_MS = 15000; // refresh the KPI panel while time accrues without counts
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createBridge({
+  config, // loadConfig() result
+  mqttClient, // mqtt.js client (or anything with its on/publish/subscribe/connected surface)
+  clock = systemClock, // server/clock.js
+  baseDir = process.cwd() // relative eventStore/audit/users paths resolve against this
+}) {
+  const startedAt = isoNow(clock);
+
+  // Persistent event history (MQTT messages, state transitions, feedback)
+  const eventStore = createEventStore({
+    dir: path.resolve(baseDir, config.eventStore.dir),
+    retentionDays: config.eventStore.retentionDays,
+    clock
+  });
+  // Restart markers: production time is not rebuilt across the gap between them
+  eventStore.record("bridge_started", {});
+
+  // Hazards and faults operators must acknowledge (server/alarms.js)
+  const alarms = createAlarmManager({
+    severities: config.alarms.severities,
+    onChange: (alarm, action, user) => {
+      eventStore.record("alarm", {
+        alarm: alarm.id,
+        code: alarm.code,
+        subject: alarm.subject,
+        severity: alarm.severity,
+        action,
+        by: user ? user.username : null
+      });
+      io.emit("alarm", { ...alarm, action });
+      io.emit("alarms", alarms.describe());
+    },
+    clock
+  });
+
+  // De-duplication helpers per topic
+  const lastPayloadByTopic = {}; // topic -> last payload string
+  const lastMessageTimeByTopic = {}; // topic -> timestamp ms
+
+  // Commands we published ourselves; their broker echo must not be routed twice
+  const ownPublishExpiry = {}; // "topic\npayload" -> [expiry timestamps]
+
+  // --- Feedback helper ---
+  function sendFeedback(message, topic = "granted/feedback") {
+    mqttClient.publish(topic, message, { qos: 0, retain: false }, (err) => {
+      if (err) {
+        console.error("Error publishing feedback:", err);
+      } else {
+        console.log(`Feedback published → ${topic}: ${message}`);
+        eventStore.record("feedback_published", { topic, payload: message });
+      }
+    });
+  }
+
+  // --- STATE MACHINES ---
+  // Door and robot state (and their interlocks) live in server/plant-state.js
+  const plant = createPlantStateMachines({
+    doors: config.doors,
+    robot: config.robot,
+    sendFeedback,
+    isDoorSealed: (id) => airlock.isSealed(id),
+    clock,
+    // Acknowledgement watchdog timeouts and faults reported by the devices
+    onFault: (fault) => {
+      eventStore.record("fault", fault);
+      alarms.raise(fault.reason, fault.machine.replace(/^door:/, ""), fault.detail || fault.reason);
+      io.emit("plant_fault", { ...fault, at: isoNow(clock) });
+    }
+  });
+  const doorConfigs = new Map(config.doors.map((door) => [door.id, door]));
+
+  // Leaf sensors and the one-leaf-open-at-a-time rule (server/airlock.js)
+  const airlock = createAirlockMonitor({
+    doors: config.doors,
+    isDoorBlocked: (id) => plant.doors.get(id).is("IDLE"),
+    onChange: (id, snapshot) => {
+      eventStore.record("airlock_state", { door: id, sensors: snapshot.sensors, leaves: snapshot.leaves, violations: snapshot.violations });
+      io.emit("airlock_state", snapshot);
+      endCycleIfSealed(id);
+    },
+    onViolation: (id, violation) => {
+      console.warn(`INTERLOCK VIOLATION at door ${id}: ${violation.reason} (${violation.leaf} door)`);
+      eventStore.record("interlock_violation", { door: id, ...violation });
+      sendFeedback(`INTERLOCK_VIOLATION:${violation.leaf.toUpperCase()}`, doorConfigs.get(id).feedbackTopic);
+      io.emit("interlock_violation", { id, ...violation });
+      alarms.raise("INTERLOCK_VIOLATION", id, `${violation.leaf} door: ${violation.reason}`);
+    },
+    onViolationCleared: (id, violation) => {
+      console.log(`Interlock violation at door ${id} cleared: ${violation.reason} (${violation.leaf} door)`);
+      eventStore.record("interlock_cleared", { door: id, reason: violation.reason, leaf: violation.leaf });
+      io.emit("interlock_cleared", { id, reason: violation.reason, leaf: violation.leaf });
+      // One alarm per door; it clears with the last violation standing there
+      if (!airlock.isViolated(id)) alarms.clear("INTERLOCK_VIOLATION", id);
+    },
+    clock
+  });
+
+  // With leaf sensors, a finished cycle ends when both leaves report CLOSED
+  // instead of waiting for the twin's reset
+  function endCycleIfSealed(id) {
+    const door = plant.doors.get(id);
+    if (door.is("AUTHORIZED") && airlock.hasSensors(id) && airlock.isClosed(id)) {
+      console.log(`Door ${id} sealed - cycle finished`);
+      door.send("RESET");
+    }
+  }
+
+  [...plant.doors.values(), plant.robot].forEach((machine) => {
+    machine.onTransition((result) => {
+      console.log(`[${result.machine}] ${result.from} --${result.event}--> ${result.to}`);
+      eventStore.record("state_transition", {
+        machine: result.machine,
+        event: result.event,
+        from: result.from,
+        to: result.to
+      });
+    });
+  });
+
+  // Push every door/robot transition to the twin as typed Socket.IO events
+  plant.doors.forEach((door, id) => {
+    door.onTransition((result) => {
+      io.emit("door_state", { ...plant.doorSnapshot(id), event: result.event, from: result.from });
+    });
+    // Registered last so every other listener has seen the transition first
+    door.onTransition((result) => {
+      if (result.to === "AUTHORIZED") endCycleIfSealed(id);
+      if (result.from === "DOOR_CYCLING") robotQueue.processNext();
+    });
+  });
+  plant.robot.onTransition((result) => {
+    io.emit("robot_state", { ...plant.robotSnapshot(), event: result.event, from: result.from });
+  });
+  // The fog hazard stands as an alarm until ENV_OK lifts it
+  plant.robot.onTransition((result) => {
+    if (result.to === "FOG_LOCKED" && result.from !== "FOG_LOCKED") {
+      alarms.raise("FOG_BLOCK", "robot", "Environmental hazard - robot locked out until ENV_OK");
+    } else if (result.from === "FOG_LOCKED" && result.to !== "FOG_LOCKED") {
+      alarms.clear("FOG_BLOCK", "robot");
+    }
+  });
+
+  // Parcel counts, cycle times and OEE of the current shift (server/production.js)
+  const production = createProductionCounter({
+    robot: plant.robot,
+    idealCycleMs: config.production.idealCycleMs,
+    hourlyBuckets: config.production.hourlyBuckets,
+    onParcel: (parcel) => eventStore.record("production_parcel", parcel),
+    onReset: (closed) => eventStore.record("production_reset", { closed }),
+    onChange: (snapshot) => io.emit("production", snapshot),
+    clock
+  });
+  // Only the current shift is read back: from its reset, or maxShiftDays if it never had one
+  eventStore.latest({ type: "production_reset", to: startedAt })
+    .then((reset) => eventStore.query({
+      from: reset ? reset.ts : Date.parse(startedAt) - config.production.maxShiftDays * DAY_MS,
+      to: startedAt,
+      type: "production_reset,production_parcel,state_transition,bridge_started,bridge_stopped",
+      filter: (event) => event.type !== "state_transition" || event.machine === "robot",
+      limit: Infinity
+    }))
+    .then((history) => production.restore(history.events))
+    .catch((err) => console.error("Could not restore production counters:", err.message));
+  const productionPush = clock.setInterval(() => io.emit("production", production.describe()), PRODUCTION_PUSH_MS);
+
+  // The field nodes the twin shows, with their description and placement (server/devices.js)
+  const devices = createDeviceRegistry({
+    file: path.resolve(baseDir, config.devices.file),
+    seed: config.nodes.list,
+    topics: {
+      heartbeat: config.nodes.heartbeatTopic,
+      status: config.nodes.statusTopic,
+      telemetry: config.nodes.telemetryTopic
+    },
+    onChange: (device, action) => {
+      if (action === "deleted") {
+        nodeHealth.forget(device.id);
+        telemetry.forget(device.id);
+      } else {
+        nodeHealth.register(device.id, device.name);
+      }
+      io.emit("devices", devices.list());
+    }
+  });
+
+  // Heartbeats and last wills of the registered nodes (server/node-health.js)
+  const nodeHealth = createNodeHealthMonitor({
+    nodes: devices.list(),
+    staleMs: config.nodes.staleMs,
+    offlineMs: config.nodes.offlineMs,
+    maxUnknown: config.nodes.maxUnknown,
+    onChange: (node, previous) => {
+      if (node.status !== previous) {
+        eventStore.record("node_status", { node: node.id, from: previous, to: node.status, reason: node.reason });
+        // A node that was never seen has nothing to lose; one that drops off does.
+        // Unknown nodes are dropped once offline, so nothing would clear theirs.
+        if (node.status === "offline" && node.reason !== "never-seen" && node.known) {
+          alarms.raise("NODE_OFFLINE", node.id, `${node.name} offline (${node.reason})`);
+        } else if (node.status === "online") {
+          alarms.clear("NODE_OFFLINE", node.id);
+        }
+      }
+      io.emit("node_health", node);
+    },
+    onDropped: (node) => telemetry.forget(node.id),
+    clock
+  });
+
+  // Last hour of sensor readings per node, for the twin's popups (server/telemetry.js)
+  const telemetry = createTelemetryBuffer({ clock });
+  // ... and all of it on disk for the trend charts (server/timeseries.js)
+  const telemetryHistory = createTimeSeriesStore({
+    dir: path.resolve(baseDir, config.telemetryHistory.dir),
+    rawRetentionDays: config.telemetryHistory.rawRetentionDays,
+    retentionDays: config.telemetryHistory.retentionDays,
+    clock
+  });
+
+  // Operator-defined threshold rules over telemetry and plant state (server/rules.js)
+  const rules = createRulesEngine({
+    file: path.resolve(baseDir, config.rules.file),
+    machines: Object.fromEntries([["robot", plant.robot.graph().states]]
+      .concat([...plant.doors].map(([id, door]) => [`door:${id}`, door.graph().states]))),
+    doors: config.doors.map((door) => door.id),
+    isPublishAllowed: createPublishFilter(config.commands.publishAllowed),
+    read: (condition) => {
+      if (condition.type === "telemetry") return telemetry.latest(condition.node, condition.metric);
+      if (condition.type === "state") {
+        return condition.machine === "robot" ? plant.robot.state : plant.doors.get(condition.machine.replace(/^door:/, "")).state;
+      }
+      return airlock.snapshot(condition.door).leaves[condition.leaf].position;
+    },
+    act: runRuleActions,
+    onChange: (list) => io.emit("rules", list),
+    clock
+  });
+
+  // A fired rule runs its actions once; clearing only lifts its alarms
+  // (a stopped robot or a fog hazard waits for an operator)
+  function runRuleActions(rule, outcome, value) {
+    eventStore.record(outcome === "fire" ? "rule_fired" : "rule_cleared", { rule: rule.id, name: rule.name, value });
+    const meta = { source: "rule", action: `rule.${rule.id}` };
+    rule.actions.forEach((action) => {
+      if (action.type === "alarm") {
+        if (outcome === "fire") {
+          alarms.raise("RULE_TRIGGERED", rule.id, action.message || `${rule.name} (${value})`, { severity: action.severity });
+        } else {
+          alarms.clear("RULE_TRIGGERED", rule.id);
+        }
+      } else if (outcome !== "fire") {
+        return;
+      } else if (action.type === "publish") {
+        dispatchCommand(action.topic, action.payload, meta);
+      } else if (action.type === "robot_stop") {
+        dispatchCommand(config.commands.topic, config.commands.robot.stop, meta);
+      } else if (action.type === "fog_hazard") {
+        dispatchCommand(config.commands.topic, config.commands.environment.hazard, meta);
+      }
+    });
+  }
+
+  // Cargo/parcel/pick/place phases of the running job, for the twin (server/job-phases.js).
+  // Registered before the queue so a job has ended before the queue starts the next one.
+  const jobPhases = createJobPhaseTracker({
+    robot: plant.robot,
+    parcelMs: config.robot.processingMs,
+    onPhase: (phase) => {
+      eventStore.record("job_phase", phase);
+      io.emit("job_phase", phase);
+      production.phase(phase);
+    },
+    clock
+  });
+
+  // Robot start requests wait in a job queue while the robot is busy (server/robot-queue.js).
+  // Created after the listeners above so a finished job is reported before the next one starts.
+  const robotQueue = createRobotJobQueue({
+    robot: plant.robot,
+    onChange: (queue) => io.emit("robot_queue", queue),
+    clock
+  });
+
+  mqttClient.on("connect", () => {
+    console.log("Connected to MQTT broker at", brokerUrl(config));
+
+    // Subscribe to every topic pattern in the routing table
+    router.subscriptions().forEach((topic) => {
+      mqttClient.subscribe(topic, (err) => {
+        if (err) console.error(`Failed to subscribe to ${topic}:`, err.message);
+        else console.log(`Subscribed to ${topic}`);
+      });
+    });
+  });
+
+  mqttClient.on("error", (err) => {
+    console.error("MQTT client error:", err.message);
+  });
+
+  mqttClient.on("offline", () => {
+    console.log("MQTT client offline - waiting to reconnect");
+  });
+
+  // --- AUTHENTICATION ---
+  // viewer: read endpoints + live socket, operator: reset/commands, admin: user management
+  let auth;
+  try {
+    auth = config.auth.enabled
+      ? createAuth({
+        usersFile: path.resolve(baseDir, config.auth.usersFile),
+        tokenSecret: config.auth.tokenSecret,
+        tokenTtlHours: config.auth.tokenTtlHours,
+        maxLoginFailures: config.auth.maxLoginFailures,
+        lockoutMs: config.auth.lockoutMs,
+        clock
+      })
+      : createOpenAccess();
+  } catch (err) {
+    throw new Error(`Cannot start authentication: ${err.message}`);
+  }
+  if (!config.auth.enabled) {
+    console.warn("WARNING: auth.enabled is false - every client has admin access");
+  }
+
+  // Express & HTTP server
+  const app = express();
+  app.use(cors({ origin: config.http.corsOrigins }));
+  app.use(express.json());
+
+  const server = http.createServer(app);
+
+  // Socket.IO server with CORS
+  const io = new Server(server, {
+    cors: { origin: config.http.corsOrigins }
+  });
+  io.use(auth.socketMiddleware);
+
+  // Audit trail of operator actions; operators and admins get new entries live
+  const auditStore = createEventStore({
+    dir: path.resolve(baseDir, config.audit.dir),
+    retentionDays: config.audit.retentionDays,
+    clock
+  });
+  const auditLog = createAuditLog({
+    store: auditStore,
+    snapshot: () => ({ doors: doorStates(), robot: plant.robot.state }),
+    onEntry: (entry) => io.to("audit").emit("audit_entry", entry)
+  });
+
+  // Send the current door/robot state to every newly connected client
+  io.on("connection", (socket) => {
+    if (hasRole(socket.data.user.role, "operator")) {
+      socket.join("audit");
+    }
+    plant.doors.forEach((door, id) => {
+      socket.emit("door_state", { ...plant.doorSnapshot(id), event: "SNAPSHOT" });
+      socket.emit("airlock_state", airlock.snapshot(id));
+    });
+    socket.emit("robot_state", { ...plant.robotSnapshot(), event: "SNAPSHOT" });
+    socket.emit("robot_queue", robotQueue.describe());
+    if (jobPhases.current()) socket.emit("job_phase", jobPhases.current());
+    socket.emit("production", production.describe());
+    socket.emit("devices", devices.list());
+    nodeHealth.describe().forEach((node) => socket.emit("node_health", node));
+    socket.emit("alarms", alarms.describe());
+    socket.emit("rules", rules.describe());
+  });
+
+  // Serve frontend HTML
+  app.get("/", (req, res) => {
+    res.sendFile(path.join(__dirname, "..", "index.html"));
+  });
+
+  // REST API: Login and user management
+  app.use("/auth", createAuthApi(auth, { audit: auditLog.record }));
+
+  // REST API: Audit trail
+  // GET /audit?from=&to=&actor=&action=&limit=&offset=
+  app.use("/audit", createAuditApi({ auditLog, requireRole: auth.requireRole, parseTime }));
+
+  // REST API: Door status
+  app.get("/door-status", auth.requireRole("viewer"), (req, res) => {
+    res.json({
+      stringMessage: plant.doorSnapshot().status
+    });
+  });
+
+  // REST API: Robot status
+  app.get("/robot-status", auth.requireRole("viewer"), (req, res) => {
+    res.json({
+      stringMessage: plant.robotSnapshot().status
+    });
+  });
+
+  // REST API: Robot job queue
+  // GET /robot/queue, POST /robot/queue { priority, parcels }, DELETE /robot/queue/:id
+  app.use("/robot/queue", createRobotQueueApi({ queue: robotQueue, requireRole: auth.requireRole, audit: auditLog.record }));
+
+  // REST API: Production counters and OEE
+  // GET /production, POST /production/reset
+  app.use("/production", createProductionApi({ counter: production, requireRole: auth.requireRole, audit: auditLog.record }));
+
+  // REST API: Device registry
+  // GET /devices, GET /devices/:id, POST /devices, PUT /devices/:id, DELETE /devices/:id
+  app.use("/devices", createDeviceApi({ registry: devices, requireRole: auth.requireRole, audit: auditLog.record }));
+
+  // REST API: Field node health
+  // GET /nodes, GET /nodes/:id
+  app.use("/nodes", createNodeHealthApi({
+    monitor: nodeHealth,
+    requireRole: auth.requireRole,
+    staleMs: config.nodes.staleMs,
+    offlineMs: config.nodes.offlineMs
+  }));
+  // GET /nodes/:id/telemetry
+  app.use("/nodes", createTelemetryApi({
+    telemetry,
+    requireRole: auth.requireRole,
+    isKnownNode: (id) => nodeHealth.get(id) !== null
+  }));
+
+  // REST API: Stored telemetry for the trend charts
+  // GET /telemetry/:node/:metric?from=&to=&step=
+  app.use("/telemetry", createTimeSeriesApi({ store: telemetryHistory, requireRole: auth.requireRole }));
+
+  // REST API: Alarms
+  // GET /alarms, POST /alarms/:id/acknowledge, /alarms/:id/shelve { durationMs, reason }, /alarms/:id/unshelve
+  app.use("/alarms", createAlarmApi({
+    manager: alarms,
+    requireRole: auth.requireRole,
+    defaultShelveMs: config.alarms.defaultShelveMs,
+    maxShelveMs: config.alarms.maxShelveMs,
+    audit: auditLog.record
+  }));
+
+  // REST API: Threshold rules
+  // GET /rules, POST /rules, PUT /rules/:id, DELETE /rules/:id, POST /rules/dry-run { rule, from, to }
+  app.use("/rules", createRulesApi({
+    engine: rules,
+    requireRole: auth.requireRole,
+    history: (condition, fromMs, toMs) => loadConditionHistory(condition, fromMs, toMs, { telemetryHistory, eventStore }),
+    clock,
+    audit: auditLog.record
+  }));
+
+  // REST API: Current door/robot state and their transition graphs
+  app.get("/state", auth.requireRole("viewer"), (req, res) => {
+    res.json(plant.describe());
+  });
+
+  // REST API: Event history
+  // GET /events?from=&to=&topic=&excludeTopic=&type=&limit=&offset= or &after=<nextCursor>
+  app.get("/events", auth.requireRole("viewer"), async (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 1000" });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "offset must be a non-negative integer" });
+    }
+
+    try {
+      parseTime(req.query.from, "from");
+      parseTime(req.query.to, "to");
+      parseCursor(req.query.after);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const result = await eventStore.query({
+        from: req.query.from,
+        to: req.query.to,
+        topic: req.query.topic,
+        excludeTopic: req.query.excludeTopic,
+        type: req.query.type,
+        limit,
+        offset,
+        after: req.query.after
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("Error querying event store:", err);
+      res.status(500).json({ error: "Could not read event history" });
+    }
+  });
+
+  // REST API: Reset door status (primary door)
+  app.post("/reset-door-status", auth.requireRole("operator"), (req, res) => {
+    resetDoor(plant.primaryDoorId, req, res);
+  });
+
+  // --- DOORS ---
+  // door id → machine state, for audit entries
+  function doorStates() {
+    const states = {};
+    plant.doors.forEach((door, id) => {
+      states[id] = door.state;
+    });
+    return states;
+  }
+
+  function describeDoor(id) {
+    const { name, zone, topic, feedbackTopic, interlockWith, twin } = doorConfigs.get(id);
+    return {
+      id, name, zone, topic, feedbackTopic, interlockWith, twin,
+      ...plant.doorSnapshot(id),
+      airlock: airlock.snapshot(id)
+    };
+  }
+
+  function resetDoor(id, req, res) {
+    console.log(`Door ${id} reset requested by ${req.user.username}`);
+    const result = plant.doors.get(id).send("RESET");
+    auditLog.record({ actor: req.user, action: "door.reset", params: { door: id }, result });
+    res.json({
+      success: true,
+      message: `Door ${id} status reset to BLOCKED`,
+      door: plant.doorSnapshot(id)
+    });
+  }
+
+  function findDoor(req, res, next) {
+    if (!plant.doors.has(req.params.id)) {
+      return res.status(404).json({ error: `Unknown door "${req.params.id}"` });
+    }
+    next();
+  }
+
+  // REST API: All doors with their zone, topics, twin placement and current state
+  app.get("/doors", auth.requireRole("viewer"), (req, res) => {
+    res.json({ doors: [...plant.doors.keys()].map(describeDoor) });
+  });
+
+  // REST API: One door's status (stringMessage matches /door-status)
+  app.get("/doors/:id/status", auth.requireRole("viewer"), findDoor, (req, res) => {
+    const snapshot = plant.doorSnapshot(req.params.id);
+    res.json({ stringMessage: snapshot.status, ...snapshot });
+  });
+
+  app.post("/doors/:id/reset", auth.requireRole("operator"), findDoor, (req, res) => {
+    resetDoor(req.params.id, req, res);
+  });
+
+  // REST API: Open/close one leaf; opening is refused while the other leaf is open
+  // POST /doors/:id/leaves/:leaf { "action": "open" | "close" }
+  app.post("/doors/:id/leaves/:leaf", auth.requireRole("operator"), findDoor, (req, res) => {
+    const { id, leaf } = req.params;
+    const action = req.body && req.body.action;
+    if (!LEAVES.includes(leaf) || !["open", "close"].includes(action)) {
+      return res.status(400).json({ success: false, error: `leaf must be ${LEAVES.join(" or ")} and action open or close` });
+    }
+
+    const door = doorConfigs.get(id);
+    const command = { topic: door.topic, payload: door.leafCommands[leaf][action] };
+    const params = { door: id, leaf, ...command };
+    if (action === "open") {
+      // A blocked door stays shut; opening it would only raise OPEN_WHILE_BLOCKED
+      const check = plant.doors.get(id).is("IDLE")
+        ? { allowed: false, reason: "DOOR_BLOCKED" }
+        : airlock.canOpen(id, leaf);
+      if (!check.allowed) {
+        console.log(`Door ${id}: ${leaf} door open refused (${check.reason})`);
+        auditLog.record({ actor: req.user, action: "door.leaf_open", params, outcome: "refused", result: check });
+        return res.status(409).json({ success: false, command, result: check, airlock: airlock.snapshot(id) });
+      }
+    }
+
+    // Leaf commands are for the door controller only; nothing routes them locally
+    const outcome = dispatchCommand(command.topic, command.payload, { source: "rest", action: `door.leaf_${action}`, route: false });
+    auditLog.record({ actor: req.user, action: `door.leaf_${action}`, params });
+    res.json({ success: true, command, published: outcome.published, airlock: airlock.snapshot(id) });
+  });
+
+  // --- ROUTE HANDLERS ---
+  // Named handlers the routing table (config.routes) can point at
+  const routeHandlers = {
+    // Handlers return the state-machine result so REST commands can report it.
+    // Door handlers act on route.options.door (generated door routes) or the primary door.
+    doorAuthorized({ route }) {
+      const id = route.options.door || plant.primaryDoorId;
+      const result = plant.doors.get(id).send("AUTHORIZE");
+      if (result.reason === "GUARD_REJECTED") {
+        console.log(`Door ${id} authorization received while an interlocked partner is busy - IGNORED`);
+        sendFeedback("DOOR_AUTH_IGNORED", doorConfigs.get(id).feedbackTopic);
+        alarms.raise("DOOR_AUTH_IGNORED", id, "Authorization received while an interlocked partner was busy");
+      }
+      return result;
+    },
+
+    robotStart({ topic, payload, source, user }) {
+      return handleRobotCommand(payload, { source, requestedBy: user ? user.username : topic });
+    },
+
+    robotPause({ payload }) {
+      console.log(`Pause command received: ${payload}`);
+      return plant.robot.send("PAUSE");
+    },
+
+    environmentHazard({ payload }) {
+      console.log(`Environmental hazard received: ${payload}`);
+      return plant.robot.send("HAZARD", { command: payload });
+    },
+
+    // ENV_OK lifts an active hazard; otherwise it stops the robot as before
+    environmentClear(message) {
+      if (plant.robot.is("FOG_LOCKED")) {
+        return plant.robot.send("CLEAR_HAZARD");
+      }
+      return routeHandlers.robotStop(message);
+    },
+
+    // STOP also ends the cycle of every door listening on the same topic
+    robotStop({ topic, payload }) {
+      console.log(`Stop command received: ${payload}`);
+      config.doors
+        .filter((door) => door.topic === topic)
+        .forEach((door) => plant.doors.get(door.id).send("STOP"));
+      return plant.robot.send("STOP");
+    },
+
+    doorDenied({ route }) {
+      // ❌ no feedback for door
+      return plant.doors.get(route.options.door || plant.primaryDoorId).send("DENY");
+    },
+
+    // Completion acknowledgements (routes generated from the "ack" sections)
+    robotAck({ payload }) {
+      return acknowledge(plant.robot, "COMPLETE", payload);
+    },
+
+    robotFault({ payload }) {
+      return acknowledge(plant.robot, "FAULT", payload);
+    },
+
+    robotPhase({ payload }) {
+      return jobPhases.report(payload);
+    },
+
+    doorAck({ payload, route }) {
+      return acknowledge(plant.doors.get(route.options.door), "CYCLE_COMPLETE", payload);
+    },
+
+    doorFault({ payload, route }) {
+      return acknowledge(plant.doors.get(route.options.door), "FAULT", payload);
+    },
+
+    // Leaf position sensor (routes generated from each door's "sensors")
+    doorSensor({ payload, route }) {
+      return airlock.report(route.options.door, route.options.leaf, payload);
+    },
+
+    // Node heartbeats, connect/last-will status and sensor readings (routes from config.nodes)
+    nodeHeartbeat({ topic, payload }) {
+      return nodeHealth.heartbeat(nodeIdFromTopic(config.nodes.heartbeatTopic, topic), payload);
+    },
+
+    nodeStatus({ topic, payload }) {
+      return nodeHealth.status(nodeIdFromTopic(config.nodes.statusTopic, topic), payload);
+    },
+
+    // Only from nodes node-health tracks: the registry and up to nodes.maxUnknown others
+    nodeTelemetry({ topic, payload }) {
+      const node = nodeIdFromTopic(config.nodes.telemetryTopic, topic);
+      if (!nodeHealth.get(node)) {
+        console.log(`Telemetry from ${node} ignored - not a tracked node`);
+        return null;
+      }
+      const readings = telemetry.record(node, payload);
+      if (readings) {
+        telemetryHistory.record(readings.node, readings.values);
+        io.emit("node_telemetry", readings);
+        rules.evaluate();
+      }
+      return readings;
+    },
+
+    // Generic pass-through for other CPS nodes (temperature, energy, motor...)
+    forward({ topic, payload, route }) {
+      io.emit("node_message", { node: route.options.node || topic, topic, message: payload });
+    }
+  };
+
+  // Authorize/deny routes for every configured door
+  function doorRoutes(doors) {
+    return doors.flatMap((door) => [
+      { name: `${door.id}-authorized`, topic: door.topic, payload: door.payloads.authorize, handler: "doorAuthorized", options: { door: door.id } },
+      { name: `${door.id}-denied`, topic: door.topic, payload: door.payloads.deny, handler: "doorDenied", options: { door: door.id } }
+    ]);
+  }
+
+  // Done/fault routes for the robot and every door with an "ack" section
+  function ackRoutes() {
+    const routes = [];
+    const add = (name, ack, handlers, options) => {
+      routes.push({ name: `${name}-ack`, topic: ack.topic, payload: ack.done, handler: handlers[0], options });
+      if (ack.fault !== null) {
+        routes.push({ name: `${name}-fault`, topic: ack.topic, payload: ack.fault, handler: handlers[1], options });
+      }
+    };
+    if (config.robot.ack) {
+      add("robot", config.robot.ack, ["robotAck", "robotFault"], {});
+      routes.push({ name: "robot-phase", topic: config.robot.ack.topic, payload: { prefix: "PHASE:" }, handler: "robotPhase" });
+    }
+    config.doors
+      .filter((door) => door.ack)
+      .forEach((door) => add(door.id, door.ack, ["doorAck", "doorFault"], { door: door.id }));
+    return routes;
+  }
+
+  // Heartbeat, status and telemetry routes for every field node
+  function nodeRoutes() {
+    return [
+      { name: "node-heartbeat", topic: config.nodes.heartbeatTopic, handler: "nodeHeartbeat" },
+      { name: "node-status", topic: config.nodes.statusTopic, handler: "nodeStatus" },
+      { name: "node-telemetry", topic: config.nodes.telemetryTopic, handler: "nodeTelemetry" }
+    ];
+  }
+
+  // An acknowledgement without a matching job or cycle is logged and ignored
+  function acknowledge(machine, event, payload) {
+    const result = machine.send(event, { ack: payload });
+    if (!result.accepted) {
+      console.log(`[${machine.name}] acknowledgement ${payload} received in ${machine.state} - ignored`);
+    }
+    return result;
+  }
+
+  let router;
+  try {
+    router = createTopicRouter({
+      routes: doorRoutes(config.doors).concat(ackRoutes(), airlock.sensorRoutes(), nodeRoutes(), config.routes),
+      handlers: routeHandlers,
+      onUnrouted: (entry) => io.emit("mqtt_unrouted", entry),
+      clock
+    });
+  } catch (err) {
+    throw new Error(`Invalid routing table: ${err.message}`);
+  }
+
+  // REST API: Routing table and recently unrouted messages
+  app.get("/routes", auth.requireRole("viewer"), (req, res) => {
+    res.json({
+      routes: router.describe(),
+      unrouted: router.unrouted()
+    });
+  });
+
+  // Forward MQTT messages → routing table → WebSocket
+  mqttClient.on("message", (topic, message, packet) => {
+    const payload = message.toString();
+
+    // Check retained flag
+    const isRetained = packet && packet.retain === true;
+
+    if (consumeOwnEcho(topic, payload)) {
+      return;
+    }
+
+    // Duplicate suppression
+    const now = clock.now();
+    const lastPayload = lastPayloadByTopic[topic];
+    const lastTime = lastMessageTimeByTopic[topic] || 0;
+    const isDuplicate = lastPayload === payload && (now - lastTime) < DUPLICATE_WINDOW_MS;
+    lastPayloadByTopic[topic] = payload;
+    lastMessageTimeByTopic[topic] = now;
+
+    eventStore.record("mqtt_received", { topic, payload, retained: isRetained, duplicate: isDuplicate });
+
+    if (isDuplicate) {
+      return;
+    }
+
+    console.log(`${topic} → ${payload}${isRetained ? " (retained)" : ""}`);
+
+    routeMessage(topic, payload, { retained: isRetained, source: "mqtt" });
+  });
+
+  // Routing table + WebSocket fan-out shared by broker messages and REST commands
+  function routeMessage(topic, payload, meta) {
+    const routed = router.route(topic, payload, meta);
+
+    // Emit to all WebSocket clients
+    io.emit("mqtt_message", { topic, message: payload });
+    return routed;
+  }
+
+  function consumeOwnEcho(topic, payload) {
+    const key = `${topic}\n${payload}`;
+    const now = clock.now();
+    const pending = (ownPublishExpiry[key] || []).filter((expiry) => expiry > now);
+    const isEcho = pending.length > 0;
+    if (isEcho) pending.shift();
+    if (pending.length > 0) ownPublishExpiry[key] = pending;
+    else delete ownPublishExpiry[key];
+    return isEcho;
+  }
+
+  // Apply a dashboard command locally, then publish it to the broker, so the
+  // caller gets the resulting state without waiting for the broker echo. A
+  // command the state machines refuse is not published: the field devices must
+  // never act on what the dashboard was told was refused.
+  function dispatchCommand(topic, payload, meta) {
+    const routed = meta.route === false ? null : router.route(topic, payload, meta);
+    if (routed && routed.result && routed.result.accepted === false) {
+      console.log(`Command (${meta.action}) → ${topic}: ${payload} refused (${routed.result.reason}), not published`);
+      return { published: false, routed };
+    }
+
+    const key = `${topic}\n${payload}`;
+    const published = mqttClient.connected;
+    if (published) {
+      ownPublishExpiry[key] = (ownPublishExpiry[key] || []).concat(clock.now() + OWN_ECHO_WINDOW_MS);
+    }
+    mqttClient.publish(topic, payload, { qos: 0, retain: false }, (err) => {
+      if (err) console.error(`Error publishing command ${topic} → ${payload}:`, err);
+    });
+
+    console.log(`Command (${meta.action}) → ${topic}: ${payload}${published ? "" : " (broker offline, queued)"}`);
+    eventStore.record("command_published", { topic, payload, action: meta.action, source: meta.source });
+    io.emit("mqtt_message", { topic, message: payload });
+
+    return { published, routed };
+  }
+
+  // REST API: Commands from the dashboard
+  app.use("/commands", auth.requireRole("operator"), createCommandApi({
+    commands: config.commands,
+    doors: config.doors,
+    dispatch: dispatchCommand,
+    audit: auditLog.record,
+    snapshot: (doorId) => ({ door: plant.doorSnapshot(doorId), robot: plant.robotSnapshot() })
+  }));
+
+  // Robot start requests: resume a paused job, otherwise queue a new one
+  function handleRobotCommand(command, { source = "mqtt", requestedBy } = {}) {
+    console.log(`Received robot command: ${command}`);
+
+    if (plant.robot.is("ROBOT_PAUSED")) {
+      const result = plant.robot.send("START", { command });
+      if (result.reason === "GUARD_REJECTED") {
+        console.log(`Robot command ${command} received during door processing - resume IGNORED`);
+      }
+      return result;
+    }
+
+    const outcome = robotQueue.enqueue({ source, requestedBy, command });
+    if (!outcome.accepted) {
+      return { machine: "robot", event: "START", from: plant.robot.state, to: plant.robot.state, accepted: false, reason: outcome.reason };
+    }
+    if (outcome.result) return outcome.result;
+    console.log(`Robot busy - job ${outcome.job.id} queued at position ${outcome.position}`);
+    return {
+      machine: "robot",
+      event: "START",
+      from: plant.robot.state,
+      to: plant.robot.state,
+      accepted: true,
+      queued: true,
+      job: outcome.job.id,
+      position: outcome.position
+    };
+  }
+
+  // Start the HTTP + Socket.IO server; resolves with the port it listens on
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  // Stop serving and release timers; the MQTT client belongs to the caller
+  async function close() {
+    eventStore.record("bridge_stopped", {});
+    clock.clearInterval(productionPush);
+    nodeHealth.stop();
+    alarms.stop();
+    rules.stop();
+    eventStore.close();
+    auditStore.close();
+    telemetryHistory.close();
+    await new Promise((resolve) => io.close(() => resolve()));
+    await Promise.all([eventStore.flush(), auditStore.flush(), telemetryHistory.flush()]);
+  }
+
+  return {
+    app,
+    server,
+    io,
+    plant,
+    airlock,
+    router,
+    robotQueue,
+    jobPhases,
+    production,
+    devices,
+    nodeHealth,
+    telemetry,
+    telemetryHistory,
+    alarms,
+    rules,
+    eventStore,
+    auditLog,
+    dispatchCommand,
+    listen,
+    close
+  };
+}
+
+module.exports = { DUPLICATE_WINDOW_MS, OWN_ECHO_WINDOW_MS, createBridge };
@@ -0,0 +1,22 @@
+// --- CLOCK ---
+// Time source for every timer and timestamp of the plant logic. The bridge runs
+// on the system clock; the test suite (test/) passes a fake clock it advances by
+// hand, so watchdogs and duplicate windows run without waiting.
+//
+//   { now() → epoch ms, setTimeout(fn, ms), clearTimeout(timer),
+//     setInterval(fn, ms), clearInterval(timer) }
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer)
+};
+
+// ISO timestamp of the clock's current time
+function isoNow(clock) {
+  return new Date(clock.now()).toISOString();
+}
+
+module.exports = { systemClock, isoNow };
@@ -0,0 +1,104 @@
+const express = require("express");
+const { topicMatches, compilePayloadMatcher } = require("./topic-router");
+
+// --- COMMAND REST API ---
+// Lets the dashboard drive the plant. Every command runs through the same routing
+// table + state machines as hardware messages and is published to the broker
+// unless they refuse it.
+//
+//   POST /commands/door     { "action": "authorize" | "deny", "door": "<id>" }   (door defaults to the primary door)
+//   POST /commands/robot    { "action": "start" | "stop" | "pause" }
+//   POST /commands/publish  { "topic": "...", "payload": "..." }   (whitelisted only)
+
+// (topic, payload) → whether commands.publishAllowed lets it through; shared with the rules engine
+function createPublishFilter(publishAllowed) {
+  const allowed = publishAllowed.map((entry) => ({
+    topic: entry.topic,
+    matchPayload: compilePayloadMatcher(entry.payload)
+  }));
+
+  return (topic, payload) => !/[+#]/.test(topic) &&
+    allowed.some((entry) => topicMatches(entry.topic, topic) && entry.matchPayload(payload));
+}
+
+function createCommandApi({ commands, doors, dispatch, snapshot, audit = () => {} }) {
+  const router = express.Router();
+  const isAllowed = createPublishFilter(commands.publishAllowed);
+
+  // Shape the response from the dispatch outcome and the resulting plant state
+  function respond(req, res, action, command, outcome, doorId) {
+    const result = outcome.routed && outcome.routed.result ? outcome.routed.result : null;
+    const refused = Boolean(result && result.accepted === false);
+    audit({
+      actor: req.user,
+      action,
+      params: doorId ? { door: doorId, ...command } : command,
+      outcome: refused ? "refused" : "success",
+      result
+    });
+    res.status(refused ? 409 : 200).json({
+      success: !refused,
+      command,
+      published: outcome.published,
+      routed: Boolean(outcome.routed),
+      result,
+      ...snapshot(doorId)
+    });
+  }
+
+  function actionPayload(kind, req, res) {
+    const action = req.body && req.body.action;
+    const payload = commands[kind][action];
+    if (typeof action !== "string" || typeof payload !== "string") {
+      res.status(400).json({
+        success: false,
+        error: `action must be one of: ${Object.keys(commands[kind]).join(", ")}`
+      });
+      return null;
+    }
+    return { action: `${kind}.${action}`, payload };
+  }
+
+  // Door commands go to the addressed door's own topic
+  router.post("/door", (req, res) => {
+    const doorId = (req.body && req.body.door) || doors[0].id;
+    const door = doors.find((d) => d.id === doorId);
+    if (!door) {
+      return res.status(404).json({ success: false, error: `Unknown door "${doorId}"` });
+    }
+    const command = actionPayload("door", req, res);
+    if (!command) return;
+    const outcome = dispatch(door.topic, command.payload, { source: "rest", action: command.action, user: req.user });
+    respond(req, res, command.action, { topic: door.topic, payload: command.payload }, outcome, door.id);
+  });
+
+  router.post("/robot", (req, res) => {
+    const command = actionPayload("robot", req, res);
+    if (!command) return;
+    const outcome = dispatch(commands.topic, command.payload, { source: "rest", action: command.action, user: req.user });
+    respond(req, res, command.action, { topic: commands.topic, payload: command.payload }, outcome);
+  });
+
+  router.post("/publish", (req, res) => {
+    const { topic, payload } = req.body || {};
+    if (typeof topic !== "string" || !topic || /[+#]/.test(topic) || typeof payload !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "topic (without wildcards) and payload must be strings"
+      });
+    }
+    if (!isAllowed(topic, payload)) {
+      audit({ actor: req.user, action: "command.publish", params: { topic, payload }, outcome: "denied" });
+      return res.status(403).json({
+        success: false,
+        error: `Publishing "${payload}" to ${topic} is not allowed by commands.publishAllowed`
+      });
+    }
+    const outcome = dispatch(topic, payload, { source: "rest", action: "publish", user: req.user });
+    respond(req, res, "command.publish", { topic, payload }, outcome);
+  });
+
+  return router;
+}
+
+module.exports = { createPublishFilter, createCommandApi };
@@ -0,0 +1,796 @@
+const fs = require("fs");
+const path = require("path");
+const { SEVERITIES, ALARM_CODES, SCENARIO_NAMES } = require("./constants");
+
+// --- DEFAULTS ---
+// Anything not set in the config file or the environment falls back to these.
+const DEFAULT_CONFIG = {
+  broker: {
+    url: "", // full URL wins over protocol/host/port when set
+    protocol: "mqtt",
+    host: "",
+    port: 1883,
+    username: "",
+    password: "",
+    clientId: "",
+    keepalive: 60, // seconds
+    clean: true,
+    connectTimeoutMs: 30000,
+    tls: {
+      ca: "", // paths to PEM files
+      cert: "",
+      key: "",
+      rejectUnauthorized: true
+    },
+    reconnect: {
+      initialDelayMs: 1000,
+      maxDelayMs: 30000,
+      multiplier: 2
+    }
+  },
+  http: {
+    port: 5000,
+    // Browser origins allowed to call the REST API and open a socket
+    // (the dashboard is served by VS Code Live Server on 5506 during development)
+    corsOrigins: ["http://localhost:5506", "http://127.0.0.1:5506"]
+  },
+  auth: {
+    enabled: true,
+    usersFile: "users.json", // created with: node server/auth.js add-user <name> <role>
+    tokenSecret: "", // random per start when empty
+    tokenTtlHours: 12,
+    maxLoginFailures: 5, // wrong passwords in a row before a user's login locks
+    lockoutMs: 15 * 60 * 1000
+  },
+  // Append-only JSONL history of MQTT messages, state transitions and feedback
+  eventStore: {
+    dir: "data/events",
+    retentionDays: 90 // 0 keeps everything
+  },
+  // Numeric node telemetry for the trend charts (server/timeseries.js): every
+  // reading for rawRetentionDays, per-minute averages for retentionDays
+  telemetryHistory: {
+    dir: "data/telemetry",
+    rawRetentionDays: 7,
+    retentionDays: 365 // 0 keeps everything
+  },
+  // Operator actions for access-control reviews; kept longer than the event history
+  audit: {
+    dir: "data/audit",
+    retentionDays: 365
+  },
+  // Door pairs (airlocks), one state machine each. The first entry is the primary
+  // door behind /door-status and /reset-door-status. Authorize/deny routes are
+  // generated for every door from its topic and payloads, ahead of "routes".
+  // A config file "doors" array replaces this list.
+  doors: [
+    {
+      id: "main",
+      name: "Molding Station Airlock",
+      zone: "molding",
+      topic: "granted/command",
+      feedbackTopic: "granted/feedback",
+      payloads: { authorize: "Authorized", deny: { oneOf: ["DENIED", "UNAUTHORIZED"] } },
+      cycleMs: 10000, // simulated cycle when "ack" is null
+      // Cycle-complete acknowledgement from the door controller, off until the
+      // firmware sends one, e.g. { topic: "granted/door/ack" }; the cycle then
+      // fails with DOOR_TIMEOUT if it does not arrive within watchdogMs
+      ack: null,
+      interlockWith: ["robot"], // "robot" and/or door ids that must be idle before this door opens
+      // Leaf position sensors (OPEN/CLOSED payloads), e.g. { main: "airlock/main/outer", small: "airlock/main/inner" }
+      sensors: null,
+      // Payloads published on "topic" by POST /doors/:id/leaves/:leaf
+      leafCommands: {
+        main: { open: "OPEN_MAIN", close: "CLOSE_MAIN" },
+        small: { open: "OPEN_SMALL", close: "CLOSE_SMALL" }
+      },
+      twin: { x: 0, z: 0, rotationY: 0 } // offset of the door pair in the 3D twin
+    }
+  ],
+  // Robot cell. "ack": null (the default) simulates completion after
+  // processingMs per parcel. With an ack section, e.g. { topic: "granted/robot/ack" },
+  // a job completes when the robot controller acknowledges it on ack.topic and
+  // fails with ROBOT_TIMEOUT without an acknowledgement within ack.watchdogMs per parcel.
+  robot: {
+    processingMs: 15000,
+    ack: null
+  },
+  // Production counters and OEE (server/production.js). idealCycleMs is the
+  // fastest a parcel can go through the cell, the baseline for performance.
+  production: {
+    idealCycleMs: 15000,
+    hourlyBuckets: 24, // hours of throughput history in GET /production
+    maxShiftDays: 7 // a shift never reset is rebuilt from at most this much history on restart
+  },
+  // Field node health (server/node-health.js). Nodes publish JSON heartbeats on
+  // heartbeatTopic and "online" on statusTopic when they connect, with "offline"
+  // as their MQTT last will; sensor readings go to telemetryTopic
+  // (server/telemetry.js). "+" is the node id. "list" seeds the device
+  // registry until devices.file exists; a config file "list" replaces it.
+  nodes: {
+    heartbeatTopic: "cps/nodes/+/heartbeat",
+    statusTopic: "cps/nodes/+/status",
+    telemetryTopic: "cps/nodes/+/telemetry",
+    staleMs: 15000, // no heartbeat for this long → stale
+    offlineMs: 60000, // → offline
+    maxUnknown: 20, // nodes outside the device registry tracked at once
+    list: [
+      { id: "motion-detector", name: "Motion Detector" },
+      { id: "access-control", name: "Access Control System" },
+      { id: "obstacle-detector", name: "Obstacle Detector" },
+      { id: "temperature-control", name: "Temperature Control System" },
+      { id: "environmental-monitoring", name: "Environmental Monitoring System" },
+      { id: "energy-management", name: "Energy Management System" },
+      { id: "motor-monitoring", name: "Motor Monitoring System" },
+      { id: "machine-monitoring", name: "Machine Monitoring System" }
+    ]
+  },
+  // Device registry (server/devices.js): the nodes the twin shows, edited over /devices
+  devices: {
+    file: "data/devices.json"
+  },
+  // Alarms operators acknowledge (server/alarms.js). severities overrides the
+  // default severity per alarm code, e.g. { "DOOR_AUTH_IGNORED": "high" }.
+  alarms: {
+    defaultShelveMs: 60 * 60 * 1000,
+    maxShelveMs: 8 * 60 * 60 * 1000, // longest an operator may shelve an alarm
+    severities: {}
+  },
+  // Operator-defined telemetry/state rules (server/rules.js), edited over /rules
+  rules: {
+    file: "data/rules.json"
+  },
+  // Hardware-free mode (--simulate, see server/simulator.js). With the embedded
+  // broker the bridge connects to it instead of the "broker" section.
+  simulator: {
+    enabled: false,
+    embeddedBroker: true, // false: publish to the configured broker
+    port: 1883, // embedded broker, listening on 127.0.0.1
+    scenarios: SCENARIO_NAMES.slice(), // --simulate=<name>,... picks some
+    loop: true,
+    pauseMs: 5000, // before each scenario
+    hazardMs: 8000, // how long the fog-hazard scenario keeps the hazard active
+    environment: { topic: "granted/command", hazard: "FOG_BLOCK", clear: "ENV_OK" }
+  },
+  // MQTT routing table (see server/topic-router.js). A config file "routes"
+  // array replaces this list, so copy these entries when adding new nodes.
+  routes: [
+    { name: "robot-start", topic: "granted/command", payload: "BLOCKED", handler: "robotStart" },
+    { name: "fog-hazard", topic: "granted/command", payload: { prefix: "FOG_BLOCK" }, handler: "environmentHazard" },
+    { name: "environment-clear", topic: "granted/command", payload: "ENV_OK", handler: "environmentClear" },
+    { name: "robot-stop", topic: "granted/command", payload: { oneOf: ["STOP", "IDLE"] }, handler: "robotStop" },
+    { name: "robot-pause", topic: "granted/command", payload: "PAUSE", handler: "robotPause" }
+  ],
+  // Dashboard commands (POST /commands/*): payloads published for each action,
+  // and the topic/payload pairs POST /commands/publish may send. Door commands
+  // go to the addressed door's topic.
+  commands: {
+    topic: "granted/command",
+    door: { authorize: "Authorized", deny: "DENIED" },
+    robot: { start: "BLOCKED", stop: "STOP", pause: "PAUSE" },
+    environment: { hazard: "FOG_BLOCK", clear: "ENV_OK" }, // sent by rules with a fog_hazard action
+    publishAllowed: [
+      {
+        topic: "granted/command",
+        payload: { oneOf: ["Authorized", "DENIED", "UNAUTHORIZED", "BLOCKED", "STOP", "IDLE", "PAUSE", "ENV_OK", "FOG_BLOCK"] }
+      }
+    ]
+  }
+};
+
+// Fields a door entry in a config file may leave out
+const DOOR_DEFAULTS = {
+  topic: "granted/command",
+  feedbackTopic: "granted/feedback",
+  payloads: { authorize: "Authorized", deny: { oneOf: ["DENIED", "UNAUTHORIZED"] } },
+  cycleMs: 10000,
+  ack: null,
+  interlockWith: [],
+  sensors: null,
+  leafCommands: {
+    main: { open: "OPEN_MAIN", close: "CLOSE_MAIN" },
+    small: { open: "OPEN_SMALL", close: "CLOSE_SMALL" }
+  },
+  twin: { x: 0, z: 0, rotationY: 0 }
+};
+
+// Fields an "ack" object (robot or door) may leave out
+const ACK_DEFAULTS = { done: "DONE", fault: { prefix: "FAULT" }, watchdogMs: 30000 };
+
+// Environment variable → config path
+const ENV_MAP = {
+  MQTT_URL: ["broker", "url"],
+  MQTT_PROTOCOL: ["broker", "protocol"],
+  MQTT_HOST: ["broker", "host"],
+  MQTT_PORT: ["broker", "port"],
+  MQTT_USERNAME: ["broker", "username"],
+  MQTT_PASSWORD: ["broker", "password"],
+  MQTT_CLIENT_ID: ["broker", "clientId"],
+  MQTT_KEEPALIVE: ["broker", "keepalive"],
+  MQTT_CLEAN: ["broker", "clean"],
+  MQTT_CONNECT_TIMEOUT_MS: ["broker", "connectTimeoutMs"],
+  MQTT_TLS_CA: ["broker", "tls", "ca"],
+  MQTT_TLS_CERT: ["broker", "tls", "cert"],
+  MQTT_TLS_KEY: ["broker", "tls", "key"],
+  MQTT_TLS_REJECT_UNAUTHORIZED: ["broker", "tls", "rejectUnauthorized"],
+  MQTT_RECONNECT_INITIAL_MS: ["broker", "reconnect", "initialDelayMs"],
+  MQTT_RECONNECT_MAX_MS: ["broker", "reconnect", "maxDelayMs"],
+  MQTT_RECONNECT_MULTIPLIER: ["broker", "reconnect", "multiplier"],
+  HTTP_PORT: ["http", "port"],
+  CORS_ORIGINS: ["http", "corsOrigins"],
+  AUTH_ENABLED: ["auth", "enabled"],
+  AUTH_USERS_FILE: ["auth", "usersFile"],
+  AUTH_TOKEN_SECRET: ["auth", "tokenSecret"],
+  AUTH_TOKEN_TTL_HOURS: ["auth", "tokenTtlHours"],
+  AUTH_MAX_LOGIN_FAILURES: ["auth", "maxLoginFailures"],
+  AUTH_LOCKOUT_MS: ["auth", "lockoutMs"],
+  EVENT_STORE_DIR: ["eventStore", "dir"],
+  EVENT_STORE_RETENTION_DAYS: ["eventStore", "retentionDays"],
+  TELEMETRY_DIR: ["telemetryHistory", "dir"],
+  TELEMETRY_RAW_RETENTION_DAYS: ["telemetryHistory", "rawRetentionDays"],
+  TELEMETRY_RETENTION_DAYS: ["telemetryHistory", "retentionDays"],
+  RULES_FILE: ["rules", "file"],
+  DEVICES_FILE: ["devices", "file"],
+  AUDIT_DIR: ["audit", "dir"],
+  AUDIT_RETENTION_DAYS: ["audit", "retentionDays"],
+  ROBOT_PROCESSING_MS: ["robot", "processingMs"],
+  ROBOT_ACK_TOPIC: ["robot", "ack", "topic"],
+  ROBOT_WATCHDOG_MS: ["robot", "ack", "watchdogMs"],
+  PRODUCTION_IDEAL_CYCLE_MS: ["production", "idealCycleMs"],
+  PRODUCTION_MAX_SHIFT_DAYS: ["production", "maxShiftDays"],
+  NODE_STALE_MS: ["nodes", "staleMs"],
+  NODE_OFFLINE_MS: ["nodes", "offlineMs"],
+  NODE_MAX_UNKNOWN: ["nodes", "maxUnknown"],
+  SIMULATOR_PORT: ["simulator", "port"]
+};
+
+const VALID_PROTOCOLS = ["mqtt", "mqtts", "ws", "wss", "tcp", "tls"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+  const result = Array.isArray(target) ? target.slice() : { ...target };
+  Object.keys(source || {}).forEach((key) => {
+    if (isPlainObject(source[key]) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], source[key]);
+    } else if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+  });
+  return result;
+}
+
+function setPath(obj, keys, value) {
+  let node = obj;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+function getPath(obj, keys) {
+  return keys.reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+// The default an env var replaces; ack sections default to null, so theirs come from ACK_DEFAULTS
+function envDefault(keys) {
+  const value = getPath(DEFAULT_CONFIG, keys);
+  if (value === undefined && keys[keys.length - 2] === "ack") return ACK_DEFAULTS[keys[keys.length - 1]];
+  return value;
+}
+
+// Env vars are strings; coerce them to the type of the default they replace
+function coerceEnvValue(raw, defaultValue) {
+  if (typeof defaultValue === "number") {
+    return raw.trim() === "" ? NaN : Number(raw);
+  }
+  if (typeof defaultValue === "boolean") {
+    const lowered = raw.trim().toLowerCase();
+    if (["1", "true", "yes", "on"].includes(lowered)) return true;
+    if (["0", "false", "no", "off"].includes(lowered)) return false;
+    return raw; // left as a string so validation reports it
+  }
+  if (Array.isArray(defaultValue)) {
+    return raw.split(",").map((item) => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${resolved}`);
+  }
+  const text = fs.readFileSync(resolved, "utf8");
+  const ext = path.extname(resolved).toLowerCase();
+
+  try {
+    if (ext === ".yaml" || ext === ".yml") {
+      let yaml;
+      try {
+        yaml = require("yaml");
+      } catch (err) {
+        throw new Error("YAML config requires the 'yaml' package (npm install yaml), or use a .json file");
+      }
+      return yaml.parse(text) || {};
+    }
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse config file ${resolved}: ${err.message}`);
+  }
+}
+
+// Returns the --config <path> / --config=<path> argument if present
+function configPathFromArgv(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--config") return argv[i + 1];
+    if (argv[i].startsWith("--config=")) return argv[i].slice("--config=".length);
+  }
+  return null;
+}
+
+// --simulate → [] (configured scenarios), --simulate=a,b → ["a", "b"], absent → null
+function simulateFromArgv(argv) {
+  const flag = argv.find((arg) => arg === "--simulate" || arg.startsWith("--simulate="));
+  if (!flag) return null;
+  return flag === "--simulate" ? [] : flag.slice("--simulate=".length).split(",").map((name) => name.trim()).filter(Boolean);
+}
+
+function validateConfig(config) {
+  const errors = [];
+  const broker = config.broker;
+
+  if (broker.url) {
+    // Only the protocol and host matter here: ws/wss URLs carry a path (ws://host:9001/mqtt)
+    let url = null;
+    try {
+      url = new URL(broker.url);
+    } catch (err) {
+      errors.push(`broker.url must look like mqtt://host:port (got "${broker.url}")`);
+    }
+    if (url) {
+      const protocol = url.protocol.replace(/:$/, "");
+      if (!VALID_PROTOCOLS.includes(protocol)) {
+        errors.push(`broker.url protocol must be one of ${VALID_PROTOCOLS.join(", ")} (got "${protocol}")`);
+      }
+      if (!url.hostname) {
+        errors.push(`broker.url needs a host (got "${broker.url}")`);
+      }
+    }
+  } else {
+    if (!broker.host) {
+      errors.push("broker.host is required when broker.url is not set (MQTT_HOST or MQTT_URL)");
+    }
+    if (!VALID_PROTOCOLS.includes(broker.protocol)) {
+      errors.push(`broker.protocol must be one of ${VALID_PROTOCOLS.join(", ")} (got "${broker.protocol}")`);
+    }
+    if (!Number.isInteger(broker.port) || broker.port < 1 || broker.port > 65535) {
+      errors.push(`broker.port must be an integer between 1 and 65535 (got "${broker.port}")`);
+    }
+  }
+
+  if (typeof broker.username !== "string") errors.push("broker.username must be a string");
+  if (typeof broker.password !== "string") errors.push("broker.password must be a string");
+  if (broker.password && !broker.username) errors.push("broker.password is set but broker.username is empty");
+  if (typeof broker.clientId !== "string") errors.push("broker.clientId must be a string");
+
+  if (!Number.isInteger(broker.keepalive) || broker.keepalive < 0 || broker.keepalive > 65535) {
+    errors.push(`broker.keepalive must be an integer number of seconds between 0 and 65535 (got "${broker.keepalive}")`);
+  }
+  if (typeof broker.clean !== "boolean") {
+    errors.push(`broker.clean must be true or false (got "${broker.clean}")`);
+  }
+  if (!Number.isInteger(broker.connectTimeoutMs) || broker.connectTimeoutMs <= 0) {
+    errors.push(`broker.connectTimeoutMs must be a positive integer (got "${broker.connectTimeoutMs}")`);
+  }
+
+  ["ca", "cert", "key"].forEach((name) => {
+    const file = broker.tls[name];
+    if (file && !fs.existsSync(file)) {
+      errors.push(`broker.tls.${name} file not found: ${file}`);
+    }
+  });
+  if (Boolean(broker.tls.cert) !== Boolean(broker.tls.key)) {
+    errors.push("broker.tls.cert and broker.tls.key must be set together");
+  }
+  if (typeof broker.tls.rejectUnauthorized !== "boolean") {
+    errors.push(`broker.tls.rejectUnauthorized must be true or false (got "${broker.tls.rejectUnauthorized}")`);
+  }
+
+  const reconnect = broker.reconnect;
+  if (!Number.isInteger(reconnect.initialDelayMs) || reconnect.initialDelayMs < 0) {
+    errors.push(`broker.reconnect.initialDelayMs must be a non-negative integer (got "${reconnect.initialDelayMs}")`);
+  }
+  if (!Number.isInteger(reconnect.maxDelayMs) || reconnect.maxDelayMs < reconnect.initialDelayMs) {
+    errors.push(`broker.reconnect.maxDelayMs must be an integer >= initialDelayMs (got "${reconnect.maxDelayMs}")`);
+  }
+  if (typeof reconnect.multiplier !== "number" || !(reconnect.multiplier >= 1)) {
+    errors.push(`broker.reconnect.multiplier must be a number >= 1 (got "${reconnect.multiplier}")`);
+  }
+
+  if (!Array.isArray(config.http.corsOrigins) || config.http.corsOrigins.some((origin) => typeof origin !== "string")) {
+    errors.push("http.corsOrigins must be an array of origin strings");
+  }
+
+  const auth = config.auth;
+  if (typeof auth.enabled !== "boolean") {
+    errors.push(`auth.enabled must be true or false (got "${auth.enabled}")`);
+  }
+  if (auth.enabled && (typeof auth.usersFile !== "string" || !auth.usersFile)) {
+    errors.push("auth.usersFile must be a path when auth is enabled");
+  }
+  if (typeof auth.tokenSecret !== "string") {
+    errors.push("auth.tokenSecret must be a string");
+  }
+  if (typeof auth.tokenTtlHours !== "number" || !(auth.tokenTtlHours > 0)) {
+    errors.push(`auth.tokenTtlHours must be a positive number (got "${auth.tokenTtlHours}")`);
+  }
+  ["maxLoginFailures", "lockoutMs"].forEach((key) => {
+    if (!Number.isInteger(auth[key]) || auth[key] < 1) {
+      errors.push(`auth.${key} must be a positive integer (got "${auth[key]}")`);
+    }
+  });
+
+  if (typeof config.eventStore.dir !== "string" || !config.eventStore.dir) {
+    errors.push("eventStore.dir must be a non-empty path");
+  }
+  if (!Number.isInteger(config.eventStore.retentionDays) || config.eventStore.retentionDays < 0) {
+    errors.push(`eventStore.retentionDays must be a non-negative integer (got "${config.eventStore.retentionDays}")`);
+  }
+  if (typeof config.telemetryHistory.dir !== "string" || !config.telemetryHistory.dir) {
+    errors.push("telemetryHistory.dir must be a non-empty path");
+  }
+  ["rawRetentionDays", "retentionDays"].forEach((key) => {
+    if (!Number.isInteger(config.telemetryHistory[key]) || config.telemetryHistory[key] < 0) {
+      errors.push(`telemetryHistory.${key} must be a non-negative integer (got "${config.telemetryHistory[key]}")`);
+    }
+  });
+  if (typeof config.audit.dir !== "string" || !config.audit.dir) {
+    errors.push("audit.dir must be a non-empty path");
+  }
+  if (!Number.isInteger(config.audit.retentionDays) || config.audit.retentionDays < 0) {
+    errors.push(`audit.retentionDays must be a non-negative integer (got "${config.audit.retentionDays}")`);
+  }
+
+  validateDoors(config.doors, errors);
+
+  if (!Number.isInteger(config.robot.processingMs) || config.robot.processingMs < 1) {
+    errors.push(`robot.processingMs must be a positive integer (got "${config.robot.processingMs}")`);
+  }
+  validateAck(config.robot.ack, "robot.ack", errors);
+
+  if (!Number.isInteger(config.production.idealCycleMs) || config.production.idealCycleMs < 1) {
+    errors.push(`production.idealCycleMs must be a positive integer (got "${config.production.idealCycleMs}")`);
+  }
+  if (!Number.isInteger(config.production.hourlyBuckets) || config.production.hourlyBuckets < 1) {
+    errors.push(`production.hourlyBuckets must be a positive integer (got "${config.production.hourlyBuckets}")`);
+  }
+  if (!Number.isInteger(config.production.maxShiftDays) || config.production.maxShiftDays < 1) {
+    errors.push(`production.maxShiftDays must be a positive integer (got "${config.production.maxShiftDays}")`);
+  }
+  validateNodes(config.nodes, errors);
+  if (!isPlainObject(config.devices) || typeof config.devices.file !== "string" || !config.devices.file) {
+    errors.push("devices.file must be a non-empty path");
+  }
+  validateAlarms(config.alarms, errors);
+  if (!isPlainObject(config.rules) || typeof config.rules.file !== "string" || !config.rules.file) {
+    errors.push("rules.file must be a non-empty path");
+  }
+  validateSimulator(config.simulator, errors);
+
+  if (!Array.isArray(config.routes)) {
+    errors.push("routes must be an array");
+  } else {
+    config.routes.forEach((route, index) => {
+      if (!isPlainObject(route) || typeof route.topic !== "string" || typeof route.handler !== "string") {
+        errors.push(`routes[${index}] must be an object with string "topic" and "handler"`);
+      }
+    });
+  }
+
+  const commands = config.commands;
+  if (typeof commands.topic !== "string" || !commands.topic || /[+#]/.test(commands.topic)) {
+    errors.push("commands.topic must be a topic without wildcards");
+  }
+  ["authorize", "deny"].forEach((action) => {
+    if (typeof commands.door[action] !== "string") errors.push(`commands.door.${action} must be a payload string`);
+  });
+  ["start", "stop", "pause"].forEach((action) => {
+    if (typeof commands.robot[action] !== "string") errors.push(`commands.robot.${action} must be a payload string`);
+  });
+  ["hazard", "clear"].forEach((action) => {
+    if (!isPlainObject(commands.environment) || typeof commands.environment[action] !== "string") {
+      errors.push(`commands.environment.${action} must be a payload string`);
+    }
+  });
+  if (!Array.isArray(commands.publishAllowed)) {
+    errors.push("commands.publishAllowed must be an array");
+  }
+
+  if (!Number.isInteger(config.http.port) || config.http.port < 1 || config.http.port > 65535) {
+    errors.push(`http.port must be an integer between 1 and 65535 (got "${config.http.port}")`);
+  }
+
+  return errors;
+}
+
+const DOOR_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function validateDoors(doors, errors) {
+  if (!Array.isArray(doors) || doors.length === 0) {
+    errors.push("doors must be a non-empty array");
+    return;
+  }
+  const ids = doors.map((door) => door && door.id);
+  doors.forEach((door, index) => {
+    const label = `doors[${index}]${door && door.id ? ` (${door.id})` : ""}`;
+    if (!isPlainObject(door)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof door.id !== "string" || !DOOR_ID_PATTERN.test(door.id)) {
+      errors.push(`${label}.id must be letters, digits, "-" or "_"`);
+    } else if (ids.indexOf(door.id) !== index) {
+      errors.push(`${label}.id is used by more than one door`);
+    }
+    ["topic", "feedbackTopic"].forEach((key) => {
+      if (typeof door[key] !== "string" || !door[key] || /[+#]/.test(door[key])) {
+        errors.push(`${label}.${key} must be a topic without wildcards`);
+      }
+    });
+    if (!isPlainObject(door.payloads) || door.payloads.authorize === undefined || door.payloads.deny === undefined) {
+      errors.push(`${label}.payloads needs "authorize" and "deny" matchers`);
+    }
+    if (!Number.isInteger(door.cycleMs) || door.cycleMs < 1) {
+      errors.push(`${label}.cycleMs must be a positive integer (got "${door.cycleMs}")`);
+    }
+    validateAck(door.ack, `${label}.ack`, errors);
+    if (!Array.isArray(door.interlockWith)) {
+      errors.push(`${label}.interlockWith must be an array`);
+    } else {
+      door.interlockWith.forEach((partner) => {
+        if (partner !== "robot" && (!ids.includes(partner) || partner === door.id)) {
+          errors.push(`${label}.interlockWith: "${partner}" is not "robot" or another door id`);
+        }
+      });
+    }
+    if (door.sensors !== null && door.sensors !== undefined) {
+      const sensorTopics = isPlainObject(door.sensors) ? ["main", "small"].map((leaf) => door.sensors[leaf]).filter(Boolean) : [];
+      if (sensorTopics.length === 0 || sensorTopics.some((topic) => typeof topic !== "string" || /[+#]/.test(topic))) {
+        errors.push(`${label}.sensors must be null or { main, small } topics without wildcards`);
+      }
+    }
+    ["main", "small"].forEach((leaf) => {
+      const commands = isPlainObject(door.leafCommands) ? door.leafCommands[leaf] : null;
+      if (!isPlainObject(commands) || typeof commands.open !== "string" || typeof commands.close !== "string") {
+        errors.push(`${label}.leafCommands.${leaf} needs "open" and "close" payload strings`);
+      }
+    });
+    const twin = door.twin || {};
+    if (!isPlainObject(twin) || ["x", "z", "rotationY"].some((key) => twin[key] !== undefined && typeof twin[key] !== "number")) {
+      errors.push(`${label}.twin must be { x, z, rotationY } numbers`);
+    }
+  });
+}
+
+// Heartbeat/status/telemetry topics need exactly one "+" level for the node id
+function validateNodes(nodes, errors) {
+  ["heartbeatTopic", "statusTopic", "telemetryTopic"].forEach((key) => {
+    const topic = nodes[key];
+    if (typeof topic !== "string" || topic.includes("#") || topic.split("/").filter((level) => level === "+").length !== 1) {
+      errors.push(`nodes.${key} must be a topic with one "+" level for the node id (got "${topic}")`);
+    }
+  });
+  if (!Number.isInteger(nodes.staleMs) || nodes.staleMs < 1) {
+    errors.push(`nodes.staleMs must be a positive integer (got "${nodes.staleMs}")`);
+  }
+  if (!Number.isInteger(nodes.offlineMs) || nodes.offlineMs <= nodes.staleMs) {
+    errors.push(`nodes.offlineMs must be an integer greater than staleMs (got "${nodes.offlineMs}")`);
+  }
+  if (!Number.isInteger(nodes.maxUnknown) || nodes.maxUnknown < 0) {
+    errors.push(`nodes.maxUnknown must be a non-negative integer (got "${nodes.maxUnknown}")`);
+  }
+  if (!Array.isArray(nodes.list)) {
+    errors.push("nodes.list must be an array");
+    return;
+  }
+  const ids = nodes.list.map((node) => node && node.id);
+  nodes.list.forEach((node, index) => {
+    if (!isPlainObject(node) || typeof node.id !== "string" || !DOOR_ID_PATTERN.test(node.id) || typeof node.name !== "string") {
+      errors.push(`nodes.list[${index}] must be { id, name } with an id of letters, digits, "-" or "_"`);
+    } else if (ids.indexOf(node.id) !== index) {
+      errors.push(`nodes.list[${index}].id "${node.id}" is used by more than one node`);
+    }
+  });
+}
+
+function validateAlarms(alarms, errors) {
+  if (!Number.isInteger(alarms.maxShelveMs) || alarms.maxShelveMs < 1) {
+    errors.push(`alarms.maxShelveMs must be a positive integer (got "${alarms.maxShelveMs}")`);
+  }
+  if (!Number.isInteger(alarms.defaultShelveMs) || alarms.defaultShelveMs < 1 || alarms.defaultShelveMs > alarms.maxShelveMs) {
+    errors.push(`alarms.defaultShelveMs must be a positive integer no greater than maxShelveMs (got "${alarms.defaultShelveMs}")`);
+  }
+  if (!isPlainObject(alarms.severities)) {
+    errors.push("alarms.severities must be an object of alarm code → severity");
+    return;
+  }
+  Object.keys(alarms.severities).forEach((code) => {
+    if (!ALARM_CODES[code]) {
+      errors.push(`alarms.severities: unknown alarm code "${code}" (expected one of: ${Object.keys(ALARM_CODES).join(", ")})`);
+    } else if (!SEVERITIES.includes(alarms.severities[code])) {
+      errors.push(`alarms.severities.${code} must be one of: ${SEVERITIES.join(", ")}`);
+    }
+  });
+}
+
+function validateSimulator(simulator, errors) {
+  ["enabled", "embeddedBroker", "loop"].forEach((key) => {
+    if (typeof simulator[key] !== "boolean") errors.push(`simulator.${key} must be true or false (got "${simulator[key]}")`);
+  });
+  if (!Number.isInteger(simulator.port) || simulator.port < 1 || simulator.port > 65535) {
+    errors.push(`simulator.port must be an integer between 1 and 65535 (got "${simulator.port}")`);
+  }
+  ["pauseMs", "hazardMs"].forEach((key) => {
+    if (!Number.isInteger(simulator[key]) || simulator[key] < 0) {
+      errors.push(`simulator.${key} must be a non-negative integer (got "${simulator[key]}")`);
+    }
+  });
+  if (!Array.isArray(simulator.scenarios) || simulator.scenarios.length === 0) {
+    errors.push(`simulator.scenarios must be a non-empty list of: ${SCENARIO_NAMES.join(", ")}`);
+  } else {
+    simulator.scenarios
+      .filter((name) => !SCENARIO_NAMES.includes(name))
+      .forEach((name) => errors.push(`simulator.scenarios: unknown scenario "${name}" (known: ${SCENARIO_NAMES.join(", ")})`));
+  }
+  const environment = simulator.environment;
+  if (!isPlainObject(environment) || typeof environment.topic !== "string" || /[+#]/.test(environment.topic) ||
+    typeof environment.hazard !== "string" || typeof environment.clear !== "string") {
+    errors.push("simulator.environment must be { topic, hazard, clear } strings (topic without wildcards)");
+  }
+}
+
+// null (simulated completion) or { topic, done, fault, watchdogMs }
+function validateAck(ack, label, errors) {
+  if (ack === null) return;
+  if (!isPlainObject(ack)) {
+    errors.push(`${label} must be null or { topic, done, fault, watchdogMs }`);
+    return;
+  }
+  if (typeof ack.topic !== "string" || !ack.topic || /[+#]/.test(ack.topic)) {
+    errors.push(`${label}.topic must be a topic without wildcards`);
+  }
+  if (ack.done === undefined || ack.done === null) {
+    errors.push(`${label}.done needs a payload matcher`);
+  }
+  if (!Number.isInteger(ack.watchdogMs) || ack.watchdogMs < 1) {
+    errors.push(`${label}.watchdogMs must be a positive integer (got "${ack.watchdogMs}")`);
+  }
+}
+
+/**
+ * Builds the bridge configuration from (lowest to highest priority):
+ * built-in defaults, an optional JSON/YAML file (--config <path> or BRIDGE_CONFIG),
+ * and MQTT_* / HTTP_PORT environment variables. Throws with every problem listed
+ * if the result is invalid.
+ */
+function loadConfig({ env = process.env, argv = process.argv.slice(2) } = {}) {
+  let config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+
+  const filePath = configPathFromArgv(argv) || env.BRIDGE_CONFIG;
+  if (filePath) {
+    config = deepMerge(config, readConfigFile(filePath));
+    config.source = path.resolve(filePath);
+  }
+  if (Array.isArray(config.doors)) {
+    config.doors = config.doors.map((door) => (isPlainObject(door) ? deepMerge(JSON.parse(JSON.stringify(DOOR_DEFAULTS)), door) : door));
+  }
+
+  Object.keys(ENV_MAP).forEach((name) => {
+    if (env[name] !== undefined) {
+      const keys = ENV_MAP[name];
+      setPath(config, keys, coerceEnvValue(env[name], envDefault(keys)));
+    }
+  });
+  [config.robot].concat(config.doors).forEach((owner) => {
+    if (isPlainObject(owner) && isPlainObject(owner.ack)) owner.ack = deepMerge(JSON.parse(JSON.stringify(ACK_DEFAULTS)), owner.ack);
+  });
+
+  const simulate = simulateFromArgv(argv);
+  if (simulate) {
+    config.simulator.enabled = true;
+    if (simulate.length > 0) config.simulator.scenarios = simulate;
+  }
+  // The bridge talks to the simulator's own broker, without credentials
+  if (config.simulator.enabled && config.simulator.embeddedBroker) {
+    config.broker = { ...config.broker, url: `mqtt://127.0.0.1:${config.simulator.port}`, username: "", password: "" };
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid bridge configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+  return config;
+}
+
+function brokerUrl(config) {
+  const broker = config.broker;
+  return broker.url || `${broker.protocol}://${broker.host}:${broker.port}`;
+}
+
+// Translate the broker section into mqtt.connect() options
+function buildMqttOptions(config) {
+  const broker = config.broker;
+  const options = {
+    keepalive: broker.keepalive,
+    clean: broker.clean,
+    connectTimeout: broker.connectTimeoutMs,
+    reconnectPeriod: broker.reconnect.initialDelayMs,
+    rejectUnauthorized: broker.tls.rejectUnauthorized
+  };
+
+  if (broker.clientId) options.clientId = broker.clientId;
+  if (broker.username) options.username = broker.username;
+  if (broker.password) options.password = broker.password;
+  if (broker.tls.ca) options.ca = fs.readFileSync(broker.tls.ca);
+  if (broker.tls.cert) options.cert = fs.readFileSync(broker.tls.cert);
+  if (broker.tls.key) options.key = fs.readFileSync(broker.tls.key);
+
+  return options;
+}
+
+/**
+ * mqtt.js only supports a fixed reconnectPeriod, so grow it after every failed
+ * attempt and reset it once a connection succeeds.
+ */
+function applyReconnectBackoff(client, reconnect) {
+  let delay = reconnect.initialDelayMs;
+
+  client.on("connect", () => {
+    delay = reconnect.initialDelayMs;
+    client.options.reconnectPeriod = delay;
+  });
+
+  client.on("reconnect", () => {
+    delay = Math.min(Math.round(delay * reconnect.multiplier), reconnect.maxDelayMs);
+    client.options.reconnectPeriod = delay;
+    console.log(`Reconnecting to MQTT broker (next retry in ${delay} ms if this fails)`);
+  });
+}
+
+// Config summary safe to log (no password)
+function describeConfig(config) {
+  const broker = config.broker;
+  return {
+    source: config.source || "defaults + environment",
+    url: brokerUrl(config),
+    username: broker.username || "(none)",
+    clientId: broker.clientId || "(auto)",
+    tls: Boolean(broker.tls.ca || broker.tls.cert),
+    keepalive: broker.keepalive,
+    clean: broker.clean,
+    reconnect: broker.reconnect,
+    httpPort: config.http.port,
+    corsOrigins: config.http.corsOrigins,
+    doors: config.doors.map((door) => `${door.id} (${door.topic})`),
+    robotCompletion: config.robot.ack ? `ack on ${config.robot.ack.topic}` : `simulated (${config.robot.processingMs} ms/parcel)`,
+    nodes: `${config.nodes.list.length} (stale ${config.nodes.staleMs} ms, offline ${config.nodes.offlineMs} ms)`,
+    auth: config.auth.enabled ? `enabled (${config.auth.usersFile})` : "DISABLED",
+    simulator: config.simulator.enabled
+      ? `${config.simulator.scenarios.join(", ")}${config.simulator.embeddedBroker ? ` (embedded broker :${config.simulator.port})` : ""}`
+      : "off"
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  validateConfig,
+  brokerUrl,
+  buildMqttOptions,
+  applyReconnectBackoff,
+  describeConfig
+};
@@ -0,0 +1,24 @@
+// --- CONSTANTS ---
+// Names the config is validated against, kept here so loading the config pulls
+// in no runtime dependencies (mqtt, express). The modules that own them
+// (server/alarms.js, server/simulator.js) import them from here.
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+// What the bridge raises; config.alarms.severities overrides the severity per code
+const ALARM_CODES = {
+  FOG_BLOCK: { severity: "critical", momentary: false },
+  INTERLOCK_VIOLATION: { severity: "critical", momentary: false },
+  ROBOT_FAULT: { severity: "high", momentary: true },
+  ROBOT_TIMEOUT: { severity: "high", momentary: true },
+  DOOR_FAULT: { severity: "high", momentary: true },
+  DOOR_TIMEOUT: { severity: "high", momentary: true },
+  DOOR_AUTH_IGNORED: { severity: "medium", momentary: true },
+  NODE_OFFLINE: { severity: "medium", momentary: false },
+  RULE_TRIGGERED: { severity: "medium", momentary: false } // severity set per rule
+};
+
+// Scripted simulator scenarios (server/simulator.js), in the order they run
+const SCENARIO_NAMES = ["authorized-entry", "denied-entry", "robot-run", "fog-hazard", "node-dropout"];
+
+module.exports = { SEVERITIES, ALARM_CODES, SCENARIO_NAMES };
@@ -0,0 +1,235 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const CATALOG = require("./device-catalog.json");
+
+// --- DEVICE REGISTRY ---
+// The field nodes the twin shows as ESP32 boards, with their labels and popups:
+//
+//   { id, name, type, description, image, functions: [], components: [{ type, name }],
+//     metrics: [{ key, label, unit }], topics: { heartbeat, status, telemetry },
+//     placement: { position: { x, y, z }, rotation: { x, y, z }, scale } | null }
+//
+// topics is derived from the config.nodes patterns, which the bridge routes by;
+// it is reported for reference and never stored or edited.
+// Kept in config.devices.file and edited over /devices. Until that file exists
+// the registry starts from config.nodes.list, filled in from device-catalog.json
+// (the boards of the molding station). Node health tracks every registered device.
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]+$/; // one MQTT topic level, one telemetry directory
+const DEVICE_TYPES = ["esp32", "esp8266", "pico-w"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isString(value) {
+  return typeof value === "string";
+}
+
+// Node topics for a device, from the "+" patterns in config.nodes
+function defaultTopics(id, patterns) {
+  const topics = {};
+  Object.keys(patterns).forEach((name) => {
+    topics[name] = patterns[name].replace("+", id);
+  });
+  return topics;
+}
+
+function validateVector(value, label, errors) {
+  if (!isPlainObject(value) || !["x", "y", "z"].every((axis) => Number.isFinite(value[axis]))) {
+    errors.push(`${label} must be { x, y, z } numbers`);
+    return null;
+  }
+  return { x: value.x, y: value.y, z: value.z };
+}
+
+/**
+ * Checks a device from the REST API or the registry file; returns { device, errors }
+ * with the device reduced to its known, stored fields and defaults filled in.
+ */
+function validateDevice(input) {
+  const errors = [];
+  if (!isPlainObject(input)) return { device: null, errors: ["device must be an object"] };
+  const {
+    id,
+    name,
+    type = "esp32",
+    description = "",
+    image = null,
+    functions = [],
+    components = [],
+    metrics = [],
+    placement = null
+  } = input;
+
+  if (!isString(id) || !DEVICE_ID_PATTERN.test(id)) errors.push('id must be letters, digits, "-" or "_"');
+  if (!isString(name) || !name.trim()) errors.push("name is required");
+  if (!DEVICE_TYPES.includes(type)) errors.push(`type must be one of: ${DEVICE_TYPES.join(", ")}`);
+  if (!isString(description)) errors.push("description must be a string");
+  if (image !== null && !isString(image)) errors.push("image must be a path or URL");
+  if (!Array.isArray(functions) || !functions.every(isString)) errors.push("functions must be an array of strings");
+  if (!Array.isArray(components) || !components.every((c) => isPlainObject(c) && isString(c.type) && isString(c.name))) {
+    errors.push("components must be an array of { type, name }");
+  }
+  if (!Array.isArray(metrics) || !metrics.every((m) => isPlainObject(m) && isString(m.key) && m.key && isString(m.label) && isString(m.unit))) {
+    errors.push("metrics must be an array of { key, label, unit }");
+  } else if (new Set(metrics.map((m) => m.key)).size !== metrics.length) {
+    errors.push("metric keys must be unique");
+  }
+
+  let cleanPlacement = null;
+  if (placement !== null) {
+    if (!isPlainObject(placement)) {
+      errors.push("placement must be { position, rotation, scale } or null");
+    } else {
+      const { scale = 1 } = placement;
+      if (!Number.isFinite(scale) || scale <= 0) errors.push("placement.scale must be a positive number");
+      cleanPlacement = {
+        position: validateVector(placement.position, "placement.position", errors),
+        rotation: validateVector(placement.rotation || { x: 0, y: 0, z: 0 }, "placement.rotation", errors),
+        scale
+      };
+    }
+  }
+  if (errors.length > 0) return { device: null, errors };
+
+  return {
+    device: {
+      id,
+      name: name.trim(),
+      type,
+      description,
+      image,
+      functions: functions.slice(),
+      components: components.map((c) => ({ type: c.type, name: c.name })),
+      metrics: metrics.map((m) => ({ key: m.key, label: m.label, unit: m.unit })),
+      placement: cleanPlacement
+    },
+    errors
+  };
+}
+
+// First-start device list: config.nodes.list entries over their catalogue entries
+function seedDevices(nodes) {
+  return nodes.map((node) => ({ ...CATALOG.find((entry) => entry.id === node.id), ...node }));
+}
+
+function createDeviceRegistry({
+  file, // config.devices.file
+  seed, // config.nodes.list, used while the file does not exist
+  topics, // { heartbeat, status, telemetry } patterns from config.nodes
+  onChange = () => {} // (device, "created" | "updated" | "deleted") after every edit
+}) {
+  const devices = new Map(); // id → stored device (without topics), in registry order
+
+  function load(list, source) {
+    list.forEach((entry, index) => {
+      const { device, errors } = validateDevice(entry);
+      if (!device) throw new Error(`Device ${index} in ${source} is invalid: ${errors.join("; ")}`);
+      if (devices.has(device.id)) throw new Error(`Device id "${device.id}" is listed twice in ${source}`);
+      devices.set(device.id, device);
+    });
+  }
+
+  if (fs.existsSync(file)) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    load(Array.isArray(data.devices) ? data.devices : [], file);
+  } else {
+    load(seedDevices(seed), "nodes.list");
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ devices: [...devices.values()] }, null, 2) + "\n");
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // A copy for callers, with the node topics the bridge routes for this id
+  function snapshot(device) {
+    return { ...JSON.parse(JSON.stringify(device)), topics: defaultTopics(device.id, topics) };
+  }
+
+  function list() {
+    return [...devices.values()].map(snapshot);
+  }
+
+  function get(id) {
+    return devices.has(id) ? snapshot(devices.get(id)) : null;
+  }
+
+  // The mutators return { device } or { errors } (errors null for an unknown id)
+  function create(input) {
+    const { device, errors } = validateDevice(input);
+    if (!device) return { errors };
+    if (devices.has(device.id)) return { errors: [`A device with id "${device.id}" already exists`], conflict: true };
+    devices.set(device.id, device);
+    save();
+    onChange(snapshot(device), "created");
+    return { device: snapshot(device) };
+  }
+
+  // The id is the node's MQTT identity and cannot change
+  function update(id, input) {
+    if (!devices.has(id)) return { errors: null };
+    const { device, errors } = validateDevice({ ...input, id });
+    if (!device) return { errors };
+    devices.set(id, device);
+    save();
+    onChange(snapshot(device), "updated");
+    return { device: snapshot(device) };
+  }
+
+  function remove(id) {
+    const device = devices.get(id);
+    if (!device) return false;
+    devices.delete(id);
+    save();
+    onChange(snapshot(device), "deleted");
+    return true;
+  }
+
+  return { list, get, create, update, remove };
+}
+
+// GET /devices, GET /devices/:id (viewer); POST /devices, PUT/DELETE /devices/:id (operator)
+function createDeviceApi({ registry, requireRole, audit = () => {} }) {
+  const router = express.Router();
+
+  router.get("/", requireRole("viewer"), (req, res) => {
+    res.json({ types: DEVICE_TYPES, devices: registry.list() });
+  });
+
+  router.get("/:id", requireRole("viewer"), (req, res) => {
+    const device = registry.get(req.params.id);
+    if (!device) return res.status(404).json({ error: `Unknown device "${req.params.id}"` });
+    res.json(device);
+  });
+
+  router.post("/", requireRole("operator"), (req, res) => {
+    const { device, errors, conflict } = registry.create(req.body);
+    if (!device) return res.status(conflict ? 409 : 400).json({ success: false, errors });
+    audit({ actor: req.user, action: "device.create", params: { device: device.id, name: device.name } });
+    res.status(201).json({ success: true, device });
+  });
+
+  router.put("/:id", requireRole("operator"), (req, res) => {
+    const { device, errors } = registry.update(req.params.id, req.body);
+    if (!device && !errors) return res.status(404).json({ success: false, error: `Unknown device "${req.params.id}"` });
+    if (!device) return res.status(400).json({ success: false, errors });
+    audit({ actor: req.user, action: "device.update", params: { device: device.id, name: device.name, placement: device.placement } });
+    res.json({ success: true, device });
+  });
+
+  router.delete("/:id", requireRole("operator"), (req, res) => {
+    if (!registry.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Unknown device "${req.params.id}"` });
+    }
+    audit({ actor: req.user, action: "device.delete", params: { device: req.params.id } });
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { DEVICE_TYPES, validateDevice, createDeviceRegistry, createDeviceApi };
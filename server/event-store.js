@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const crypto = require("crypto");
+const { topicMatches } = require("./topic-router");
+const { systemClock, isoNow } = require("./clock");
+
+// --- EVENT STORE ---
+// Append-only JSONL files, one per UTC day (events-YYYY-MM-DD.jsonl), so a
+// time-range query only has to read the days it overlaps. A cursor
+// ("YYYY-MM-DD:<line>") names an event's place in its day file; paging by
+// cursor resumes there instead of reading the window again from its start.
+
+const FILE_PATTERN = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const CURSOR_PATTERN = /^(\d{4}-\d{2}-\d{2}):(\d+)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Accepts ISO strings or epoch milliseconds; returns a Date or null when absent
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`"${name}" must be an ISO date or epoch milliseconds (got "${value}")`);
+  }
+  return date;
+}
+
+// "YYYY-MM-DD:<line>" → { day, line }; null when absent
+function parseCursor(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = CURSOR_PATTERN.exec(String(value));
+  if (!match) {
+    throw new Error(`"after" must be a cursor from a previous page (got "${value}")`);
+  }
+  return { day: match[1], line: Number(match[2]) };
+}
+
+function createEventStore({ dir, retentionDays = 0, clock = systemClock }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Serialise writes so events land in the order they were recorded and
+  // queries can wait for pending writes before reading.
+  let writeChain = Promise.resolve();
+
+  function fileFor(day) {
+    return path.join(dir, `events-${day}.jsonl`);
+  }
+
+  function record(type, fields = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      ts: isoNow(clock),
+      type,
+      ...fields
+    };
+    const line = JSON.stringify(event) + "\n";
+    const file = fileFor(dayKey(new Date(event.ts)));
+    writeChain = writeChain
+      .then(() => fs.promises.appendFile(file, line))
+      .catch((err) => console.error("Error writing event store:", err.message));
+    return event;
+  }
+
+  function listDays() {
+    return fs.readdirSync(dir)
+      .map((name) => FILE_PATTERN.exec(name))
+      .filter(Boolean)
+      .map((match) => match[1])
+      .sort();
+  }
+
+  // Calls onEvent(event, lineNumber) from fromLine on; onEvent returns false to stop
+  async function readDay(day, onEvent, fromLine = 0) {
+    const stream = fs.createReadStream(fileFor(day), { encoding: "utf8" });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = -1;
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (lineNumber < fromLine || !line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (err) {
+        // A torn last line after a crash should not break the whole query
+        console.error(`Skipping corrupt event line in ${day}:`, err.message);
+        continue;
+      }
+      if (onEvent(event, lineNumber) === false) break;
+    }
+    lines.close();
+    stream.destroy();
+  }
+
+  /**
+   * Returns events in chronological order matching every given filter.
+   * topic accepts MQTT wildcards (+ / #); excludeTopic drops events on any of its
+   * comma-separated topic filters; type may be a comma-separated list; filter is
+   * an optional extra predicate for callers with their own fields.
+   *
+   * Pages by offset, counting every match for total, or with `after` by the
+   * nextCursor of the previous page: then reading starts there and stops once
+   * the page is full, and total is null. Only the page is held in memory.
+   */
+  async function query({ from, to, topic, excludeTopic, type, filter, limit = 100, offset = 0, after } = {}) {
+    await writeChain;
+
+    const fromDate = parseTime(from, "from");
+    const toDate = parseTime(to, "to");
+    const cursor = parseCursor(after);
+    const types = type ? String(type).split(",").map((t) => t.trim()) : null;
+    const excluded = excludeTopic ? String(excludeTopic).split(",").map((t) => t.trim()).filter(Boolean) : [];
+
+    const days = listDays().filter((day) => {
+      if (fromDate && day < dayKey(fromDate)) return false;
+      if (toDate && day > dayKey(toDate)) return false;
+      if (cursor && day < cursor.day) return false;
+      return true;
+    });
+
+    const events = [];
+    let total = 0;
+    let lastCursor = null; // place of the last event on the page
+    let more = false; // cursor paging: a match past the page exists
+    for (const day of days) {
+      await readDay(day, (event, lineNumber) => {
+        const ts = new Date(event.ts);
+        if (fromDate && ts < fromDate) return;
+        if (toDate && ts > toDate) return;
+        if (types && !types.includes(event.type)) return;
+        if (topic && !(event.topic && topicMatches(topic, event.topic))) return;
+        if (event.topic && excluded.some((pattern) => topicMatches(pattern, event.topic))) return;
+        if (filter && !filter(event)) return;
+        if (cursor && events.length === limit) {
+          more = true;
+          return false;
+        }
+        total += 1;
+        if ((cursor || total > offset) && events.length < limit) {
+          events.push(event);
+          lastCursor = `${day}:${lineNumber}`;
+        }
+      }, cursor && day === cursor.day ? cursor.line + 1 : 0);
+      if (more) break;
+    }
+
+    if (cursor) {
+      return { events, total: null, limit, offset: null, nextOffset: null, nextCursor: more ? lastCursor : null };
+    }
+    const hasMore = offset + events.length < total;
+    return {
+      events,
+      total,
+      limit,
+      offset,
+      nextOffset: hasMore ? offset + events.length : null,
+      nextCursor: hasMore && lastCursor ? lastCursor : null
+    };
+  }
+
+  // Most recent event of one type between `from` and `to` that passes the optional
+  // filter predicate, reading the newest day files first
+  async function latest({ type, from, to, filter } = {}) {
+    await writeChain;
+    const fromDate = parseTime(from, "from");
+    const toDate = parseTime(to, "to");
+    const days = listDays()
+      .filter((day) => (!toDate || day <= dayKey(toDate)) && (!fromDate || day >= dayKey(fromDate)))
+      .reverse();
+    for (const day of days) {
+      let found = null;
+      await readDay(day, (event) => {
+        if (event.type !== type) return;
+        const ts = new Date(event.ts);
+        if (fromDate && ts < fromDate) return;
+        if (toDate && ts > toDate) return;
+        if (filter && !filter(event)) return;
+        found = event;
+      });
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Delete whole day files older than the retention window
+  function prune() {
+    if (!retentionDays) return;
+    const cutoff = dayKey(new Date(clock.now() - retentionDays * DAY_MS));
+    listDays()
+      .filter((day) => day < cutoff)
+      .forEach((day) => {
+        fs.unlinkSync(fileFor(day));
+        console.log(`Event store: pruned ${day}`);
+      });
+  }
+
+  prune();
+  const pruneInterval = clock.setInterval(prune, DAY_MS);
+
+  return {
+    record,
+    query,
+    latest,
+    prune,
+    flush: () => writeChain,
+    close: () => clock.clearInterval(pruneInterval)
+  };
+}
+
+module.exports = { createEventStore, parseTime, parseCursor };
@@ -0,0 +1,131 @@
+const { systemClock, isoNow } = require("./clock");
+
+// --- ROBOT JOB PHASES ---
+// What the robot cell is doing within a job, parcel by parcel:
+//   cargo_arriving → parcel_ejected → pick → place → cargo_leaving
+// Every phase is announced with its expected duration so the twin can pace its
+// animations to the line:
+//
+//   { job, parcel: 2, parcels: 3, phase: "pick", index: 2, durationMs: 1500,
+//     remainingMs: 1500, source: "simulated" | "controller", paused: false, at }
+//
+// Phases are timed from robot.processingMs per parcel until the robot controller
+// reports one itself ("PHASE:PICK" on robot.ack.topic); from then on the job's
+// phases follow the controller only. When the job ends a final event carries
+// phase: null and ended: "completed" | "failed" | "stopped" | "aborted".
+
+const PHASES = [
+  { name: "cargo_arriving", share: 0.2 },
+  { name: "parcel_ejected", share: 0.1 },
+  { name: "pick", share: 0.1 },
+  { name: "place", share: 0.2 },
+  { name: "cargo_leaving", share: 0.4 }
+];
+const PHASE_NAMES = PHASES.map((phase) => phase.name);
+
+// Robot event that ended a job → how the job ended
+const ENDINGS = { COMPLETE: "completed", FAULT: "failed", TIMEOUT: "failed", STOP: "stopped", HAZARD: "aborted" };
+
+function createJobPhaseTracker({ robot, parcelMs, onPhase = () => {}, clock = systemClock }) {
+  let job = null; // { id, parcels, parcel, index, source, reported, durationMs, enteredAt, remainingMs, paused, timer }
+
+  function remaining() {
+    if (job.paused) return job.remainingMs;
+    return Math.max(job.remainingMs - (clock.now() - job.enteredAt), 0);
+  }
+
+  function snapshot() {
+    if (!job) return null;
+    return {
+      job: job.id,
+      parcel: job.parcel,
+      parcels: job.parcels,
+      phase: PHASE_NAMES[job.index],
+      index: job.index,
+      durationMs: job.durationMs,
+      remainingMs: remaining(),
+      source: job.source,
+      paused: job.paused,
+      at: isoNow(clock)
+    };
+  }
+
+  function schedule() {
+    clock.clearTimeout(job.timer);
+    if (!job.reported) job.timer = clock.setTimeout(advance, job.remainingMs);
+  }
+
+  function enter(parcel, index, source) {
+    job.parcel = parcel;
+    job.index = index;
+    job.source = source;
+    job.durationMs = Math.round(parcelMs * PHASES[index].share);
+    job.remainingMs = job.durationMs;
+    job.enteredAt = clock.now();
+    schedule();
+    onPhase(snapshot());
+  }
+
+  // Simulated timing: next phase, next parcel, or hold the last phase until the job ends
+  function advance() {
+    if (job.index < PHASES.length - 1) {
+      enter(job.parcel, job.index + 1, "simulated");
+    } else if (job.parcel < job.parcels) {
+      enter(job.parcel + 1, 0, "simulated");
+    }
+  }
+
+  /**
+   * Phase reported by the robot controller ("PHASE:<NAME>"). A phase earlier than
+   * the current one starts the next parcel. Returns the new snapshot, or null when
+   * the payload names no phase or no job is running.
+   */
+  function report(payload) {
+    const name = String(payload).trim().replace(/^PHASE:/i, "").toLowerCase();
+    const index = PHASE_NAMES.indexOf(name);
+    if (index === -1 || !job) {
+      console.log(`Robot phase report "${payload}" ignored (${job ? "unknown phase" : "no job running"})`);
+      return null;
+    }
+    job.reported = true;
+    const parcel = index < job.index ? Math.min(job.parcel + 1, job.parcels) : job.parcel;
+    enter(parcel, index, "controller");
+    return snapshot();
+  }
+
+  robot.onTransition((result, payload) => {
+    if (result.to === result.from) return;
+
+    if (result.to === "ROBOT_PROCESSING" && result.from === "IDLE") {
+      job = { id: payload.job || null, parcels: payload.parcels || 1, reported: false, paused: false, timer: null };
+      enter(1, 0, "simulated");
+    } else if (!job) {
+      return;
+    } else if (result.to === "ROBOT_PAUSED") {
+      job.remainingMs = remaining();
+      job.paused = true;
+      clock.clearTimeout(job.timer);
+      onPhase(snapshot());
+    } else if (result.to === "ROBOT_PROCESSING") {
+      job.paused = false;
+      job.enteredAt = clock.now();
+      schedule();
+      onPhase(snapshot());
+    } else {
+      clock.clearTimeout(job.timer);
+      onPhase({
+        job: job.id,
+        parcel: job.parcel,
+        parcels: job.parcels,
+        phase: null,
+        ended: ENDINGS[result.event] || "stopped",
+        at: isoNow(clock)
+      });
+      job = null;
+    }
+  });
+
+  return { report, current: snapshot };
+}
+
+module.exports = { PHASE_NAMES, createJobPhaseTracker };
@@ -0,0 +1,215 @@
+const express = require("express");
+const { systemClock, isoNow } = require("./clock");
+
+// --- NODE HEALTH ---
+// Liveness of the field nodes (ESP32 / Pico W boards) from their heartbeats and
+// MQTT last-will messages (topics in config.nodes, "+" is the node id):
+//   online   heartbeat within staleMs
+//   stale    silent for staleMs
+//   offline  silent for offlineMs, never seen, or its last will arrived
+//
+//   { id, name, known, status, reason, since, lastSeen, rssi, uptimeS }
+//
+// Heartbeats are JSON, { "rssi": -61, "uptime": <seconds since boot> }; anything
+// else still counts as a sign of life. Nodes missing from the device registry
+// (server/devices.js) are tracked from their first heartbeat with known: false,
+// at most maxUnknown of them, and dropped again once they go offline.
+
+const SWEEP_MS = 1000;
+
+// Node id at the "+" level of a heartbeat/status topic
+function nodeIdFromTopic(pattern, topic) {
+  return topic.split("/")[pattern.split("/").indexOf("+")];
+}
+
+function parseHeartbeat(payload) {
+  try {
+    const data = JSON.parse(payload);
+    return data !== null && typeof data === "object" ? data : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function createNodeHealthMonitor({
+  nodes, // [{ id, name }] from the device registry
+  staleMs,
+  offlineMs,
+  maxUnknown, // unknown nodes tracked at once; heartbeats from more are ignored
+  onChange = () => {}, // (snapshot, previousStatus) after every heartbeat or status change
+  onDropped = () => {}, // (snapshot) once an unknown node is no longer tracked
+  clock = systemClock
+}) {
+  const health = new Map(); // node id → { id, name, known, status, reason, since, lastSeenAt, rssi, uptimeS, willReceived }
+
+  function track(id, name, known) {
+    const node = {
+      id,
+      name,
+      known,
+      status: "offline",
+      reason: "never-seen",
+      since: isoNow(clock),
+      lastSeenAt: null,
+      rssi: null,
+      uptimeS: null,
+      willReceived: false
+    };
+    health.set(id, node);
+    return node;
+  }
+
+  nodes.forEach((node) => track(node.id, node.name, true));
+
+  let capWarned = false;
+
+  // The node's entry, tracking an unknown id if there is room; null if not
+  function entryFor(id) {
+    if (health.has(id)) return health.get(id);
+    const unknown = [...health.values()].filter((node) => !node.known).length;
+    if (unknown >= maxUnknown) {
+      if (!capWarned) console.warn(`Node ${id} ignored: already tracking ${maxUnknown} unknown nodes (nodes.maxUnknown)`);
+      capWarned = true;
+      return null;
+    }
+    return track(id, id, false);
+  }
+
+  function snapshot(node) {
+    return {
+      id: node.id,
+      name: node.name,
+      known: node.known,
+      status: node.status,
+      reason: node.reason,
+      since: node.since,
+      lastSeen: node.lastSeenAt === null ? null : new Date(node.lastSeenAt).toISOString(),
+      rssi: node.rssi,
+      uptimeS: node.uptimeS
+    };
+  }
+
+  function statusOf(node) {
+    if (node.lastSeenAt === null || node.willReceived) return "offline";
+    const silentMs = clock.now() - node.lastSeenAt;
+    return silentMs >= offlineMs ? "offline" : silentMs >= staleMs ? "stale" : "online";
+  }
+
+  // Re-evaluate a node; notifies on every heartbeat (notify) or status change
+  function update(node, reason, notify) {
+    const previous = node.status;
+    const status = statusOf(node);
+    if (status !== previous) {
+      node.status = status;
+      node.reason = reason;
+      node.since = isoNow(clock);
+      console.log(`Node ${node.id} ${previous} → ${status} (${reason})`);
+    }
+    if (notify || status !== previous) onChange(snapshot(node), previous);
+    // Unknown nodes are only listed while they are alive
+    if (!node.known && status === "offline") {
+      health.delete(node.id);
+      capWarned = false;
+      console.log(`Node ${node.id} no longer tracked (unknown and offline)`);
+      onDropped(snapshot(node));
+    }
+    return snapshot(node);
+  }
+
+  function seen(id) {
+    const node = entryFor(id);
+    if (!node) return null;
+    node.lastSeenAt = clock.now();
+    node.willReceived = false;
+    return node;
+  }
+
+  /** Heartbeat from a node; returns its snapshot, or null when it is not tracked */
+  function heartbeat(id, payload) {
+    const node = seen(id);
+    if (!node) return null;
+    const data = parseHeartbeat(payload);
+    if (typeof data.rssi === "number") node.rssi = data.rssi;
+    if (typeof data.uptime === "number") node.uptimeS = data.uptime;
+    return update(node, "heartbeat", true);
+  }
+
+  /**
+   * Connection status from a node: "online" when it connects, "offline" from the
+   * broker as its last will. Returns the snapshot, or null for other payloads and
+   * nodes that are not tracked.
+   */
+  function status(id, payload) {
+    const value = String(payload).trim().toLowerCase();
+    if (value === "online") {
+      const node = seen(id);
+      return node && update(node, "connected", true);
+    }
+    if (value === "offline") {
+      const node = health.get(id);
+      if (!node) return null; // an unknown node that is gone has nothing to report
+      node.willReceived = true;
+      return update(node, "last-will", true);
+    }
+    console.log(`Node ${id}: status "${payload}" ignored (expected online or offline)`);
+    return null;
+  }
+
+  // A device added to (or renamed in) the registry
+  function register(id, name) {
+    const node = health.get(id) || track(id, name, true);
+    node.name = name;
+    node.known = true;
+    onChange(snapshot(node), node.status);
+    return snapshot(node);
+  }
+
+  // A device removed from the registry; its next heartbeat tracks it as unknown
+  function forget(id) {
+    return health.delete(id);
+  }
+
+  function describe() {
+    return [...health.values()].map(snapshot);
+  }
+
+  function get(id) {
+    return health.has(id) ? snapshot(health.get(id)) : null;
+  }
+
+  // Silent nodes go stale, then offline
+  const sweep = clock.setInterval(() => {
+    health.forEach((node) => update(node, "silent", false));
+  }, SWEEP_MS);
+
+  return {
+    heartbeat,
+    status,
+    register,
+    forget,
+    describe,
+    get,
+    stop: () => clock.clearInterval(sweep)
+  };
+}
+
+// GET /nodes and GET /nodes/:id (viewer)
+function createNodeHealthApi({ monitor, requireRole, staleMs, offlineMs }) {
+  const router = express.Router();
+
+  router.get("/", requireRole("viewer"), (req, res) => {
+    res.json({ staleMs, offlineMs, nodes: monitor.describe() });
+  });
+
+  router.get("/:id", requireRole("viewer"), (req, res) => {
+    const node = monitor.get(req.params.id);
+    if (!node) {
+      return res.status(404).json({ error: `Unknown node "${req.params.id}"` });
+    }
+    res.json(node);
+  });
+
+  return router;
+}
+
+module.exports = { nodeIdFromTopic, createNodeHealthMonitor, createNodeHealthApi };
@@ -0,0 +1,270 @@
+const { createStateMachine } = require("./state-machine");
+const { systemClock } = require("./clock");
+
+// --- DOOR + ROBOT STATE MACHINES ---
+// Every door pair (airlock) and the robot are separate machines whose guards
+// look at each other:
+//   - a door authorization is ignored while any of its interlock partners is busy
+//     ("robot" = robot processing or paused, a door id = that door cycling)
+//     or while one of its own leaves is reported open (see server/airlock.js)
+//   - a robot start is ignored while a door interlocked with the robot is cycling
+// An environmental hazard (FOG_BLOCK) locks the robot out until it is cleared.
+//
+// Door cycles and robot jobs complete (or FAULT) on the device's acknowledgement;
+// their timer is then a watchdog that fails them with TIMEOUT. With "ack": null
+// the timer simulates completion instead.
+function createPlantStateMachines({
+  doors: doorConfigs, // config.doors; the first entry is the primary door
+  robot: robotConfig, // config.robot
+  sendFeedback, // (message, topic) → publishes to the feedback topic
+  isDoorSealed = () => true, // (doorId) → false while a leaf sensor reports OPEN
+  onFault = () => {}, // ({ machine, reason, detail }) for timeouts and device-reported faults
+  clock = systemClock // timers of door cycles and robot jobs (server/clock.js)
+}) {
+  let robotProcessingTimeout = null; // simulated completion or acknowledgement watchdog
+  let robotRunStartedAt = 0; // when the current processing run (re)started
+  let robotRunMs = 0; // length of the current processing run
+  let robotRemainingMs = null; // time left on a paused job
+
+  // Declared first so the guards below can reference the other machines
+  const doors = new Map(); // door id → state machine
+  let robot;
+
+  function robotBusy() {
+    return robot.is("ROBOT_PROCESSING") || robot.is("ROBOT_PAUSED"); // a paused job still occupies the cell
+  }
+
+  function createDoorMachine(doorConfig) {
+    const { id, cycleMs, ack, feedbackTopic, interlockWith = [] } = doorConfig;
+    let doorCycleTimeout = null; // simulated cycle completion or acknowledgement watchdog
+    let door;
+
+    function fail(reason, detail) {
+      console.warn(`Door ${id} cycle failed: ${reason}${detail ? ` (${detail})` : ""}`);
+      sendFeedback(reason, feedbackTopic);
+      onFault({ machine: `door:${id}`, reason, detail: detail || null });
+    }
+
+    door = createStateMachine({
+      name: `door:${id}`,
+      initial: "IDLE",
+      clock,
+      guards: {
+        interlocksClear: () => isDoorSealed(id) && interlockWith.every((partner) =>
+          partner === "robot" ? !robotBusy() : !doors.get(partner).is("DOOR_CYCLING"))
+      },
+      on: {
+        DENY: {
+          target: "IDLE",
+          action: () => console.log(`Door ${id} access denied - setting door status to BLOCKED`)
+        }
+      },
+      states: {
+        // Door blocked, nothing in progress
+        IDLE: {
+          on: {
+            AUTHORIZE: { target: "DOOR_CYCLING", guard: "interlocksClear" },
+            RESET: { action: () => console.log(`Door ${id} already idle - reset acknowledged`) }
+          }
+        },
+        // Door sequence running; interlocked commands are refused until it completes
+        DOOR_CYCLING: {
+          onEnter: () => {
+            console.log(`Door ${id} authorization received - setting door status to Authorized`);
+            clock.clearTimeout(doorCycleTimeout);
+            doorCycleTimeout = ack
+              ? clock.setTimeout(() => door.send("TIMEOUT"), ack.watchdogMs)
+              : clock.setTimeout(() => door.send("CYCLE_COMPLETE"), cycleMs);
+          },
+          onExit: () => clock.clearTimeout(doorCycleTimeout),
+          on: {
+            AUTHORIZE: { target: "DOOR_CYCLING", guard: "interlocksClear" }, // restarts the cycle timer
+            CYCLE_COMPLETE: {
+              target: "AUTHORIZED",
+              action: () => {
+                console.log(`Door ${id} processing completed`);
+                sendFeedback("DOOR_PROCESSING_COMPLETED", feedbackTopic);
+              }
+            },
+            FAULT: { target: "IDLE", action: (ctx) => fail("DOOR_FAULT", ctx.payload.ack) },
+            TIMEOUT: { target: "IDLE", action: () => fail("DOOR_TIMEOUT", `no acknowledgement within ${ack.watchdogMs} ms`) },
+            STOP: { target: "AUTHORIZED" },
+            RESET: { target: "IDLE" }
+          }
+        },
+        // Cycle finished on the server; waiting for the twin to confirm and reset
+        AUTHORIZED: {
+          on: {
+            AUTHORIZE: { target: "DOOR_CYCLING", guard: "interlocksClear" },
+            RESET: { target: "IDLE" }
+          }
+        }
+      }
+    });
+    return door;
+  }
+
+  doorConfigs.forEach((doorConfig) => doors.set(doorConfig.id, createDoorMachine(doorConfig)));
+  const primaryDoorId = doorConfigs[0].id;
+  const robotInterlockedDoors = doorConfigs
+    .filter((doorConfig) => (doorConfig.interlockWith || []).includes("robot"))
+    .map((doorConfig) => doors.get(doorConfig.id));
+
+  function robotFailed(reason, detail) {
+    console.warn(`Robot job failed: ${reason}${detail ? ` (${detail})` : ""}`);
+    robotRemainingMs = null;
+    sendFeedback(reason);
+    onFault({ machine: "robot", reason, detail: detail || null });
+  }
+
+  const robotCompleted = {
+    target: "IDLE",
+    action: () => {
+      console.log("Robot processing completed");
+      console.log("Robot ready for next command immediately");
+      robotRemainingMs = null;
+      sendFeedback("ROBOT_COMPLETED");
+    }
+  };
+  const robotFault = { target: "IDLE", action: (ctx) => robotFailed("ROBOT_FAULT", ctx.payload.ack) };
+
+  robot = createStateMachine({
+    name: "robot",
+    initial: "IDLE",
+    clock,
+    guards: {
+      doorNotCycling: () => robotInterlockedDoors.every((door) => !door.is("DOOR_CYCLING"))
+    },
+    on: {
+      HAZARD: {
+        target: "FOG_LOCKED",
+        action: (ctx) => console.log(`Environmental hazard (${ctx.payload.command || "FOG_BLOCK"}) - robot locked out`)
+      }
+    },
+    states: {
+      IDLE: {
+        on: {
+          START: { target: "ROBOT_PROCESSING", guard: "doorNotCycling" },
+          STOP: { action: () => sendFeedback("ROBOT_STOPPED") }
+        }
+      },
+      ROBOT_PROCESSING: {
+        onEnter: (ctx) => {
+          console.log(`Starting robot processing for command: ${ctx.payload.command || ctx.event}`);
+          clock.clearTimeout(robotProcessingTimeout);
+          const { ack } = robotConfig;
+          const perParcelMs = ack ? ack.watchdogMs : robotConfig.processingMs;
+          robotRunMs = robotRemainingMs !== null ? robotRemainingMs : perParcelMs * (ctx.payload.parcels || 1);
+          robotRemainingMs = null;
+          robotRunStartedAt = clock.now();
+          robotProcessingTimeout = clock.setTimeout(() => robot.send(ack ? "TIMEOUT" : "COMPLETE"), robotRunMs);
+        },
+        onExit: () => clock.clearTimeout(robotProcessingTimeout),
+        on: {
+          COMPLETE: robotCompleted,
+          FAULT: robotFault,
+          TIMEOUT: {
+            target: "IDLE",
+            action: () => robotFailed("ROBOT_TIMEOUT", `no acknowledgement within ${robotRunMs} ms`)
+          },
+          PAUSE: {
+            target: "ROBOT_PAUSED",
+            action: () => {
+              robotRemainingMs = Math.max(robotRunMs - (clock.now() - robotRunStartedAt), 0);
+              console.log(`Robot paused with ${robotRemainingMs} ms of processing left`);
+              sendFeedback("ROBOT_PAUSED");
+            }
+          },
+          STOP: { target: "IDLE", action: () => sendFeedback("ROBOT_STOPPED") }
+        }
+      },
+      // Job interrupted by an operator; START resumes with the remaining time.
+      // The controller may still report the job done or failed while paused.
+      ROBOT_PAUSED: {
+        on: {
+          START: { target: "ROBOT_PROCESSING", guard: "doorNotCycling" },
+          COMPLETE: robotCompleted,
+          FAULT: robotFault,
+          PAUSE: { action: () => console.log("Robot already paused") },
+          STOP: {
+            target: "IDLE",
+            action: () => {
+              robotRemainingMs = null;
+              sendFeedback("ROBOT_STOPPED");
+            }
+          }
+        }
+      },
+      // Environmental monitoring node reported a hazard; nothing runs until ENV_OK
+      FOG_LOCKED: {
+        onEnter: () => {
+          robotRemainingMs = null; // a paused job does not survive a hazard
+          sendFeedback("ROBOT_FOG_LOCKED");
+        },
+        on: {
+          HAZARD: { action: () => console.log("Hazard already active - robot remains locked") },
+          PAUSE: { action: () => console.log("Pause received while fog-locked - robot remains locked") },
+          STOP: { action: () => console.log("Stop received while fog-locked - robot remains locked") },
+          CLEAR_HAZARD: {
+            target: "IDLE",
+            action: () => {
+              console.log("Environmental hazard cleared - robot available");
+              sendFeedback("ROBOT_HAZARD_CLEARED");
+            }
+          }
+        }
+      }
+    }
+  });
+
+  // Current state in the shape the REST and Socket.IO APIs publish
+  function doorSnapshot(id = primaryDoorId) {
+    const door = doors.get(id);
+    return {
+      id,
+      state: door.state,
+      status: door.is("IDLE") ? "DOOR_BLOCKED" : "DOOR_AUTHORIZED",
+      since: door.since
+    };
+  }
+
+  const ROBOT_STATUS_BY_STATE = {
+    IDLE: "ROBOT_IDLE",
+    ROBOT_PROCESSING: "ROBOT_START",
+    ROBOT_PAUSED: "ROBOT_PAUSED",
+    FOG_LOCKED: "FOG_BLOCK"
+  };
+
+  function robotSnapshot() {
+    return {
+      state: robot.state,
+      status: ROBOT_STATUS_BY_STATE[robot.state],
+      hazard: robot.is("FOG_LOCKED"),
+      since: robot.since
+    };
+  }
+
+  // Snapshot of every machine plus their transition graphs
+  function describe() {
+    const doorStates = {};
+    doors.forEach((door, id) => {
+      doorStates[id] = { state: door.state, since: door.since, ...door.graph() };
+    });
+    return {
+      doors: doorStates,
+      robot: { state: robot.state, since: robot.since, ...robot.graph() }
+    };
+  }
+
+  return {
+    doors,
+    door: doors.get(primaryDoorId),
+    robot,
+    primaryDoorId,
+    doorSnapshot,
+    robotSnapshot,
+    describe
+  };
+}
+
+module.exports = { createPlantStateMachines };
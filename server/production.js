@@ -0,0 +1,263 @@
+const express = require("express");
+const { systemClock } = require("./clock");
+
+// --- PRODUCTION COUNTERS & OEE ---
+// Counts every parcel the robot cell finishes, from the job phases
+// (server/job-phases.js): a parcel is done when the job moves on to its next
+// parcel or completes. A parcel of a failed job is rejected, one of a stopped or
+// hazard-aborted job is interrupted (not produced at all).
+//
+// OEE = availability × performance × quality over the current shift:
+//   availability  running / planned time (planned = running + paused + hazard-locked;
+//                 an idle robot with nothing to do is not planned time)
+//   performance   idealCycleMs × parcels produced / running time
+//   quality       good / (good + rejected)
+//
+// A shift runs until an operator resets it. Parcels are recorded in the event
+// store ("production_parcel"), so the shift is rebuilt from history on restart.
+// Robot time is only rebuilt while the bridge was running: the bridge_started /
+// bridge_stopped markers end the recorded robot state.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Robot state → the shift time it counts towards; IDLE is not planned time
+const STATE_TIMES = { ROBOT_PROCESSING: "runningMs", ROBOT_PAUSED: "pausedMs", FOG_LOCKED: "blockedMs" };
+
+function hourKey(ms) {
+  return new Date(Math.floor(ms / HOUR_MS) * HOUR_MS).toISOString();
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)];
+}
+
+function newShift(startedAt) {
+  return {
+    startedAt,
+    good: 0,
+    rejected: 0,
+    interrupted: 0,
+    runningMs: 0,
+    pausedMs: 0,
+    blockedMs: 0,
+    cycles: [], // cycle times of good parcels, newest last
+    hourly: new Map() // hour ISO → { good, rejected }
+  };
+}
+
+function createProductionCounter({
+  robot,
+  idealCycleMs,
+  hourlyBuckets = 24, // hours of throughput history reported
+  cycleSamples = 500, // cycle-time statistics cover the most recent parcels
+  onParcel = () => {}, // ({ job, parcel, result, cycleMs }) for every counted parcel
+  onReset = () => {}, // (shift summary) when an operator starts a new shift
+  onChange = () => {}, // (describe()) after any count or robot state change
+  clock = systemClock
+}) {
+  let shift = newShift(clock.now());
+  let resetSinceStart = false;
+  let robotState = { state: robot.state, since: clock.now() };
+  let inProgress = null; // { job, number, parcels, startedAt } of the parcel in the cell
+
+  function tally(target, result, cycleMs, at) {
+    if (result === "interrupted") {
+      target.interrupted++;
+      return;
+    }
+    target[result]++;
+    const key = hourKey(at);
+    const bucket = target.hourly.get(key) || { good: 0, rejected: 0 };
+    bucket[result]++;
+    target.hourly.set(key, bucket);
+    if (result === "good" && typeof cycleMs === "number") {
+      target.cycles.push(cycleMs);
+      target.cycles.splice(0, Math.max(target.cycles.length - cycleSamples, 0));
+    }
+  }
+
+  function addStateTime(target, state, ms) {
+    if (STATE_TIMES[state]) target[STATE_TIMES[state]] += ms;
+  }
+
+  function count(parcel, result, at, timed = true) {
+    const cycleMs = timed ? at - parcel.startedAt : null;
+    tally(shift, result, cycleMs, at);
+    onParcel({ job: parcel.job, parcel: parcel.number, result, cycleMs });
+  }
+
+  /** Job phase snapshot (or job ending) from the phase tracker */
+  function phase(snapshot) {
+    const at = Date.parse(snapshot.at);
+
+    if (snapshot.phase === null) {
+      if (!inProgress) return;
+      if (snapshot.ended === "completed") {
+        count(inProgress, "good", at);
+        // Parcels the controller finished without reporting their phases
+        for (let number = inProgress.number + 1; number <= inProgress.parcels; number++) {
+          count({ ...inProgress, number }, "good", at, false);
+        }
+      } else {
+        count(inProgress, snapshot.ended === "failed" ? "rejected" : "interrupted", at);
+      }
+      inProgress = null;
+      onChange(describe());
+      return;
+    }
+
+    if (inProgress && inProgress.job === snapshot.job && inProgress.number === snapshot.parcel) return;
+    if (inProgress && inProgress.job === snapshot.job) {
+      count(inProgress, "good", at);
+      onChange(describe());
+    }
+    inProgress = { job: snapshot.job, number: snapshot.parcel, parcels: snapshot.parcels, startedAt: at };
+  }
+
+  function hourly(now) {
+    const first = Math.max(Math.floor(shift.startedAt / HOUR_MS), Math.floor(now / HOUR_MS) - hourlyBuckets + 1);
+    const buckets = [];
+    for (let hour = first; hour <= Math.floor(now / HOUR_MS); hour++) {
+      const key = new Date(hour * HOUR_MS).toISOString();
+      buckets.push({ hour: key, ...(shift.hourly.get(key) || { good: 0, rejected: 0 }) });
+    }
+    return buckets;
+  }
+
+  function cycleTime() {
+    const sorted = shift.cycles.slice().sort((a, b) => a - b);
+    if (sorted.length === 0) {
+      return { samples: 0, idealMs: idealCycleMs, lastMs: null, meanMs: null, minMs: null, maxMs: null, p50Ms: null, p95Ms: null };
+    }
+    return {
+      samples: sorted.length,
+      idealMs: idealCycleMs,
+      lastMs: shift.cycles[shift.cycles.length - 1],
+      meanMs: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+      minMs: sorted[0],
+      maxMs: sorted[sorted.length - 1],
+      p50Ms: percentile(sorted, 50),
+      p95Ms: percentile(sorted, 95)
+    };
+  }
+
+  function describe() {
+    const now = clock.now();
+    const times = { runningMs: shift.runningMs, pausedMs: shift.pausedMs, blockedMs: shift.blockedMs };
+    addStateTime(times, robotState.state, now - robotState.since);
+    const plannedMs = times.runningMs + times.pausedMs + times.blockedMs;
+    const produced = shift.good + shift.rejected;
+
+    const availability = ratio(times.runningMs, plannedMs);
+    const performance = ratio(idealCycleMs * produced, times.runningMs);
+    const quality = ratio(shift.good, produced);
+    const oee = [availability, performance, quality].includes(null)
+      ? null
+      : Math.round(availability * performance * quality * 10000) / 10000;
+
+    return {
+      shiftStartedAt: new Date(shift.startedAt).toISOString(),
+      counts: { good: shift.good, rejected: shift.rejected, interrupted: shift.interrupted, total: produced },
+      time: { ...times, plannedMs },
+      oee: { availability, performance, quality, oee },
+      cycleTime: cycleTime(),
+      hourly: hourly(now),
+      robot: robotState.state,
+      at: new Date(now).toISOString()
+    };
+  }
+
+  // Close the current shift and start counting from zero
+  function reset() {
+    const closed = describe();
+    const now = clock.now();
+    shift = newShift(now);
+    resetSinceStart = true;
+    robotState = { state: robotState.state, since: now };
+    onReset(closed);
+    onChange(describe());
+    return closed;
+  }
+
+  /**
+   * Rebuild the shift from recorded history (oldest first): production_reset,
+   * production_parcel, robot state_transition and bridge_started/bridge_stopped
+   * events from before this start. Whatever was counted since the start is added on top.
+   */
+  function restore(events) {
+    let restored = newShift(shift.startedAt);
+    let state = null;
+    let since = null;
+
+    events.forEach((event) => {
+      const at = Date.parse(event.ts);
+      // A start without a stop before it follows a crash: when the bridge went
+      // down after the previous event is unknown, so that stretch counts nowhere
+      if (state !== null && event.type !== "bridge_started") addStateTime(restored, state, at - since);
+      since = at;
+      if (event.type === "bridge_started" || event.type === "bridge_stopped") {
+        state = null;
+      } else if (event.type === "production_reset") {
+        restored = newShift(at);
+      } else if (event.type === "production_parcel") {
+        tally(restored, event.result, event.cycleMs, at);
+      } else if (event.type === "state_transition" && event.machine === "robot") {
+        state = event.to;
+      }
+      if (restored.startedAt > at) restored.startedAt = at;
+    });
+    // The state the robot was in when the bridge stopped has no known end
+
+    if (resetSinceStart) return;
+    ["good", "rejected", "interrupted", "runningMs", "pausedMs", "blockedMs"].forEach((key) => {
+      restored[key] += shift[key];
+    });
+    restored.cycles = restored.cycles.concat(shift.cycles).slice(-cycleSamples);
+    shift.hourly.forEach((bucket, key) => {
+      const previous = restored.hourly.get(key) || { good: 0, rejected: 0 };
+      restored.hourly.set(key, { good: previous.good + bucket.good, rejected: previous.rejected + bucket.rejected });
+    });
+    shift = restored;
+    console.log(`Production shift restored: ${shift.good} good, ${shift.rejected} rejected since ${new Date(shift.startedAt).toISOString()}`);
+    onChange(describe());
+  }
+
+  robot.onTransition((result) => {
+    if (result.to === result.from) return;
+    const now = clock.now();
+    addStateTime(shift, robotState.state, now - robotState.since);
+    robotState = { state: result.to, since: now };
+    onChange(describe());
+  });
+
+  return { phase, describe, reset, restore };
+}
+
+// GET /production (viewer), POST /production/reset (operator)
+function createProductionApi({ counter, requireRole, audit = () => {} }) {
+  const router = express.Router();
+
+  router.get("/", requireRole("viewer"), (req, res) => {
+    res.json(counter.describe());
+  });
+
+  router.post("/reset", requireRole("operator"), (req, res) => {
+    const closed = counter.reset();
+    audit({
+      actor: req.user,
+      action: "production.reset",
+      params: {},
+      outcome: "success",
+      result: { shiftStartedAt: closed.shiftStartedAt, counts: closed.counts, oee: closed.oee.oee }
+    });
+    res.json({ success: true, closed, production: counter.describe() });
+  });
+
+  return router;
+}
+
+module.exports = { createProductionCounter, createProductionApi };
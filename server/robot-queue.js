@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const express = require("express");
+const { systemClock, isoNow } = require("./clock");
+
+// --- ROBOT JOB QUEUE ---
+// Start requests become jobs instead of being dropped while the robot is busy.
+// Jobs run one after another: highest priority first, FIFO within a priority.
+//
+//   { id, priority: "high" | "normal" | "low", parcels, source: "mqtt" | "rest",
+//     requestedBy, command, status, createdAt, startedAt, finishedAt }
+//
+// status: queued → running → completed | failed | stopped | aborted, or queued → cancelled.
+// The queue only advances by itself after a job completes; a failure, STOP or
+// hazard holds it until the next start request.
+
+const PRIORITIES = ["high", "normal", "low"];
+const MAX_PARCELS = 100;
+const ROBOT_FAILURES = ["TIMEOUT", "FAULT"]; // robot events that end a job as failed
+
+function createRobotJobQueue({ robot, onChange = () => {}, maxLength = 100, historySize = 20, clock = systemClock }) {
+  const waiting = [];
+  const history = []; // finished jobs, newest first
+  let current = null;
+  let held = false;
+
+  function describe() {
+    return { held, current, queued: waiting.slice(), history: history.slice() };
+  }
+
+  function changed() {
+    onChange(describe());
+  }
+
+  function finish(status) {
+    current.status = status;
+    current.finishedAt = isoNow(clock);
+    console.log(`Robot job ${current.id} ${status}`);
+    history.unshift(current);
+    history.splice(historySize);
+    current = null;
+  }
+
+  function hold() {
+    held = waiting.length > 0;
+    if (held) console.log(`Robot queue held with ${waiting.length} job(s) waiting`);
+  }
+
+  // Start the next job when the robot is free; returns the START result or null
+  function processNext() {
+    if (held || current || waiting.length === 0 || !robot.is("IDLE") || !robot.can("START")) {
+      return null;
+    }
+    current = waiting.shift();
+    current.status = "running";
+    current.startedAt = isoNow(clock);
+    console.log(`Robot job ${current.id} started (${current.parcels} parcel(s), ${current.priority} priority)`);
+    const result = robot.send("START", { command: current.command, job: current.id, parcels: current.parcels });
+    changed();
+    return result;
+  }
+
+  // Returns { accepted, job, queued, position, result } or { accepted: false, reason: "QUEUE_FULL" }
+  function enqueue({ priority = "normal", parcels = 1, source, requestedBy, command }) {
+    if (waiting.length >= maxLength) {
+      console.log(`Robot job from ${requestedBy} refused - queue full (${maxLength})`);
+      return { accepted: false, reason: "QUEUE_FULL" };
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      priority,
+      parcels,
+      source,
+      requestedBy,
+      command,
+      status: "queued",
+      createdAt: isoNow(clock),
+      startedAt: null,
+      finishedAt: null
+    };
+    const rank = PRIORITIES.indexOf(priority);
+    const index = waiting.findIndex((queued) => PRIORITIES.indexOf(queued.priority) > rank);
+    waiting.splice(index === -1 ? waiting.length : index, 0, job);
+    console.log(`Robot job ${job.id} queued by ${requestedBy} (${source}, ${priority} priority, ${parcels} parcel(s))`);
+
+    if (held) {
+      console.log("Robot queue released by new start request");
+      held = false;
+    }
+    const result = processNext();
+    if (!result) changed();
+    const position = waiting.indexOf(job);
+    return { accepted: true, job, queued: position !== -1, position: position === -1 ? null : position + 1, result };
+  }
+
+  // Remove a waiting job; the running job is ended through the robot (STOP)
+  function cancel(id) {
+    if (current && current.id === id) return { cancelled: false, reason: "RUNNING", job: current };
+    const index = waiting.findIndex((job) => job.id === id);
+    if (index === -1) return { cancelled: false, reason: "NOT_FOUND" };
+    const [job] = waiting.splice(index, 1);
+    job.status = "cancelled";
+    job.finishedAt = isoNow(clock);
+    console.log(`Robot job ${job.id} cancelled`);
+    history.unshift(job);
+    history.splice(historySize);
+    changed();
+    return { cancelled: true, job };
+  }
+
+  // Follow the robot: a job ends when the robot leaves processing/paused,
+  // and a hazard holds whatever is waiting even with nothing running
+  robot.onTransition((result) => {
+    if (result.to === result.from) return;
+    if (current && result.to === "IDLE" && result.event === "COMPLETE") {
+      finish("completed");
+      changed();
+      processNext();
+    } else if (current && (result.to === "IDLE" || result.to === "FOG_LOCKED")) {
+      finish(result.to === "FOG_LOCKED" ? "aborted" : ROBOT_FAILURES.includes(result.event) ? "failed" : "stopped");
+      hold();
+      changed();
+    } else if (result.to === "FOG_LOCKED") {
+      hold();
+      changed();
+    } else if (result.to === "IDLE") {
+      processNext(); // hazard cleared with jobs requested while it was active
+    }
+  });
+
+  return {
+    enqueue,
+    cancel,
+    processNext,
+    current: () => current,
+    describe
+  };
+}
+
+// GET /robot/queue (viewer), POST /robot/queue and DELETE /robot/queue/:id (operator)
+function createRobotQueueApi({ queue, requireRole, audit = () => {} }) {
+  const router = express.Router();
+
+  router.get("/", requireRole("viewer"), (req, res) => {
+    res.json(queue.describe());
+  });
+
+  router.post("/", requireRole("operator"), (req, res) => {
+    const { priority = "normal", parcels = 1 } = req.body || {};
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({ success: false, error: `priority must be one of: ${PRIORITIES.join(", ")}` });
+    }
+    if (!Number.isInteger(parcels) || parcels < 1 || parcels > MAX_PARCELS) {
+      return res.status(400).json({ success: false, error: `parcels must be an integer between 1 and ${MAX_PARCELS}` });
+    }
+
+    const outcome = queue.enqueue({ priority, parcels, source: "rest", requestedBy: req.user.username });
+    audit({
+      actor: req.user,
+      action: "robot.queue_add",
+      params: { priority, parcels },
+      outcome: outcome.accepted ? "success" : "refused",
+      result: outcome.accepted ? { job: outcome.job.id, position: outcome.position } : outcome
+    });
+    if (!outcome.accepted) {
+      return res.status(409).json({ success: false, error: "Robot queue is full", result: outcome });
+    }
+    res.status(201).json({ success: true, job: outcome.job, position: outcome.position, queue: queue.describe() });
+  });
+
+  router.delete("/:id", requireRole("operator"), (req, res) => {
+    const outcome = queue.cancel(req.params.id);
+    if (outcome.reason === "NOT_FOUND") {
+      return res.status(404).json({ success: false, error: `No queued job "${req.params.id}"` });
+    }
+    audit({
+      actor: req.user,
+      action: "robot.queue_cancel",
+      params: { job: req.params.id },
+      outcome: outcome.cancelled ? "success" : "refused"
+    });
+    if (!outcome.cancelled) {
+      return res.status(409).json({ success: false, error: "Job is running - stop the robot to end it", job: outcome.job });
+    }
+    res.json({ success: true, job: outcome.job, queue: queue.describe() });
+  });
+
+  return router;
+}
+
+module.exports = { PRIORITIES, createRobotJobQueue, createRobotQueueApi };
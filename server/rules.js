@@ -0,0 +1,417 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { parseTime } = require("./event-store");
+const { LEAVES, LEAF_POSITIONS } = require("./airlock");
+const { SEVERITIES } = require("./constants");
+const { systemClock, isoNow } = require("./clock");
+
+// --- RULES ENGINE ---
+// Operator-defined reactions to telemetry and plant state. A rule fires its
+// actions once its condition has held for forMs, and re-arms when the
+// condition stops holding.
+//
+//   { id, name, enabled, forMs, condition, actions }
+//
+//   condition  { type: "telemetry", node, metric, op, value }         op: > >= < <= == !=
+//              { type: "state", machine: "robot" | "door:<id>", op, value: "FOG_LOCKED" }   op: == !=
+//              { type: "leaf", door, leaf: "main" | "small", op, value: "OPEN" }          op: == !=
+//   actions    { type: "alarm", severity, message }  RULE_TRIGGERED alarm, cleared with the condition
+//              { type: "publish", topic, payload }   only pairs commands.publishAllowed accepts
+//              { type: "robot_stop" }                commands.robot.stop
+//              { type: "fog_hazard" }                commands.environment.hazard (lifted by ENV_OK, not by the rule)
+//
+// Rules are kept in config.rules.file and edited over REST. A dry run replays a
+// rule against recorded telemetry and state history without acting; its window
+// and the samples it reads are capped, as GET /telemetry caps its points.
+
+const SWEEP_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_LOOKBACK_MS = 7 * DAY_MS; // state before a dry-run window
+const MAX_DRY_RUN_MS = 31 * DAY_MS;
+const MAX_DRY_RUN_SAMPLES = 50000;
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b
+};
+const CONDITION_TYPES = ["telemetry", "state", "leaf"];
+const NODE_ID_PATTERN = /^[A-Za-z0-9_-]+$/; // as in the telemetry history
+const ACTION_TYPES = ["alarm", "publish", "robot_stop", "fog_hazard"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "rule";
+}
+
+/**
+ * Checks a rule from the REST API or the rules file; returns { rule, errors }
+ * with the rule reduced to its known fields. machines maps each state-machine
+ * name to its states, doors lists the door ids, isPublishAllowed(topic, payload)
+ * is the command whitelist.
+ */
+function validateRule(input, { machines, doors, isPublishAllowed }) {
+  const errors = [];
+  if (!isPlainObject(input)) return { rule: null, errors: ["rule must be an object"] };
+  const { name, enabled = true, forMs = 0, condition, actions } = input;
+
+  if (typeof name !== "string" || !name.trim()) errors.push("name is required");
+  if (typeof enabled !== "boolean") errors.push("enabled must be true or false");
+  if (!Number.isInteger(forMs) || forMs < 0) errors.push("forMs must be a non-negative integer");
+
+  let cleanCondition = null;
+  if (!isPlainObject(condition) || !CONDITION_TYPES.includes(condition.type)) {
+    errors.push(`condition.type must be one of: ${CONDITION_TYPES.join(", ")}`);
+  } else if (condition.type === "telemetry") {
+    const { node, metric, op, value } = condition;
+    if (typeof node !== "string" || !NODE_ID_PATTERN.test(node) || typeof metric !== "string" || !metric) {
+      errors.push("a telemetry condition needs a node id (letters, digits, \"-\" or \"_\") and a metric");
+    }
+    if (!OPERATORS[op]) errors.push(`condition.op must be one of: ${Object.keys(OPERATORS).join(" ")}`);
+    if (typeof value !== "number" || !Number.isFinite(value)) errors.push("condition.value must be a number");
+    cleanCondition = { type: "telemetry", node, metric, op, value };
+  } else {
+    const { op, value } = condition;
+    if (op !== "==" && op !== "!=") errors.push("condition.op must be == or != for state and leaf conditions");
+    if (typeof value !== "string" || !value) errors.push("condition.value must be a state name");
+    if (condition.type === "state") {
+      const states = Object.prototype.hasOwnProperty.call(machines, condition.machine) ? machines[condition.machine] : null;
+      if (!states) {
+        errors.push(`condition.machine must be one of: ${Object.keys(machines).join(", ")}`);
+      } else if (typeof value === "string" && value && !states.includes(value)) {
+        errors.push(`condition.value must be a state of ${condition.machine}: ${states.join(", ")}`);
+      }
+      cleanCondition = { type: "state", machine: condition.machine, op, value };
+    } else {
+      if (!doors.includes(condition.door)) errors.push(`condition.door must be one of: ${doors.join(", ")}`);
+      if (!LEAVES.includes(condition.leaf)) errors.push(`condition.leaf must be ${LEAVES.join(" or ")}`);
+      if (typeof value === "string" && value && !LEAF_POSITIONS.includes(value)) {
+        errors.push(`condition.value must be a leaf position: ${LEAF_POSITIONS.join(", ")}`);
+      }
+      cleanCondition = { type: "leaf", door: condition.door, leaf: condition.leaf, op, value };
+    }
+  }
+
+  const cleanActions = [];
+  if (!Array.isArray(actions) || actions.length === 0) {
+    errors.push("actions must be a non-empty array");
+  } else {
+    actions.forEach((action, index) => {
+      if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+        errors.push(`actions[${index}].type must be one of: ${ACTION_TYPES.join(", ")}`);
+      } else if (action.type === "alarm") {
+        const { severity = "medium", message = null } = action;
+        if (!SEVERITIES.includes(severity)) errors.push(`actions[${index}].severity must be one of: ${SEVERITIES.join(", ")}`);
+        if (message !== null && typeof message !== "string") errors.push(`actions[${index}].message must be a string`);
+        cleanActions.push({ type: "alarm", severity, message });
+      } else if (action.type === "publish") {
+        const { topic, payload } = action;
+        if (typeof topic !== "string" || typeof payload !== "string" || !isPublishAllowed(topic, payload)) {
+          errors.push(`actions[${index}]: publishing "${payload}" to ${topic} is not allowed by commands.publishAllowed`);
+        }
+        cleanActions.push({ type: "publish", topic, payload });
+      } else {
+        cleanActions.push({ type: action.type });
+      }
+    });
+  }
+
+  const rule = { name: typeof name === "string" ? name.trim() : name, enabled, forMs, condition: cleanCondition, actions: cleanActions };
+  return { rule: errors.length === 0 ? rule : null, errors };
+}
+
+function conditionHolds(condition, value) {
+  return value !== null && value !== undefined && OPERATORS[condition.op](value, condition.value);
+}
+
+// Hold/fire state of one rule; update() returns "fire", "clear" or null
+function createRuleTracker(rule) {
+  let since = null;
+  let fired = false;
+
+  function update(value, now) {
+    if (!conditionHolds(rule.condition, value)) {
+      const wasFired = fired;
+      since = null;
+      fired = false;
+      return wasFired ? "clear" : null;
+    }
+    if (since === null) since = now;
+    if (!fired && now - since >= rule.forMs) {
+      fired = true;
+      return "fire";
+    }
+    return null;
+  }
+
+  return {
+    update,
+    // When a rule holding since `since` fires without a new value
+    dueAt: () => (since !== null && !fired ? since + rule.forMs : null),
+    state: () => ({ holding: since !== null, since: since === null ? null : new Date(since).toISOString(), fired })
+  };
+}
+
+/**
+ * Replays a rule over recorded values ([[epoch ms, value]], oldest first, the
+ * first one standing for the value at fromMs). Returns [{ at, event, value }].
+ */
+function dryRun(rule, samples, fromMs, toMs) {
+  const tracker = createRuleTracker(rule);
+  const events = [];
+  const note = (event, at, value) => {
+    if (event) events.push({ at: new Date(at).toISOString(), event, value });
+  };
+  samples.forEach(([at, value], index) => {
+    const start = Math.max(at, fromMs);
+    note(tracker.update(value, start), start, value);
+    // The condition may reach forMs before the next value arrives
+    const next = index + 1 < samples.length ? samples[index + 1][0] : toMs;
+    const due = tracker.dueAt();
+    if (due !== null && due <= next && due <= toMs) note(tracker.update(value, due), due, value);
+  });
+  return events;
+}
+
+/**
+ * Recorded values of a condition between fromMs and toMs, for dryRun():
+ * { samples, source, complete }. source is "raw" or "minute" (telemetry, see
+ * server/timeseries.js) or "events"; complete is false when the window holds
+ * more than MAX_DRY_RUN_SAMPLES values.
+ */
+async function loadConditionHistory(condition, fromMs, toMs, { telemetryHistory, eventStore }) {
+  if (condition.type === "telemetry") {
+    return telemetryHistory.samples({ node: condition.node, metric: condition.metric, fromMs, toMs, limit: MAX_DRY_RUN_SAMPLES });
+  }
+  const type = condition.type === "state" ? "state_transition" : "airlock_state";
+  const filter = condition.type === "state"
+    ? (event) => event.machine === condition.machine
+    : (event) => event.door === condition.door;
+  const valueOf = (event) => [
+    Date.parse(event.ts),
+    condition.type === "state" ? event.to : event.leaves[condition.leaf].position
+  ];
+  // The last value before the window is where it starts
+  const before = await eventStore.latest({ type, from: fromMs - HISTORY_LOOKBACK_MS, to: fromMs - 1, filter });
+  const history = await eventStore.query({ from: fromMs, to: toMs, type, filter, limit: MAX_DRY_RUN_SAMPLES });
+  return {
+    samples: (before ? [valueOf(before)] : []).concat(history.events.map(valueOf)),
+    source: "events",
+    complete: history.nextOffset === null
+  };
+}
+
+function createRulesEngine({
+  file, // config.rules.file
+  machines,
+  doors,
+  isPublishAllowed,
+  read, // (condition) → current value, or null when unknown
+  act, // (rule, "fire" | "clear", value)
+  onChange = () => {}, // (rules) after edits, fires and clears
+  clock = systemClock
+}) {
+  const rules = new Map(); // id → { rule, tracker, lastFiredAt, fireCount }
+  const context = { machines, doors, isPublishAllowed };
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    (Array.isArray(data.rules) ? data.rules : []).forEach((stored, index) => {
+      const { rule, errors } = validateRule(stored, context);
+      if (!rule || typeof stored.id !== "string") {
+        throw new Error(`Rule ${index} in ${file} is invalid: ${errors.concat(typeof stored.id === "string" ? [] : ["id is required"]).join("; ")}`);
+      }
+      rules.set(stored.id, { rule: { id: stored.id, ...rule }, tracker: createRuleTracker(rule), lastFiredAt: null, fireCount: 0 });
+    });
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const data = { rules: [...rules.values()].map((entry) => entry.rule) };
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + "\n");
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function snapshot(entry) {
+    return { ...entry.rule, status: { ...entry.tracker.state(), lastFiredAt: entry.lastFiredAt, fireCount: entry.fireCount } };
+  }
+
+  function describe() {
+    return [...rules.values()].map(snapshot);
+  }
+
+  function get(id) {
+    return rules.has(id) ? snapshot(rules.get(id)) : null;
+  }
+
+  function uniqueId(name) {
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; rules.has(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  // A replaced or removed rule takes its alarms with it
+  function retire(entry) {
+    if (entry.tracker.state().fired) act(entry.rule, "clear", null);
+  }
+
+  // The mutators return { rule } or { errors }
+  function create(input) {
+    const { rule, errors } = validateRule(input, context);
+    if (!rule) return { errors };
+    const id = uniqueId(rule.name);
+    rules.set(id, { rule: { id, ...rule }, tracker: createRuleTracker(rule), lastFiredAt: null, fireCount: 0 });
+    save();
+    onChange(describe());
+    return { rule: get(id) };
+  }
+
+  function update(id, input) {
+    const entry = rules.get(id);
+    if (!entry) return { errors: null };
+    const { rule, errors } = validateRule(input, context);
+    if (!rule) return { errors };
+    retire(entry);
+    rules.set(id, { rule: { id, ...rule }, tracker: createRuleTracker(rule), lastFiredAt: entry.lastFiredAt, fireCount: entry.fireCount });
+    save();
+    onChange(describe());
+    return { rule: get(id) };
+  }
+
+  function remove(id) {
+    const entry = rules.get(id);
+    if (!entry) return false;
+    retire(entry);
+    rules.delete(id);
+    save();
+    onChange(describe());
+    return true;
+  }
+
+  function evaluate() {
+    const now = clock.now();
+    let changed = false;
+    rules.forEach((entry) => {
+      if (!entry.rule.enabled) return;
+      const value = read(entry.rule.condition);
+      const outcome = entry.tracker.update(value, now);
+      if (!outcome) return;
+      changed = true;
+      if (outcome === "fire") {
+        entry.lastFiredAt = isoNow(clock);
+        entry.fireCount += 1;
+        console.log(`Rule ${entry.rule.id} fired (value ${value})`);
+      } else {
+        console.log(`Rule ${entry.rule.id} re-armed`);
+      }
+      act(entry.rule, outcome, value);
+    });
+    if (changed) onChange(describe());
+  }
+
+  load();
+  const sweep = clock.setInterval(evaluate, SWEEP_MS);
+
+  return {
+    describe,
+    get,
+    create,
+    update,
+    remove,
+    evaluate,
+    validate: (input) => validateRule(input, context),
+    stop: () => clock.clearInterval(sweep)
+  };
+}
+
+// GET /rules (viewer), POST /rules/dry-run (viewer), POST/PUT/DELETE /rules (operator)
+function createRulesApi({ engine, requireRole, history, clock = systemClock, audit = () => {} }) {
+  const router = express.Router();
+
+  router.get("/", requireRole("viewer"), (req, res) => {
+    res.json({ rules: engine.describe() });
+  });
+
+  // { rule, from, to } → what the rule would have done; the last 24 h by default
+  router.post("/dry-run", requireRole("viewer"), async (req, res) => {
+    const { rule: input, from, to } = req.body || {};
+    const { rule, errors } = engine.validate(input);
+    if (!rule) return res.status(400).json({ success: false, errors });
+    let fromDate;
+    let toDate;
+    try {
+      fromDate = parseTime(from, "from");
+      toDate = parseTime(to, "to");
+    } catch (err) {
+      return res.status(400).json({ success: false, errors: [err.message] });
+    }
+    const toMs = toDate ? toDate.getTime() : clock.now();
+    const fromMs = fromDate ? fromDate.getTime() : toMs - 24 * 60 * 60 * 1000;
+    if (fromMs >= toMs) return res.status(400).json({ success: false, errors: ['"from" must be before "to"'] });
+    if (toMs - fromMs > MAX_DRY_RUN_MS) {
+      return res.status(400).json({ success: false, errors: [`A dry run covers at most ${MAX_DRY_RUN_MS / DAY_MS} days`] });
+    }
+
+    try {
+      const { samples, source, complete } = await history(rule.condition, fromMs, toMs);
+      if (!complete) {
+        return res.status(400).json({ success: false, errors: [`More than ${MAX_DRY_RUN_SAMPLES} recorded values - choose a shorter window`] });
+      }
+      const events = dryRun(rule, samples, fromMs, toMs);
+      res.json({
+        success: true,
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        source,
+        samples: samples.length,
+        fires: events.filter((event) => event.event === "fire").length,
+        events
+      });
+    } catch (err) {
+      console.error("Error running rule dry run:", err);
+      res.status(500).json({ success: false, errors: ["Could not read the recorded history"] });
+    }
+  });
+
+  router.post("/", requireRole("operator"), (req, res) => {
+    const { rule, errors } = engine.create(req.body);
+    if (!rule) return res.status(400).json({ success: false, errors });
+    audit({ actor: req.user, action: "rule.create", params: { rule: rule.id, name: rule.name } });
+    res.status(201).json({ success: true, rule });
+  });
+
+  router.put("/:id", requireRole("operator"), (req, res) => {
+    const { rule, errors } = engine.update(req.params.id, req.body);
+    if (!rule && !errors) return res.status(404).json({ success: false, error: `Unknown rule "${req.params.id}"` });
+    if (!rule) return res.status(400).json({ success: false, errors });
+    audit({ actor: req.user, action: "rule.update", params: { rule: rule.id, name: rule.name, enabled: rule.enabled } });
+    res.json({ success: true, rule });
+  });
+
+  router.delete("/:id", requireRole("operator"), (req, res) => {
+    if (!engine.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Unknown rule "${req.params.id}"` });
+    }
+    audit({ actor: req.user, action: "rule.delete", params: { rule: req.params.id } });
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = {
+  OPERATORS,
+  validateRule,
+  dryRun,
+  loadConditionHistory,
+  createRulesEngine,
+  createRulesApi
+};
@@ -0,0 +1,309 @@
+const net = require("net");
+const mqtt = require("mqtt");
+const { SCENARIO_NAMES } = require("./constants");
+
+// --- MQTT SIMULATOR ---
+// Runs the plant without hardware: node Mqttsever.js --simulate[=<scenario>,...]
+// An embedded broker (the optional "aedes" package) stands in for the Pi broker,
+// or with simulator.embeddedBroker: false the simulator publishes to the
+// configured one. Scripted scenarios play the RFID and environment nodes over
+// MQTT, and simulated controllers answer robot jobs and door cycles with the
+// acknowledgements and leaf sensor reports the real devices send. Every node in
+// config.nodes.list heartbeats so the dashboard shows it online, and the sensor
+// nodes publish telemetry (node-dropout silences one of them for a while).
+
+const SETTLE_MS = 2000; // after a scenario's last expected reaction
+const HEARTBEAT_MS = 5000; // simulated field node heartbeats and telemetry
+const DROPOUT_MS = 20000; // how long the node-dropout scenario keeps a node off the network
+
+// Simulated sensor readings per node id: metric → [typical value, swing]
+const SIMULATED_TELEMETRY = {
+  "temperature-control": { temperature: [26, 3] },
+  "environmental-monitoring": { temperature: [24, 2], humidity: [45, 10], gas: [420, 80], light: [60, 25] },
+  "energy-management": { current: [450, 150], power: [2200, 700] },
+  "motor-monitoring": { rpm: [1450, 120], irTemperature: [38, 6] }
+};
+
+// Leaf sensor reports during a door cycle, as fractions of the door's cycleMs
+const LEAF_SEQUENCE = [
+  { at: 0.1, leaf: "small", position: "OPEN" },
+  { at: 0.4, leaf: "small", position: "CLOSED" },
+  { at: 0.5, leaf: "main", position: "OPEN" },
+  { at: 0.8, leaf: "main", position: "CLOSED" }
+];
+
+// A concrete payload that satisfies a route payload matcher
+function examplePayload(matcher, fallback) {
+  if (typeof matcher === "string") return matcher;
+  if (matcher && typeof matcher.equals === "string") return matcher.equals;
+  if (matcher && Array.isArray(matcher.oneOf) && matcher.oneOf.length > 0) return matcher.oneOf[0];
+  if (matcher && typeof matcher.prefix === "string") return matcher.prefix;
+  return fallback;
+}
+
+// Each scenario publishes what the field nodes would and waits for the plant to
+// react. The names are listed in server/constants.js for config validation.
+const SCENARIOS = {
+  async "authorized-entry"({ publish, sleep, config, door }) {
+    publish(door.topic, config.commands.door.authorize);
+    await sleep(door.cycleMs + SETTLE_MS);
+  },
+
+  async "denied-entry"({ publish, sleep, config, door }) {
+    publish(door.topic, config.commands.door.deny);
+    await sleep(SETTLE_MS);
+  },
+
+  async "robot-run"({ publish, sleep, config }) {
+    publish(config.commands.topic, config.commands.robot.start);
+    await sleep(config.robot.processingMs + SETTLE_MS);
+  },
+
+  // Hazard in the middle of a robot job, cleared after simulator.hazardMs
+  async "fog-hazard"({ publish, sleep, config }) {
+    const { environment, hazardMs } = config.simulator;
+    publish(config.commands.topic, config.commands.robot.start);
+    await sleep(config.robot.processingMs / 3);
+    publish(environment.topic, environment.hazard);
+    await sleep(hazardMs);
+    publish(environment.topic, environment.clear);
+    await sleep(SETTLE_MS);
+  },
+
+  // The first field node loses power: the broker publishes its last will, it
+  // stops heartbeating for DROPOUT_MS, then comes back ("online" and heartbeats)
+  async "node-dropout"({ sleep, config, nodes, log }) {
+    const [node] = config.nodes.list;
+    if (!node) {
+      log("node-dropout skipped - nodes.list is empty");
+      return;
+    }
+    nodes.drop(node.id);
+    await sleep(DROPOUT_MS);
+    nodes.restore(node.id);
+    await sleep(HEARTBEAT_MS + SETTLE_MS);
+  }
+};
+
+// In-process MQTT broker on the given port; resolves once it is listening
+async function startEmbeddedBroker(port) {
+  let Aedes;
+  try {
+    ({ Aedes } = require("aedes"));
+  } catch (err) {
+    throw new Error(
+      "The simulator's embedded broker requires the 'aedes' package (npm install aedes), or set simulator.embeddedBroker to false to use a running broker"
+    );
+  }
+  const aedes = await Aedes.createBroker();
+  const server = net.createServer(aedes.handle);
+  return new Promise((resolve, reject) => {
+    server.once("error", (err) => reject(new Error(`Embedded broker cannot listen on port ${port}: ${err.message}`)));
+    server.listen(port, "127.0.0.1", () => {
+      console.log(`Simulator: embedded MQTT broker listening on 127.0.0.1:${port}`);
+      resolve({
+        close: () => new Promise((done) => server.close(() => aedes.close(done)))
+      });
+    });
+  });
+}
+
+function createSimulator({ config, plant, brokerUrl, mqttOptions }) {
+  const settings = config.simulator;
+  const timers = new Set();
+  let client = null;
+  let broker = null;
+  let stopped = false;
+
+  function log(message) {
+    console.log(`Simulator: ${message}`);
+  }
+
+  function later(ms, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+    return timer;
+  }
+
+  function cancel(timer) {
+    clearTimeout(timer);
+    timers.delete(timer);
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => later(ms, resolve));
+  }
+
+  function publish(topic, payload) {
+    log(`${topic} ← ${payload}`);
+    client.publish(topic, payload, { qos: 0, retain: false });
+  }
+
+  // Robot controller: acknowledges a job after robot.processingMs per parcel,
+  // holding its timer while the job is paused
+  function createRobotController() {
+    const { ack } = config.robot;
+    let job = null; // { remainingMs, startedAt, timer }
+
+    function run() {
+      job.startedAt = Date.now();
+      job.timer = later(job.remainingMs, () => {
+        job = null;
+        publish(ack.topic, examplePayload(ack.done, "DONE"));
+      });
+    }
+
+    plant.robot.onTransition((result, payload) => {
+      if (!ack || result.to === result.from) return;
+      if (result.from === "IDLE" && result.to === "ROBOT_PROCESSING") {
+        job = { remainingMs: config.robot.processingMs * (payload.parcels || 1) };
+        run();
+      } else if (!job) {
+        return;
+      } else if (result.to === "ROBOT_PAUSED") {
+        cancel(job.timer);
+        job.remainingMs = Math.max(job.remainingMs - (Date.now() - job.startedAt), 0);
+      } else if (result.to === "ROBOT_PROCESSING") {
+        run();
+      } else {
+        cancel(job.timer);
+        job = null;
+      }
+    });
+  }
+
+  // Door controller: reports its leaves through the cycle (doors with sensors)
+  // and acknowledges the cycle after cycleMs (doors with an "ack" section)
+  function createDoorController(door) {
+    const machine = plant.doors.get(door.id);
+    let pending = [];
+    const open = new Set();
+
+    function report(leaf, position) {
+      if (position === "OPEN") open.add(leaf);
+      else open.delete(leaf);
+      publish(door.sensors[leaf], position);
+    }
+
+    machine.onTransition((result) => {
+      if (result.to === "DOOR_CYCLING") {
+        pending.forEach(cancel);
+        pending = [];
+        if (door.sensors) {
+          LEAF_SEQUENCE.forEach((step) => {
+            pending.push(later(door.cycleMs * step.at, () => report(step.leaf, step.position)));
+          });
+        }
+        if (door.ack) {
+          pending.push(later(door.cycleMs, () => publish(door.ack.topic, examplePayload(door.ack.done, "DONE"))));
+        }
+      } else if (result.from === "DOOR_CYCLING" && result.to !== result.from) {
+        // Cycle cut short (deny, stop, fault): close whatever is still open
+        pending.forEach(cancel);
+        pending = [];
+        if (door.sensors) open.forEach((leaf) => report(leaf, "CLOSED"));
+      }
+    });
+  }
+
+  // Slow wave plus a little noise, so sparklines look like a real sensor
+  function reading([typical, swing], uptime, phase) {
+    const value = typical + swing * Math.sin(uptime / 300 + phase) + swing * 0.2 * (Math.random() - 0.5);
+    return Math.round(value * 10) / 10;
+  }
+
+  const nodeTopic = (pattern, id) => pattern.replace("+", id);
+  const silentNodes = new Set(); // node ids dropped off the network
+
+  // Field nodes (config.nodes.list): "online" on start, then a heartbeat (and
+  // sensor readings for the nodes in SIMULATED_TELEMETRY) every HEARTBEAT_MS
+  function startHeartbeats() {
+    const bootedAt = Date.now();
+    config.nodes.list.forEach((node) => publish(nodeTopic(config.nodes.statusTopic, node.id), "online"));
+    const beat = () => {
+      const uptime = Math.round((Date.now() - bootedAt) / 1000);
+      config.nodes.list.forEach((node) => {
+        if (silentNodes.has(node.id)) return;
+        const rssi = -45 - Math.round(Math.random() * 30);
+        client.publish(nodeTopic(config.nodes.heartbeatTopic, node.id), JSON.stringify({ rssi, uptime }), { qos: 0, retain: false });
+        const metrics = SIMULATED_TELEMETRY[node.id];
+        if (!metrics) return;
+        const values = {};
+        Object.keys(metrics).forEach((metric, index) => {
+          values[metric] = reading(metrics[metric], uptime, index);
+        });
+        client.publish(nodeTopic(config.nodes.telemetryTopic, node.id), JSON.stringify(values), { qos: 0, retain: false });
+      });
+      later(HEARTBEAT_MS, beat);
+    };
+    beat();
+  }
+
+  // A node dropping off publishes its last will (the broker does this for a
+  // real one) and goes quiet; restoring it announces it again
+  const nodes = {
+    drop(id) {
+      silentNodes.add(id);
+      log(`node ${id} offline - heartbeats stop`);
+      publish(nodeTopic(config.nodes.statusTopic, id), "offline");
+    },
+    restore(id) {
+      silentNodes.delete(id);
+      log(`node ${id} back online`);
+      publish(nodeTopic(config.nodes.statusTopic, id), "online");
+    }
+  };
+
+  createRobotController();
+  config.doors
+    .filter((door) => door.sensors || door.ack)
+    .forEach(createDoorController);
+
+  const context = {
+    config,
+    door: config.doors[0],
+    nodes,
+    publish,
+    sleep,
+    log
+  };
+
+  // Embedded broker (if configured) and the simulator's own MQTT connection
+  async function start() {
+    if (settings.embeddedBroker) {
+      broker = await startEmbeddedBroker(settings.port);
+    }
+    client = mqtt.connect(brokerUrl, { ...mqttOptions, clientId: `cps-simulator-${process.pid}` });
+    client.on("error", (err) => console.error("Simulator MQTT client error:", err.message));
+  }
+
+  // Play the configured scenarios in order (and again, with simulator.loop)
+  async function run() {
+    log(`running ${settings.scenarios.join(", ")}${settings.loop ? " in a loop" : ""}`);
+    startHeartbeats();
+    do {
+      for (const name of settings.scenarios) {
+        await sleep(settings.pauseMs);
+        if (stopped) return;
+        log(`scenario ${name}`);
+        await SCENARIOS[name](context);
+      }
+    } while (settings.loop && !stopped);
+    log("scenarios finished");
+  }
+
+  async function stop() {
+    stopped = true;
+    timers.forEach(clearTimeout);
+    timers.clear();
+    if (client) client.end(true);
+    if (broker) await broker.close();
+  }
+
+  return { start, run, stop };
+}
+
+module.exports = { SCENARIO_NAMES, createSimulator };
@@ -0,0 +1,140 @@
+const { systemClock } = require("./clock");
+
+// --- FINITE-STATE MACHINE ---
+// Small declarative FSM: named states with entry/exit actions and per-event
+// transitions that may be protected by named guards.
+//
+//   createStateMachine({
+//     name: "door",
+//     initial: "IDLE",
+//     guards: { robotIdle: (ctx) => ... },
+//     on: { DENY: { target: "IDLE" } },          // applies to every state
+//     states: {
+//       IDLE: {
+//         onEnter(ctx) {}, onExit(ctx) {},
+//         on: { AUTHORIZE: { target: "DOOR_CYCLING", guard: "robotIdle", action(ctx) {} } }
+//       }
+//     }
+//   })
+//
+// A transition without a target is internal: its action runs but the state's
+// exit/entry actions do not. A transition whose target is the current state
+// re-enters it (exit, then entry), which is how timers get restarted.
+
+function createStateMachine({ name, initial, states, guards = {}, on: globalTransitions = {}, clock = systemClock }) {
+  if (!states[initial]) {
+    throw new Error(`State machine "${name}": unknown initial state "${initial}"`);
+  }
+
+  // Validate targets and guard names up front so bad definitions fail at startup
+  Object.keys(states).forEach((stateName) => {
+    const transitions = { ...globalTransitions, ...(states[stateName].on || {}) };
+    Object.keys(transitions).forEach((event) => {
+      const transition = transitions[event];
+      if (transition.target && !states[transition.target]) {
+        throw new Error(`State machine "${name}": ${stateName} --${event}--> unknown state "${transition.target}"`);
+      }
+      if (transition.guard && typeof guards[transition.guard] !== "function") {
+        throw new Error(`State machine "${name}": ${stateName} --${event}--> unknown guard "${transition.guard}"`);
+      }
+    });
+  });
+
+  let current = initial;
+  let enteredAt = clock.now();
+  const listeners = [];
+
+  function transitionFor(stateName, event) {
+    const own = states[stateName].on || {};
+    return own[event] || globalTransitions[event] || null;
+  }
+
+  function can(event, payload = {}) {
+    const transition = transitionFor(current, event);
+    if (!transition) return false;
+    if (!transition.guard) return true;
+    return Boolean(guards[transition.guard]({ machine: api, event, payload, from: current }));
+  }
+
+  /**
+   * Feed an event to the machine. Returns a result describing what happened:
+   * { accepted, machine, event, from, to } plus reason ("NO_TRANSITION" or
+   * "GUARD_REJECTED") and guard when the event was refused.
+   */
+  function send(event, payload = {}) {
+    const from = current;
+    const transition = transitionFor(from, event);
+    const result = { machine: name, event, from, to: from, accepted: false };
+
+    if (!transition) {
+      result.reason = "NO_TRANSITION";
+      return result;
+    }
+
+    const ctx = { machine: api, event, payload, from, to: transition.target || from };
+
+    if (transition.guard && !guards[transition.guard](ctx)) {
+      result.reason = "GUARD_REJECTED";
+      result.guard = transition.guard;
+      return result;
+    }
+
+    if (transition.target) {
+      if (states[from].onExit) states[from].onExit(ctx);
+      current = transition.target;
+      enteredAt = clock.now();
+    }
+    if (transition.action) transition.action(ctx);
+    if (transition.target && states[current].onEnter) states[current].onEnter(ctx);
+
+    result.accepted = true;
+    result.to = current;
+    listeners.forEach((listener) => listener(result, payload));
+    return result;
+  }
+
+  function onTransition(listener) {
+    listeners.push(listener);
+    return () => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  // Full transition graph for inspection (GET /state)
+  function graph() {
+    const transitions = [];
+    Object.keys(states).forEach((stateName) => {
+      const events = new Set([...Object.keys(globalTransitions), ...Object.keys(states[stateName].on || {})]);
+      events.forEach((event) => {
+        const transition = transitionFor(stateName, event);
+        transitions.push({
+          from: stateName,
+          event,
+          to: transition.target || stateName,
+          internal: !transition.target,
+          guard: transition.guard || null
+        });
+      });
+    });
+    return { states: Object.keys(states), initial, transitions };
+  }
+
+  const api = {
+    name,
+    get state() {
+      return current;
+    },
+    get since() {
+      return new Date(enteredAt).toISOString();
+    },
+    is: (stateName) => current === stateName,
+    can,
+    send,
+    onTransition,
+    graph
+  };
+  return api;
+}
+
+module.exports = { createStateMachine };
@@ -0,0 +1,125 @@
+const express = require("express");
+const { systemClock, isoNow } = require("./clock");
+
+// --- NODE TELEMETRY ---
+// Sensor readings the field nodes publish on config.nodes.telemetryTopic, one
+// JSON object of numeric metrics per message:
+//
+//   cps/nodes/temperature-control/telemetry  { "temperature": 24.6 }
+//   cps/nodes/energy-management/telemetry    { "current": 412, "power": 2050 }
+//
+// The last windowMs (an hour) of every metric is kept in memory for the popup
+// sparklines, at most one sample per resolutionMs (the latest wins). The bridge
+// only records nodes node-health tracks, and at most MAX_METRICS per node.
+
+const MAX_METRICS = 32;
+
+function parseReadings(payload) {
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (err) {
+    return null;
+  }
+  if (data === null || typeof data !== "object" || Array.isArray(data)) return null;
+  const values = {};
+  Object.keys(data).forEach((metric) => {
+    if (typeof data[metric] === "number" && Number.isFinite(data[metric])) values[metric] = data[metric];
+  });
+  return Object.keys(values).length > 0 ? values : null;
+}
+
+function createTelemetryBuffer({ windowMs = 60 * 60 * 1000, resolutionMs = 5000, clock = systemClock } = {}) {
+  const series = new Map(); // node id → Map(metric → [[epoch ms, value], ...] oldest first)
+
+  function trim(samples, now) {
+    const cutoff = now - windowMs;
+    let expired = 0;
+    while (expired < samples.length && samples[expired][0] < cutoff) expired++;
+    samples.splice(0, expired);
+  }
+
+  /**
+   * Readings from a node; returns { node, at, values } or null when the payload
+   * holds no numeric metric (or only new ones past MAX_METRICS).
+   */
+  function record(node, payload) {
+    const values = parseReadings(payload);
+    if (!values) {
+      console.log(`Telemetry from ${node} ignored - expected a JSON object of numbers`);
+      return null;
+    }
+    const now = clock.now();
+    if (!series.has(node)) series.set(node, new Map());
+    const metrics = series.get(node);
+    Object.keys(values).forEach((metric) => {
+      if (!metrics.has(metric)) {
+        if (metrics.size >= MAX_METRICS) {
+          console.log(`Telemetry from ${node}: metric "${metric}" ignored - already ${MAX_METRICS} metrics`);
+          delete values[metric];
+          return;
+        }
+        metrics.set(metric, []);
+      }
+      const samples = metrics.get(metric);
+      const last = samples[samples.length - 1];
+      if (last && Math.floor(last[0] / resolutionMs) === Math.floor(now / resolutionMs)) {
+        samples[samples.length - 1] = [now, values[metric]];
+      } else {
+        samples.push([now, values[metric]]);
+      }
+      trim(samples, now);
+    });
+    if (Object.keys(values).length === 0) return null;
+    return { node, at: isoNow(clock), values };
+  }
+
+  function has(node) {
+    return series.has(node);
+  }
+
+  // Drop a node's readings (removed from the registry, or an unknown node gone offline)
+  function forget(node) {
+    return series.delete(node);
+  }
+
+  // Last value of a metric still inside the window, or null
+  function latest(node, metric) {
+    const samples = series.has(node) ? series.get(node).get(metric) : null;
+    if (!samples) return null;
+    trim(samples, clock.now());
+    return samples.length > 0 ? samples[samples.length - 1][1] : null;
+  }
+
+  // { node, windowMs, metrics: { <metric>: { latest: { at, value }, samples } } }
+  function describe(node) {
+    const now = clock.now();
+    const metrics = {};
+    (series.get(node) || new Map()).forEach((samples, metric) => {
+      trim(samples, now);
+      if (samples.length === 0) return;
+      const [at, value] = samples[samples.length - 1];
+      metrics[metric] = { latest: { at: new Date(at).toISOString(), value }, samples: samples.slice() };
+    });
+    return { node, windowMs, metrics };
+  }
+
+  return { record, has, forget, latest, describe };
+}
+
+// GET /nodes/:id/telemetry (viewer)
+function createTelemetryApi({ telemetry, requireRole, isKnownNode }) {
+  const router = express.Router();
+
+  router.get("/:id/telemetry", requireRole("viewer"), (req, res) => {
+    const { id } = req.params;
+    if (!isKnownNode(id) && !telemetry.has(id)) {
+      return res.status(404).json({ error: `Unknown node "${id}"` });
+    }
+    res.json(telemetry.describe(id));
+  });
+
+  return router;
+}
+
+module.exports = { createTelemetryBuffer, createTelemetryApi };
@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const express = require("express");
+const { parseTime } = require("./event-store");
+const { systemClock } = require("./clock");
+
+// --- TELEMETRY HISTORY ---
+// Numeric node telemetry on disk for the trend charts, laid out like the event
+// store (one JSONL file per UTC day) at two resolutions:
+//
+//   raw/<node>/YYYY-MM-DD.jsonl     every reading  { t, values: { temperature: 24.6 } }
+//   minute/<node>/YYYY-MM-DD.jsonl  per metric and minute  { t, metric, n, avg, min, max }
+//
+// Raw files are kept rawRetentionDays, minute rollups retentionDays. A query
+// aggregates to the requested step: steps under a minute read the raw files,
+// longer ones the rollups (so a year of furnace temperature stays cheap).
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const NODE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_POINTS = 5000;
+const AUTO_POINTS = 500; // target when no step is given
+const AUTO_STEPS = [5000, 15000, MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS, 60 * MINUTE_MS, 6 * 60 * MINUTE_MS, DAY_MS];
+const STEP_UNITS = { s: 1000, m: MINUTE_MS, h: 60 * MINUTE_MS, d: DAY_MS };
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// "90000" (ms), "30s", "5m", "1h", "1d" → milliseconds; null when absent
+function parseStep(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = /^(\d+)([smhd]?)$/.exec(String(value));
+  const ms = match ? Number(match[1]) * (match[2] ? STEP_UNITS[match[2]] : 1) : NaN;
+  if (!Number.isInteger(ms) || ms < 1000) {
+    throw new Error(`"step" must be at least 1000 ms, or a number with s/m/h/d (got "${value}")`);
+  }
+  return ms;
+}
+
+function autoStep(rangeMs) {
+  return AUTO_STEPS.find((step) => rangeMs / step <= AUTO_POINTS) || AUTO_STEPS[AUTO_STEPS.length - 1];
+}
+
+function createTimeSeriesStore({ dir, rawRetentionDays = 7, retentionDays = 365, clock = systemClock }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Serialised like the event store, so queries can wait for pending writes
+  let writeChain = Promise.resolve();
+  const openMinutes = new Map(); // "node\nmetric" → { node, metric, t, n, sum, min, max }
+
+  function fileFor(tier, node, day) {
+    return path.join(dir, tier, node, `${day}.jsonl`);
+  }
+
+  function append(tier, node, t, entries) {
+    const file = fileFor(tier, node, dayKey(t));
+    const lines = entries.map((entry) => JSON.stringify(entry) + "\n").join("");
+    writeChain = writeChain
+      .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.promises.appendFile(file, lines))
+      .catch((err) => console.error("Error writing telemetry history:", err.message));
+  }
+
+  function closeMinute(key) {
+    const { node, metric, t, n, sum, min, max } = openMinutes.get(key);
+    openMinutes.delete(key);
+    append("minute", node, t, [{ t, metric, n, avg: sum / n, min, max }]);
+  }
+
+  /** Numeric readings of a node ({ metric: value }); false for ids unfit for a directory name */
+  function record(node, values) {
+    if (!NODE_ID_PATTERN.test(node)) {
+      console.log(`Telemetry history: node id "${node}" not stored (letters, digits, "-" or "_" only)`);
+      return false;
+    }
+    const now = clock.now();
+    const minute = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    append("raw", node, now, [{ t: now, values }]);
+    Object.keys(values).forEach((metric) => {
+      const key = `${node}\n${metric}`;
+      if (openMinutes.has(key) && openMinutes.get(key).t !== minute) closeMinute(key);
+      if (!openMinutes.has(key)) {
+        openMinutes.set(key, { node, metric, t: minute, n: 0, sum: 0, min: Infinity, max: -Infinity });
+      }
+      const bucket = openMinutes.get(key);
+      bucket.n += 1;
+      bucket.sum += values[metric];
+      bucket.min = Math.min(bucket.min, values[metric]);
+      bucket.max = Math.max(bucket.max, values[metric]);
+    });
+    return true;
+  }
+
+  // Minutes of nodes that went quiet are written once the minute is over
+  function closeFinishedMinutes() {
+    const minute = Math.floor(clock.now() / MINUTE_MS) * MINUTE_MS;
+    [...openMinutes.keys()]
+      .filter((key) => openMinutes.get(key).t < minute)
+      .forEach(closeMinute);
+  }
+  const minuteTimer = clock.setInterval(closeFinishedMinutes, MINUTE_MS);
+
+  function listDays(tier, node) {
+    const nodeDir = path.join(dir, tier, node);
+    if (!fs.existsSync(nodeDir)) return [];
+    return fs.readdirSync(nodeDir)
+      .map((name) => FILE_PATTERN.exec(name))
+      .filter(Boolean)
+      .map((match) => match[1])
+      .sort();
+  }
+
+  // Calls onEntry(entry) for the entries between fromMs and toMs; onEntry returns false to stop
+  async function readDays(tier, node, fromMs, toMs, onEntry) {
+    const days = listDays(tier, node).filter((day) => day >= dayKey(fromMs) && day <= dayKey(toMs));
+    for (const day of days) {
+      const stream = fs.createReadStream(fileFor(tier, node, day), { encoding: "utf8" });
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      let stopped = false;
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          console.error(`Skipping corrupt telemetry line in ${tier}/${node}/${day}:`, err.message);
+          continue;
+        }
+        if (entry.t >= fromMs && entry.t <= toMs && onEntry(entry) === false) {
+          stopped = true;
+          break;
+        }
+      }
+      stream.destroy();
+      if (stopped) return;
+    }
+  }
+
+  /**
+   * One metric of one node between fromMs and toMs, averaged per step (with the
+   * min and max inside each step). Steps without readings are left out.
+   */
+  async function query({ node, metric, fromMs, toMs, step }) {
+    await writeChain;
+    const source = step >= MINUTE_MS ? "minute" : "raw";
+    const buckets = new Map(); // step start → { n, sum, min, max }
+    const add = (t, n, sum, min, max) => {
+      const start = Math.floor(t / step) * step;
+      const bucket = buckets.get(start) || { n: 0, sum: 0, min: Infinity, max: -Infinity };
+      bucket.n += n;
+      bucket.sum += sum;
+      bucket.min = Math.min(bucket.min, min);
+      bucket.max = Math.max(bucket.max, max);
+      buckets.set(start, bucket);
+    };
+
+    if (source === "raw") {
+      await readDays("raw", node, fromMs, toMs, (entry) => {
+        const value = entry.values[metric];
+        if (typeof value === "number") add(entry.t, 1, value, value, value);
+      });
+    } else {
+      await readDays("minute", node, fromMs, toMs, (entry) => {
+        if (entry.metric === metric) add(entry.t, entry.n, entry.avg * entry.n, entry.min, entry.max);
+      });
+      // The current minute has not been written yet
+      const open = openMinutes.get(`${node}\n${metric}`);
+      if (open && open.t >= fromMs && open.t <= toMs) add(open.t, open.n, open.sum, open.min, open.max);
+    }
+
+    const points = [...buckets.keys()].sort((a, b) => a - b).map((start) => {
+      const { n, sum, min, max } = buckets.get(start);
+      return { at: new Date(start).toISOString(), avg: sum / n, min, max, count: n };
+    });
+    return { source, points };
+  }
+
+  /**
+   * Readings of one metric between fromMs and toMs as [[epoch ms, value]], for
+   * rule dry runs: every raw reading while the window lies within
+   * rawRetentionDays, per-minute averages once it reaches further back.
+   * Returns { source, samples, complete }; reading stops after `limit` samples
+   * and complete is false when more were recorded.
+   */
+  async function samples({ node, metric, fromMs, toMs, limit = Infinity }) {
+    await writeChain;
+    const rawFromMs = rawRetentionDays ? clock.now() - rawRetentionDays * DAY_MS : -Infinity;
+    const source = fromMs >= rawFromMs ? "raw" : "minute";
+    const found = [];
+    let complete = true;
+    const add = (t, value) => {
+      if (found.length === limit) {
+        complete = false;
+        return false;
+      }
+      found.push([t, value]);
+      return true;
+    };
+    if (source === "raw") {
+      await readDays("raw", node, fromMs, toMs, (entry) => {
+        const value = entry.values[metric];
+        return typeof value === "number" ? add(entry.t, value) : true;
+      });
+    } else {
+      await readDays("minute", node, fromMs, toMs, (entry) => (entry.metric === metric ? add(entry.t, entry.avg) : true));
+      const open = openMinutes.get(`${node}\n${metric}`);
+      if (complete && open && open.t >= fromMs && open.t <= toMs) add(open.t, open.sum / open.n);
+    }
+    return { source, samples: found, complete };
+  }
+
+  // Delete whole day files older than each tier's retention window
+  function prune() {
+    [["raw", rawRetentionDays], ["minute", retentionDays]].forEach(([tier, days]) => {
+      if (!days || !fs.existsSync(path.join(dir, tier))) return;
+      const cutoff = dayKey(clock.now() - days * DAY_MS);
+      fs.readdirSync(path.join(dir, tier)).forEach((node) => {
+        listDays(tier, node)
+          .filter((day) => day < cutoff)
+          .forEach((day) => {
+            fs.unlinkSync(fileFor(tier, node, day));
+            console.log(`Telemetry history: pruned ${tier}/${node}/${day}`);
+          });
+      });
+    });
+  }
+
+  prune();
+  const pruneInterval = clock.setInterval(prune, DAY_MS);
+
+  // Writes the minutes still open, so a restart only loses what arrives after it
+  function close() {
+    clock.clearInterval(minuteTimer);
+    clock.clearInterval(pruneInterval);
+    [...openMinutes.keys()].forEach(closeMinute);
+  }
+
+  return {
+    record,
+    query,
+    samples,
+    prune,
+    now: () => clock.now(),
+    flush: () => writeChain,
+    close
+  };
+}
+
+// GET /telemetry/:node/:metric?from=&to=&step= (viewer); the last hour by default
+function createTimeSeriesApi({ store, requireRole }) {
+  const router = express.Router();
+
+  router.get("/:node/:metric", requireRole("viewer"), async (req, res) => {
+    const { node, metric } = req.params;
+    if (!NODE_ID_PATTERN.test(node)) {
+      return res.status(400).json({ error: `Invalid node id "${node}"` });
+    }
+    let fromDate;
+    let toDate;
+    let step;
+    try {
+      fromDate = parseTime(req.query.from, "from");
+      toDate = parseTime(req.query.to, "to");
+      step = parseStep(req.query.step);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const toMs = toDate ? toDate.getTime() : store.now();
+    const fromMs = fromDate ? fromDate.getTime() : toMs - 60 * MINUTE_MS;
+    if (fromMs >= toMs) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
+    }
+    step = step || autoStep(toMs - fromMs);
+    if ((toMs - fromMs) / step > MAX_POINTS) {
+      return res.status(400).json({ error: `More than ${MAX_POINTS} points - use a larger step or a shorter range` });
+    }
+
+    try {
+      const { source, points } = await store.query({ node, metric, fromMs, toMs, step });
+      res.json({
+        node,
+        metric,
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        step,
+        source,
+        points
+      });
+    } catch (err) {
+      console.error("Error querying telemetry history:", err);
+      res.status(500).json({ error: "Could not read telemetry history" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { parseStep, createTimeSeriesStore, createTimeSeriesApi };
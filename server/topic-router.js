@@ -0,0 +1,154 @@
+const { systemClock, isoNow } = require("./clock");
+
+// --- TOPIC ROUTER ---
+// Declarative MQTT routing: each route maps a topic pattern (with + / # wildcards)
+// and an optional payload matcher to a named handler. The first matching route wins.
+
+const MAX_UNROUTED_HISTORY = 100;
+
+// MQTT wildcard match: "+" matches one level, "#" matches the rest (including none)
+function topicMatches(pattern, topic) {
+  const patternLevels = pattern.split("/");
+  const topicLevels = topic.split("/");
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    const level = patternLevels[i];
+    if (level === "#") return true;
+    if (i >= topicLevels.length) return false;
+    if (level !== "+" && level !== topicLevels[i]) return false;
+  }
+  return patternLevels.length === topicLevels.length;
+}
+
+function validateTopicPattern(pattern) {
+  if (typeof pattern !== "string" || pattern.length === 0) {
+    return "topic must be a non-empty string";
+  }
+  const levels = pattern.split("/");
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+    if (level.includes("#") && (level !== "#" || i !== levels.length - 1)) {
+      return `"#" must be a whole level at the end of the pattern (got "${pattern}")`;
+    }
+    if (level.includes("+") && level !== "+") {
+      return `"+" must occupy a whole level (got "${pattern}")`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns a payload matcher from config into a predicate. Supported forms:
+ *   "Authorized"                  exact match
+ *   { equals: "Authorized" }      exact match
+ *   { oneOf: ["STOP", "IDLE"] }   any of the listed values
+ *   { prefix: "FOG_BLOCK" }       startsWith
+ *   { regex: "^TEMP:\\d+$" }      regular expression
+ *   undefined / "*"               any payload
+ */
+function compilePayloadMatcher(matcher) {
+  if (matcher === undefined || matcher === null || matcher === "*") {
+    return () => true;
+  }
+  if (typeof matcher === "string") {
+    return (payload) => payload === matcher;
+  }
+  if (typeof matcher === "object") {
+    if (typeof matcher.equals === "string") {
+      return (payload) => payload === matcher.equals;
+    }
+    if (Array.isArray(matcher.oneOf)) {
+      return (payload) => matcher.oneOf.includes(payload);
+    }
+    if (typeof matcher.prefix === "string") {
+      return (payload) => payload.startsWith(matcher.prefix);
+    }
+    if (typeof matcher.regex === "string") {
+      const regex = new RegExp(matcher.regex);
+      return (payload) => regex.test(payload);
+    }
+  }
+  throw new Error(`Unsupported payload matcher: ${JSON.stringify(matcher)}`);
+}
+
+function createTopicRouter({ routes = [], handlers = {}, onUnrouted = () => {}, clock = systemClock } = {}) {
+  const compiledRoutes = [];
+  const unroutedHistory = [];
+
+  function addRoute(route) {
+    const label = route.name || `${route.topic} → ${route.handler}`;
+    const topicError = validateTopicPattern(route.topic);
+    if (topicError) {
+      throw new Error(`Route "${label}": ${topicError}`);
+    }
+    if (typeof handlers[route.handler] !== "function") {
+      throw new Error(`Route "${label}": unknown handler "${route.handler}" (available: ${Object.keys(handlers).join(", ")})`);
+    }
+    let matchPayload;
+    try {
+      matchPayload = compilePayloadMatcher(route.payload);
+    } catch (err) {
+      throw new Error(`Route "${label}": ${err.message}`);
+    }
+    compiledRoutes.push({
+      name: label,
+      topic: route.topic,
+      payload: route.payload,
+      handler: route.handler,
+      options: route.options || {},
+      matchPayload
+    });
+  }
+
+  routes.forEach(addRoute);
+
+  // Distinct topic patterns to subscribe to
+  function subscriptions() {
+    return [...new Set(compiledRoutes.map((route) => route.topic))];
+  }
+
+  function findRoute(topic, payload) {
+    return compiledRoutes.find((route) => topicMatches(route.topic, topic) && route.matchPayload(payload));
+  }
+
+  // Dispatch a message; returns { route, result } (result is whatever the
+  // handler returned) or null when unrouted
+  function route(topic, payload, meta = {}) {
+    const matched = findRoute(topic, payload);
+    if (!matched) {
+      const topicKnown = compiledRoutes.some((r) => topicMatches(r.topic, topic));
+      const entry = {
+        topic,
+        payload,
+        retained: Boolean(meta.retained),
+        reason: topicKnown ? "NO_PAYLOAD_MATCH" : "NO_TOPIC_MATCH",
+        receivedAt: isoNow(clock)
+      };
+      unroutedHistory.push(entry);
+      if (unroutedHistory.length > MAX_UNROUTED_HISTORY) unroutedHistory.shift();
+      onUnrouted(entry);
+      return null;
+    }
+
+    const result = handlers[matched.handler]({ topic, payload, route: matched, ...meta });
+    return { route: matched, result };
+  }
+
+  function describe() {
+    return compiledRoutes.map(({ name, topic, payload, handler, options }) => ({ name, topic, payload, handler, options }));
+  }
+
+  return {
+    addRoute,
+    route,
+    subscriptions,
+    describe,
+    unrouted: () => unroutedHistory.slice()
+  };
+}
+
+module.exports = {
+  createTopicRouter,
+  topicMatches,
+  compilePayloadMatcher
+};
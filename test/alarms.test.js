@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DUPLICATE_WINDOW_MS } = require("../server/bridge");
+const { startBridge } = require("./harness");
+
+// Alarm raise/clear/acknowledge/shelve lifecycle and /alarms
+
+const USERS = [
+  { username: "olga", password: "operator-pass", role: "operator" },
+  { username: "vic", password: "viewer-pass", role: "viewer" }
+];
+
+async function bridgeFor(t, overrides, options) {
+  const harness = await startBridge(overrides, options);
+  t.after(() => harness.close());
+  return harness;
+}
+
+async function publish(harness, topic, payload) {
+  harness.broker.publish(topic, payload);
+  await harness.broker.settle();
+}
+
+function standing(bridge) {
+  return bridge.alarms.describe().alarms.map(({ code, subject, active, acknowledged }) => ({ code, subject, active, acknowledged }));
+}
+
+test("a fog hazard stands until it is both cleared and acknowledged", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge } = harness;
+
+  await publish(harness, "granted/command", "FOG_BLOCK");
+  const [alarm] = bridge.alarms.describe().alarms;
+  assert.equal(alarm.code, "FOG_BLOCK");
+  assert.equal(alarm.severity, "critical");
+  assert.equal(bridge.alarms.describe().summary.unacknowledged, 1);
+
+  await publish(harness, "granted/command", "ENV_OK");
+  assert.deepEqual(standing(bridge), [{ code: "FOG_BLOCK", subject: "robot", active: false, acknowledged: false }]);
+
+  const res = await harness.request("POST", `/alarms/${alarm.id}/acknowledge`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.alarms.alarms, []);
+
+  const events = await bridge.eventStore.query({ type: "alarm" });
+  assert.deepEqual(events.events.map((event) => event.action), ["raised", "cleared", "acknowledged"]);
+});
+
+test("an acknowledged alarm stays listed while its condition is active", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge } = harness;
+
+  await publish(harness, "granted/command", "FOG_BLOCK");
+  const [alarm] = bridge.alarms.describe().alarms;
+  await harness.request("POST", `/alarms/${alarm.id}/acknowledge`);
+  assert.deepEqual(standing(bridge), [{ code: "FOG_BLOCK", subject: "robot", active: true, acknowledged: true }]);
+  assert.equal(bridge.alarms.describe().summary.unacknowledged, 0);
+  assert.equal((await harness.request("POST", `/alarms/${alarm.id}/acknowledge`)).status, 409);
+
+  await publish(harness, "granted/command", "ENV_OK");
+  assert.deepEqual(standing(bridge), []);
+  assert.equal((await harness.request("POST", `/alarms/${alarm.id}/acknowledge`)).status, 404);
+});
+
+test("a repeated momentary alarm counts up instead of stacking", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, clock } = harness;
+
+  await publish(harness, "granted/command", "BLOCKED");
+  await publish(harness, "granted/command", "Authorized");
+  clock.tick(DUPLICATE_WINDOW_MS);
+  await publish(harness, "granted/command", "Authorized");
+
+  const { alarms } = bridge.alarms.describe();
+  assert.equal(alarms.length, 1);
+  assert.equal(alarms[0].code, "DOOR_AUTH_IGNORED");
+  assert.equal(alarms[0].subject, "main");
+  assert.equal(alarms[0].active, false, "momentary alarms are raised cleared");
+  assert.equal(alarms[0].count, 2);
+});
+
+test("watchdog timeouts and dropped nodes raise alarms", async (t) => {
+  const harness = await bridgeFor(t, {
+    robot: { ack: { topic: "granted/robot/ack" } },
+    nodes: { list: [{ id: "env", name: "Environmental Monitoring System" }] }
+  });
+  const { bridge, clock } = harness;
+
+  await publish(harness, "cps/nodes/env/heartbeat", "alive");
+  await publish(harness, "granted/command", "BLOCKED");
+  clock.tick(harness.config.nodes.offlineMs);
+  await harness.broker.settle();
+
+  assert.deepEqual(standing(bridge).map(({ code, subject, active }) => ({ code, subject, active })), [
+    { code: "ROBOT_TIMEOUT", subject: "robot", active: false },
+    { code: "NODE_OFFLINE", subject: "env", active: true }
+  ]);
+
+  await publish(harness, "cps/nodes/env/heartbeat", "alive");
+  assert.equal(bridge.alarms.describe().alarms.find((alarm) => alarm.code === "NODE_OFFLINE").active, false);
+});
+
+test("a shelved alarm leaves the badge count until the shelf expires", async (t) => {
+  const harness = await bridgeFor(t, { alarms: { defaultShelveMs: 60000, maxShelveMs: 600000 } }, { users: USERS });
+  const { bridge, clock } = harness;
+  const viewer = await harness.login("vic", "viewer-pass");
+  const operator = await harness.login("olga", "operator-pass");
+
+  await publish(harness, "granted/command", "FOG_BLOCK");
+  const [alarm] = bridge.alarms.describe().alarms;
+  assert.equal((await harness.request("GET", "/alarms", { token: viewer })).status, 200);
+  assert.equal((await harness.request("POST", `/alarms/${alarm.id}/shelve`, { token: viewer, body: {} })).status, 403);
+
+  const tooLong = await harness.request("POST", `/alarms/${alarm.id}/shelve`, { token: operator, body: { durationMs: 600001 } });
+  assert.equal(tooLong.status, 400);
+
+  const res = await harness.request("POST", `/alarms/${alarm.id}/shelve`, {
+    token: operator,
+    body: { durationMs: 300000, reason: "sensor recalibration" }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.alarm.shelved.by, "olga");
+  assert.deepEqual(res.body.alarms.summary, { standing: 1, active: 0, unacknowledged: 0, shelved: 1, highestUnacknowledged: null });
+
+  clock.tick(300000);
+  assert.equal(bridge.alarms.get(alarm.id).shelved, null);
+  assert.equal(bridge.alarms.describe().summary.highestUnacknowledged, "critical");
+
+  const audit = await bridge.auditLog.query({ action: "alarm.shelve" });
+  assert.equal(audit.events[0].params.reason, "sensor recalibration");
+});
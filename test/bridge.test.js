@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DUPLICATE_WINDOW_MS } = require("../server/bridge");
+const { startBridge } = require("./harness");
+
+// MQTT → routing table → state machines, driven through the mock broker
+
+// Door and robot controllers that acknowledge (acks are off by default)
+const ROBOT_ACK = { topic: "granted/robot/ack" };
+const ACKED = {
+  doors: [{ id: "main", name: "Molding Station Airlock", zone: "molding", ack: { topic: "granted/door/ack" }, interlockWith: ["robot"] }],
+  robot: { ack: ROBOT_ACK }
+};
+
+async function bridgeFor(t, overrides) {
+  const harness = await startBridge(overrides);
+  t.after(() => harness.close());
+  return harness;
+}
+
+async function publish(harness, topic, payload) {
+  harness.broker.publish(topic, payload);
+  await harness.broker.settle();
+}
+
+test("identical payloads within DUPLICATE_WINDOW_MS are dropped", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, clock } = harness;
+
+  await publish(harness, "granted/command", "BLOCKED");
+  assert.equal(bridge.plant.robot.state, "ROBOT_PROCESSING");
+
+  clock.tick(DUPLICATE_WINDOW_MS - 1);
+  await publish(harness, "granted/command", "BLOCKED");
+  assert.equal(bridge.robotQueue.describe().queued.length, 0, "duplicate must not queue a second job");
+
+  clock.tick(DUPLICATE_WINDOW_MS);
+  await publish(harness, "granted/command", "BLOCKED");
+  assert.equal(bridge.robotQueue.describe().queued.length, 1, "same payload after the window is a new request");
+
+  const received = await bridge.eventStore.query({ type: "mqtt_received" });
+  assert.deepEqual(received.events.map((event) => event.duplicate), [false, true, false]);
+});
+
+test("a different payload on the topic is never a duplicate", async (t) => {
+  const harness = await bridgeFor(t);
+
+  await publish(harness, "granted/command", "BLOCKED");
+  await publish(harness, "granted/command", "PAUSE");
+  await publish(harness, "granted/command", "BLOCKED");
+  assert.equal(harness.bridge.plant.robot.state, "ROBOT_PROCESSING", "resumed after the pause");
+});
+
+test("a door authorization is refused while the robot is busy", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, broker } = harness;
+
+  await publish(harness, "granted/command", "BLOCKED");
+  await publish(harness, "granted/command", "Authorized");
+
+  assert.equal(bridge.plant.doors.get("main").state, "IDLE");
+  assert.ok(broker.published("granted/feedback").includes("DOOR_AUTH_IGNORED"));
+});
+
+test("a robot start waits in the queue while the door cycles", async (t) => {
+  const harness = await bridgeFor(t, ACKED);
+  const { bridge } = harness;
+
+  await publish(harness, "granted/command", "Authorized");
+  assert.equal(bridge.plant.doors.get("main").state, "DOOR_CYCLING");
+
+  await publish(harness, "granted/command", "BLOCKED");
+  assert.equal(bridge.plant.robot.state, "IDLE");
+  assert.equal(bridge.robotQueue.describe().queued.length, 1);
+
+  await publish(harness, "granted/door/ack", "DONE");
+  assert.equal(bridge.plant.doors.get("main").state, "AUTHORIZED");
+  assert.equal(bridge.plant.robot.state, "ROBOT_PROCESSING", "queued job starts once the cycle ends");
+});
+
+test("FOG_BLOCK aborts the running job and locks the robot until ENV_OK", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, broker } = harness;
+
+  await publish(harness, "granted/command", "BLOCKED");
+  await publish(harness, "granted/command", "FOG_BLOCK");
+  assert.equal(bridge.plant.robot.state, "FOG_LOCKED");
+  assert.equal(bridge.robotQueue.describe().history[0].status, "aborted");
+  assert.ok(broker.published("granted/feedback").includes("ROBOT_FOG_LOCKED"));
+
+  // Start requests during the hazard are kept for later
+  await publish(harness, "granted/command", "BLOCKED");
+  assert.equal(bridge.plant.robot.state, "FOG_LOCKED");
+  assert.equal(bridge.robotQueue.describe().queued.length, 1);
+
+  await publish(harness, "granted/command", "ENV_OK");
+  assert.ok(broker.published("granted/feedback").includes("ROBOT_HAZARD_CLEARED"));
+  assert.equal(bridge.plant.robot.state, "ROBOT_PROCESSING", "queued job starts once the hazard clears");
+});
+
+test("a robot job without acknowledgement fails after the watchdog", async (t) => {
+  const harness = await bridgeFor(t, { robot: { ack: { ...ROBOT_ACK, watchdogMs: 20000 } } });
+  const { bridge, broker, clock } = harness;
+
+  await publish(harness, "granted/command", "BLOCKED");
+  clock.tick(19999);
+  assert.equal(bridge.plant.robot.state, "ROBOT_PROCESSING");
+
+  clock.tick(1);
+  await broker.settle();
+  assert.equal(bridge.plant.robot.state, "IDLE");
+  assert.equal(bridge.robotQueue.describe().history[0].status, "failed");
+  assert.ok(broker.published("granted/feedback").includes("ROBOT_TIMEOUT"));
+
+  const faults = await bridge.eventStore.query({ type: "fault" });
+  assert.equal(faults.events[0].reason, "ROBOT_TIMEOUT");
+});
+
+test("the robot acknowledgement completes the job before the watchdog", async (t) => {
+  const harness = await bridgeFor(t, ACKED);
+  const { bridge, broker, clock } = harness;
+
+  await publish(harness, "granted/command", "BLOCKED");
+  clock.tick(5000);
+  await publish(harness, "granted/robot/ack", "DONE");
+  assert.equal(bridge.robotQueue.describe().history[0].status, "completed");
+  assert.ok(broker.published("granted/feedback").includes("ROBOT_COMPLETED"));
+
+  clock.tick(60000);
+  assert.ok(!broker.published("granted/feedback").includes("ROBOT_TIMEOUT"));
+});
+
+test("a door cycle without acknowledgement fails with DOOR_TIMEOUT", async (t) => {
+  const harness = await bridgeFor(t, ACKED);
+  const { bridge, broker, clock } = harness;
+
+  await publish(harness, "granted/command", "Authorized");
+  clock.tick(harness.config.doors[0].ack.watchdogMs);
+  await broker.settle();
+
+  assert.equal(bridge.plant.doors.get("main").state, "IDLE");
+  assert.ok(broker.published("granted/feedback").includes("DOOR_TIMEOUT"));
+});
+
+test("without a robot controller a job completes after processingMs per parcel", async (t) => {
+  const harness = await bridgeFor(t, { robot: { processingMs: 10000, ack: null } });
+  const { bridge, clock } = harness;
+
+  bridge.robotQueue.enqueue({ parcels: 2, source: "rest", requestedBy: "test" });
+  clock.tick(19999);
+  assert.equal(bridge.plant.robot.state, "ROBOT_PROCESSING");
+
+  clock.tick(1);
+  assert.equal(bridge.plant.robot.state, "IDLE");
+  assert.equal(bridge.production.describe().counts.good, 2);
+});
+
+test("interlock violations are raised and cleared one by one", async (t) => {
+  const harness = await bridgeFor(t, {
+    doors: [{ id: "main", name: "Molding Station Airlock", sensors: { main: "sensor/main", small: "sensor/small" } }]
+  });
+  const { bridge } = harness;
+  const standing = () => bridge.airlock.snapshot("main").violations.map(({ reason, leaf }) => `${reason}:${leaf}`);
+  const interlockAlarm = () => bridge.alarms.describe().alarms.find((alarm) => alarm.code === "INTERLOCK_VIOLATION");
+
+  await publish(harness, "sensor/main", "OPEN");
+  assert.deepEqual(standing(), ["OPEN_WHILE_BLOCKED:main"]);
+
+  await publish(harness, "sensor/small", "OPEN");
+  assert.deepEqual(standing(), ["OPEN_WHILE_BLOCKED:main", "BOTH_OPEN:small", "OPEN_WHILE_BLOCKED:small"]);
+
+  await publish(harness, "sensor/small", "CLOSED");
+  assert.deepEqual(standing(), ["OPEN_WHILE_BLOCKED:main"]);
+  assert.equal(interlockAlarm().active, true, "the alarm stands while a violation does");
+
+  await publish(harness, "sensor/main", "CLOSED");
+  assert.deepEqual(standing(), []);
+  assert.equal(interlockAlarm().active, false);
+
+  const events = await bridge.eventStore.query({ type: "interlock_violation,interlock_cleared" });
+  assert.deepEqual(events.events.map(({ type, reason, leaf }) => `${type} ${reason}:${leaf}`), [
+    "interlock_violation OPEN_WHILE_BLOCKED:main",
+    "interlock_violation BOTH_OPEN:small",
+    "interlock_violation OPEN_WHILE_BLOCKED:small",
+    "interlock_cleared BOTH_OPEN:small",
+    "interlock_cleared OPEN_WHILE_BLOCKED:small",
+    "interlock_cleared OPEN_WHILE_BLOCKED:main"
+  ]);
+});
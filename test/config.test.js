@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConfig } = require("../server/config");
+
+// Config loading and validation from the environment
+
+function configFor(env) {
+  return loadConfig({ argv: [], env });
+}
+
+test("broker URLs may carry a path or an IPv6 host", () => {
+  ["ws://broker.local:9001/mqtt", "wss://broker.example.com/mqtt", "mqtt://[::1]:1883", "mqtts://broker:8883"].forEach((url) => {
+    assert.equal(configFor({ MQTT_URL: url }).broker.url, url);
+  });
+
+  assert.throws(() => configFor({ MQTT_URL: "http://broker:1883" }), /protocol must be one of/);
+  assert.throws(() => configFor({ MQTT_URL: "broker:1883" }), /protocol must be one of/);
+  assert.throws(() => configFor({ MQTT_URL: "not a url" }), /must look like mqtt:\/\/host:port/);
+});
+
+test("loading the config pulls in no runtime dependencies", () => {
+  configFor({ MQTT_HOST: "broker" });
+  const loaded = Object.keys(require.cache).filter((file) => /node_modules[\\/](mqtt|express)[\\/]/.test(file));
+  assert.deepEqual(loaded, []);
+});
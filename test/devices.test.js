@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDeviceRegistry } = require("../server/devices");
+const { startBridge } = require("./harness");
+
+// Device registry: seeding, /devices CRUD and node health
+
+const USERS = [
+  { username: "olga", password: "operator-pass", role: "operator" },
+  { username: "vic", password: "viewer-pass", role: "viewer" }
+];
+const TOPICS = { heartbeat: "cps/nodes/+/heartbeat", status: "cps/nodes/+/status", telemetry: "cps/nodes/+/telemetry" };
+const WELDER = {
+  id: "welder-monitoring",
+  name: "Welder Monitoring System",
+  description: "Arc current and fume extraction at the welding cell.",
+  components: [{ type: "Controller", name: "ESP32 Dev Board" }],
+  metrics: [{ key: "current", label: "Arc Current", unit: "A" }],
+  placement: { position: { x: 20, y: 4.5, z: -4 }, rotation: { x: 0, y: 0, z: 0 }, scale: 0.4 }
+};
+
+async function bridgeFor(t, overrides, options) {
+  const harness = await startBridge(overrides, options);
+  t.after(() => harness.close());
+  return harness;
+}
+
+test("the default nodes start with their catalogue descriptions and placements", async (t) => {
+  const harness = await bridgeFor(t);
+
+  const res = await harness.request("GET", "/devices");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.devices.length, 8);
+  const env = res.body.devices.find((device) => device.id === "environmental-monitoring");
+  assert.equal(env.name, "Environmental Monitoring System");
+  assert.deepEqual(env.metrics.map((metric) => metric.key), ["temperature", "humidity", "gas", "light"]);
+  assert.deepEqual(env.topics, {
+    heartbeat: "cps/nodes/environmental-monitoring/heartbeat",
+    status: "cps/nodes/environmental-monitoring/status",
+    telemetry: "cps/nodes/environmental-monitoring/telemetry"
+  });
+  assert.deepEqual(env.placement.position, { x: 59.5, y: 10, z: 3 });
+  assert.equal((await harness.request("GET", "/devices/access-control")).body.type, "pico-w");
+  assert.equal((await harness.request("GET", "/devices/nope")).status, 404);
+});
+
+test("a ninth node is added over /devices and tracked by node health", async (t) => {
+  const harness = await bridgeFor(t, { nodes: { list: [{ id: "env", name: "Environmental Monitoring System" }] } }, { users: USERS });
+  const { bridge } = harness;
+  const viewer = await harness.login("vic", "viewer-pass");
+  const operator = await harness.login("olga", "operator-pass");
+
+  assert.equal((await harness.request("POST", "/devices", { token: viewer, body: WELDER })).status, 403);
+  const bad = await harness.request("POST", "/devices", { token: operator, body: { ...WELDER, id: "welder/1", type: "arduino" } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.errors.length, 2);
+
+  const created = await harness.request("POST", "/devices", { token: operator, body: WELDER });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.device.type, "esp32");
+  assert.equal(created.body.device.topics.telemetry, "cps/nodes/welder-monitoring/telemetry");
+  assert.equal((await harness.request("POST", "/devices", { token: operator, body: WELDER })).status, 409);
+
+  const nodes = (await harness.request("GET", "/nodes", { token: viewer })).body.nodes;
+  assert.deepEqual(nodes.map(({ id, known, status }) => ({ id, known, status })), [
+    { id: "env", known: true, status: "offline" },
+    { id: "welder-monitoring", known: true, status: "offline" }
+  ]);
+
+  const moved = await harness.request("PUT", "/devices/welder-monitoring", {
+    token: operator,
+    body: {
+      ...created.body.device,
+      id: "renamed",
+      name: "Welding Cell Monitor",
+      topics: { telemetry: "welding/cell" },
+      placement: { ...WELDER.placement, scale: 0.5 }
+    }
+  });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.device.id, "welder-monitoring", "ids cannot change");
+  assert.equal(moved.body.device.topics.telemetry, "cps/nodes/welder-monitoring/telemetry", "topics follow config.nodes");
+  assert.equal(bridge.nodeHealth.get("welder-monitoring").name, "Welding Cell Monitor");
+
+  const stored = JSON.parse(fs.readFileSync(harness.config.devices.file, "utf8"));
+  assert.deepEqual(stored.devices.map((device) => device.id), ["env", "welder-monitoring"]);
+  assert.equal(stored.devices[1].placement.scale, 0.5);
+  assert.equal(stored.devices[1].topics, undefined);
+
+  assert.equal((await harness.request("DELETE", "/devices/welder-monitoring", { token: operator })).status, 200);
+  assert.equal(bridge.nodeHealth.get("welder-monitoring"), null);
+
+  const audit = await bridge.auditLog.query({ action: "device.create,device.update,device.delete" });
+  assert.deepEqual(audit.events.map((entry) => entry.action), ["device.create", "device.update", "device.delete"]);
+});
+
+test("once saved, the registry file replaces nodes.list", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "devices-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "devices.json");
+
+  const first = createDeviceRegistry({ file, seed: [{ id: "temperature-control", name: "Furnace" }], topics: TOPICS });
+  const furnace = first.get("temperature-control");
+  assert.equal(furnace.name, "Furnace", "nodes.list names win over the catalogue");
+  assert.match(furnace.description, /LM35/);
+  assert.equal(fs.existsSync(file), false, "seeding alone writes nothing");
+  first.create(WELDER);
+
+  const reopened = createDeviceRegistry({ file, seed: [], topics: TOPICS });
+  assert.deepEqual(reopened.list().map((device) => device.id), ["temperature-control", "welder-monitoring"]);
+  assert.deepEqual(reopened.get("welder-monitoring").placement, WELDER.placement);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventStore } = require("../server/event-store");
+const { createFakeClock } = require("./harness");
+
+// Day files on disk and their retention
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("day files past retentionDays are pruned once a day", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-test-"));
+  const clock = createFakeClock();
+  const store = createEventStore({ dir, retentionDays: 1, clock });
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  store.record("bridge_started");
+  clock.tick(DAY_MS);
+  store.record("bridge_started");
+  await store.flush();
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["events-2026-03-02.jsonl", "events-2026-03-03.jsonl"]);
+
+  clock.tick(DAY_MS);
+  assert.deepEqual(fs.readdirSync(dir), ["events-2026-03-03.jsonl"]);
+});
+
+test("pages by offset or by cursor return the same events", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-test-"));
+  const clock = createFakeClock();
+  const store = createEventStore({ dir, clock });
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const recorded = [];
+  for (let n = 0; n < 5; n++) {
+    recorded.push(store.record("production_parcel", { parcel: n }).id);
+    store.record("job_phase", { phase: null });
+    clock.tick(DAY_MS / 2);
+  }
+
+  const first = await store.query({ type: "production_parcel", limit: 2 });
+  assert.equal(first.total, 5);
+  assert.equal(first.nextOffset, 2);
+
+  const paged = first.events.map((event) => event.id);
+  let after = first.nextCursor;
+  while (after) {
+    const page = await store.query({ type: "production_parcel", limit: 2, after });
+    assert.equal(page.total, null);
+    paged.push(...page.events.map((event) => event.id));
+    after = page.nextCursor;
+  }
+  assert.deepEqual(paged, recorded);
+
+  const last = await store.query({ type: "production_parcel", limit: 2, offset: 4 });
+  assert.deepEqual([last.events.length, last.nextOffset, last.nextCursor], [1, null, null]);
+  await assert.rejects(store.query({ after: "page-2" }), /cursor/);
+});
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { loadConfig } = require("../server/config");
+const { hashPassword } = require("../server/auth");
+const { createBridge } = require("../server/bridge");
+const { topicMatches } = require("../server/topic-router");
+
+// --- TEST HARNESS ---
+// A bridge wired to an in-memory broker and a fake clock: nothing connects to
+// the network except the HTTP server on an ephemeral port, and timers only
+// fire when a test advances the clock.
+
+// Same surface as server/clock.js; tick(ms) runs due timers in time order
+function createFakeClock(start = Date.parse("2026-03-02T08:00:00.000Z")) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id → { at, fn, everyMs }
+
+  function add(fn, ms, everyMs) {
+    const id = nextId++;
+    timers.set(id, { at: now + Math.max(ms, 0), fn, everyMs });
+    return id;
+  }
+
+  function nextDue(until) {
+    let due = null;
+    timers.forEach((timer, id) => {
+      if (timer.at <= until && (!due || timer.at < due.timer.at)) due = { id, timer };
+    });
+    return due;
+  }
+
+  function tick(ms) {
+    const until = now + ms;
+    let due;
+    while ((due = nextDue(until))) {
+      now = due.timer.at;
+      if (due.timer.everyMs) due.timer.at += due.timer.everyMs;
+      else timers.delete(due.id);
+      due.timer.fn();
+    }
+    now = until;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, null),
+    clearTimeout: (id) => timers.delete(id),
+    setInterval: (fn, ms) => add(fn, ms, ms),
+    clearInterval: (id) => timers.delete(id),
+    tick
+  };
+}
+
+// In-memory broker; clients look like mqtt.js clients to the bridge.
+// Messages are delivered on the next turn of the event loop, like a real broker.
+function createMockBroker() {
+  const clients = new Set();
+  const published = []; // { topic, payload } in publish order, from any client
+
+  function deliver(topic, payload, { retain = false } = {}) {
+    published.push({ topic, payload });
+    clients.forEach((client) => {
+      if ([...client.subscriptions].some((pattern) => topicMatches(pattern, topic))) {
+        setImmediate(() => client.emit("message", topic, Buffer.from(payload), { retain }));
+      }
+    });
+  }
+
+  function createClient() {
+    const client = new EventEmitter();
+    client.connected = false;
+    client.options = {};
+    client.subscriptions = new Set();
+    client.connect = () => {
+      client.connected = true;
+      clients.add(client);
+      setImmediate(() => client.emit("connect"));
+      return client;
+    };
+    client.subscribe = (topic, callback = () => {}) => {
+      client.subscriptions.add(topic);
+      setImmediate(() => callback(null));
+    };
+    client.publish = (topic, payload, options, callback = () => {}) => {
+      if (client.connected) deliver(topic, String(payload));
+      setImmediate(() => callback(null));
+    };
+    client.end = () => {
+      client.connected = false;
+      clients.delete(client);
+    };
+    return client;
+  }
+
+  return {
+    createClient,
+    // A field node (RFID reader, environment node, robot controller...) publishing
+    publish: (topic, payload, options) => deliver(topic, payload, options),
+    published: (topic) => published.filter((message) => message.topic === topic).map((message) => message.payload),
+    // Let pending deliveries and publish callbacks run
+    settle: () => new Promise((resolve) => setImmediate(() => setImmediate(resolve)))
+  };
+}
+
+/**
+ * Start a bridge for one test. overrides is merged like a bridge.config.json;
+ * users ([{ username, password, role }]) turns authentication on.
+ * Returns { bridge, broker, clock, config, request, login, close }.
+ */
+async function startBridge(overrides = {}, { users = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-test-"));
+  const configFile = path.join(dir, "bridge.config.json");
+  const usersFile = path.join(dir, "users.json");
+  fs.writeFileSync(configFile, JSON.stringify(overrides));
+  if (users) {
+    fs.writeFileSync(usersFile, JSON.stringify({
+      users: users.map(({ username, password, role }) => ({ username, role, passwordHash: hashPassword(password) }))
+    }));
+  }
+
+  const config = loadConfig({
+    env: {
+      BRIDGE_CONFIG: configFile,
+      MQTT_URL: "mqtt://mock-broker:1883", // only logged; the mock client never dials it
+      AUTH_ENABLED: String(Boolean(users)),
+      AUTH_USERS_FILE: usersFile,
+      AUTH_TOKEN_SECRET: "test-secret",
+      EVENT_STORE_DIR: path.join(dir, "events"),
+      TELEMETRY_DIR: path.join(dir, "telemetry"),
+      RULES_FILE: path.join(dir, "rules.json"),
+      DEVICES_FILE: path.join(dir, "devices.json"),
+      AUDIT_DIR: path.join(dir, "audit")
+    },
+    argv: []
+  });
+  const clock = createFakeClock();
+  const broker = createMockBroker();
+  const mqttClient = broker.createClient();
+  const bridge = createBridge({ config, mqttClient, clock, baseDir: dir });
+  mqttClient.connect();
+  const port = await bridge.listen(0);
+  await broker.settle();
+
+  async function request(method, urlPath, { body, token } = {}) {
+    const headers = { "content-type": "application/json" };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const res = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function login(username, password) {
+    const res = await request("POST", "/auth/login", { body: { username, password } });
+    return res.body.token;
+  }
+
+  async function close() {
+    await bridge.close();
+    mqttClient.end();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { bridge, broker, clock, config, request, login, close };
+}
+
+module.exports = { createFakeClock, createMockBroker, startBridge };
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startBridge } = require("./harness");
+
+// Field node heartbeats, last wills and GET /nodes
+
+const NODES = {
+  staleMs: 10000,
+  offlineMs: 30000,
+  list: [{ id: "env", name: "Environmental Monitoring System" }]
+};
+
+async function bridgeFor(t) {
+  const harness = await startBridge({ nodes: NODES });
+  t.after(() => harness.close());
+  return harness;
+}
+
+async function publish(harness, topic, payload) {
+  harness.broker.publish(topic, payload);
+  await harness.broker.settle();
+}
+
+test("configured nodes are offline until their first heartbeat", async (t) => {
+  const harness = await bridgeFor(t);
+
+  const res = await harness.request("GET", "/nodes");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.staleMs, 10000);
+  assert.deepEqual(res.body.nodes.map(({ id, status, reason, lastSeen }) => ({ id, status, reason, lastSeen })), [
+    { id: "env", status: "offline", reason: "never-seen", lastSeen: null }
+  ]);
+  assert.equal((await harness.request("GET", "/nodes/nope")).status, 404);
+});
+
+test("a heartbeat brings a node online with its RSSI and uptime", async (t) => {
+  const harness = await bridgeFor(t);
+
+  await publish(harness, "cps/nodes/env/heartbeat", JSON.stringify({ rssi: -61, uptime: 3600 }));
+  const node = (await harness.request("GET", "/nodes/env")).body;
+  assert.equal(node.status, "online");
+  assert.equal(node.rssi, -61);
+  assert.equal(node.uptimeS, 3600);
+  assert.equal(node.lastSeen, new Date(harness.clock.now()).toISOString());
+});
+
+test("a silent node goes stale, then offline", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, clock } = harness;
+
+  await publish(harness, "cps/nodes/env/heartbeat", "alive");
+  clock.tick(9000);
+  assert.equal(bridge.nodeHealth.get("env").status, "online");
+
+  clock.tick(1000);
+  assert.equal(bridge.nodeHealth.get("env").status, "stale");
+
+  clock.tick(20000);
+  assert.equal(bridge.nodeHealth.get("env").status, "offline");
+  assert.equal(bridge.nodeHealth.get("env").reason, "silent");
+
+  const changes = await bridge.eventStore.query({ type: "node_status" });
+  assert.deepEqual(changes.events.map((event) => event.to), ["online", "stale", "offline"]);
+});
+
+test("the last will takes a node offline straight away", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge } = harness;
+
+  await publish(harness, "cps/nodes/env/status", "online");
+  assert.equal(bridge.nodeHealth.get("env").status, "online");
+
+  await publish(harness, "cps/nodes/env/status", "offline");
+  assert.equal(bridge.nodeHealth.get("env").status, "offline");
+  assert.equal(bridge.nodeHealth.get("env").reason, "last-will");
+
+  await publish(harness, "cps/nodes/env/heartbeat", JSON.stringify({ uptime: 2 }));
+  assert.equal(bridge.nodeHealth.get("env").status, "online");
+});
+
+test("heartbeats from unconfigured nodes are tracked as unknown nodes", async (t) => {
+  const harness = await bridgeFor(t);
+
+  await publish(harness, "cps/nodes/spare-42/heartbeat", JSON.stringify({ rssi: -70 }));
+  const node = (await harness.request("GET", "/nodes/spare-42")).body;
+  assert.equal(node.known, false);
+  assert.equal(node.status, "online");
+});
+
+test("unknown nodes are capped and dropped once offline", async (t) => {
+  const harness = await startBridge({ nodes: { ...NODES, maxUnknown: 2 } });
+  t.after(() => harness.close());
+  const { bridge, clock } = harness;
+  const unknownIds = () => bridge.nodeHealth.describe().filter((node) => !node.known).map((node) => node.id);
+
+  await publish(harness, "cps/nodes/spare-1/heartbeat", "{}");
+  await publish(harness, "cps/nodes/spare-2/heartbeat", "{}");
+  await publish(harness, "cps/nodes/spare-3/heartbeat", "{}");
+  assert.deepEqual(unknownIds(), ["spare-1", "spare-2"]);
+  assert.equal((await harness.request("GET", "/nodes/spare-3")).status, 404);
+
+  await publish(harness, "cps/nodes/spare-1/status", "offline");
+  assert.deepEqual(unknownIds(), ["spare-2"]);
+  await publish(harness, "cps/nodes/spare-9/status", "offline");
+  assert.deepEqual(unknownIds(), ["spare-2"], "a last will alone does not track a node");
+
+  clock.tick(NODES.offlineMs);
+  assert.deepEqual(unknownIds(), []);
+  assert.equal(bridge.nodeHealth.get("env").status, "offline", "registry nodes stay listed");
+
+  await publish(harness, "cps/nodes/spare-3/heartbeat", "{}");
+  assert.deepEqual(unknownIds(), ["spare-3"]);
+});
+
+test("only registry nodes raise NODE_OFFLINE; a dropped unknown node leaves none standing", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge } = harness;
+  const offlineAlarms = () =>
+    bridge.alarms.describe().alarms.filter((alarm) => alarm.code === "NODE_OFFLINE").map((alarm) => alarm.subject);
+
+  await publish(harness, "cps/nodes/spare-1/heartbeat", "{}");
+  await publish(harness, "cps/nodes/spare-1/status", "offline");
+  assert.equal(bridge.nodeHealth.get("spare-1"), null);
+  assert.deepEqual(offlineAlarms(), []);
+
+  await publish(harness, "cps/nodes/env/heartbeat", "{}");
+  await publish(harness, "cps/nodes/env/status", "offline");
+  assert.deepEqual(offlineAlarms(), ["env"]);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventStore } = require("../server/event-store");
+const { createProductionCounter } = require("../server/production");
+const { createFakeClock } = require("./harness");
+
+// Rebuilding the shift from the event history on restart
+
+const MINUTE_MS = 60 * 1000;
+
+function counterAt(clock) {
+  const robot = { state: "IDLE", onTransition: () => {} };
+  return createProductionCounter({ robot, idealCycleMs: MINUTE_MS, clock });
+}
+
+test("robot time is not rebuilt across a bridge restart", () => {
+  const t0 = Date.parse("2026-03-02T06:00:00.000Z");
+  const at = (minutes) => new Date(t0 + minutes * MINUTE_MS).toISOString();
+  const robot = (to) => ({ type: "state_transition", machine: "robot", to });
+  const clock = createFakeClock(t0 + 5 * 60 * MINUTE_MS);
+  const counter = counterAt(clock);
+
+  counter.restore([
+    { ts: at(0), type: "production_reset" },
+    { ts: at(1), ...robot("ROBOT_PROCESSING") },
+    // Crash while processing: the two hours until the next start are unknown
+    { ts: at(120), type: "bridge_started" },
+    { ts: at(121), ...robot("ROBOT_PROCESSING") },
+    { ts: at(123), ...robot("IDLE") },
+    { ts: at(180), ...robot("ROBOT_PROCESSING") },
+    // A clean stop ends the running time there
+    { ts: at(185), type: "bridge_stopped" },
+    { ts: at(240), type: "bridge_started" }
+  ]);
+
+  const { time, shiftStartedAt } = counter.describe();
+  assert.equal(shiftStartedAt, at(0));
+  assert.equal(time.runningMs, 7 * MINUTE_MS);
+  assert.equal(time.plannedMs, 7 * MINUTE_MS);
+});
+
+test("the last reset before startup is found from the newest day files", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "production-test-"));
+  const clock = createFakeClock();
+  const store = createEventStore({ dir, clock });
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  store.record("production_reset", { closed: null });
+  clock.tick(26 * 60 * MINUTE_MS);
+  const reset = store.record("production_reset", { closed: null });
+  clock.tick(MINUTE_MS);
+  store.record("production_parcel", { job: 1, parcel: 1, result: "good", cycleMs: 40000 });
+  const startedAt = new Date(clock.now()).toISOString();
+  clock.tick(MINUTE_MS);
+  store.record("production_reset", { closed: null });
+
+  assert.deepEqual(await store.latest({ type: "production_reset", to: startedAt }), reset);
+  assert.equal(await store.latest({ type: "production_reset", to: "2026-01-01T00:00:00Z" }), null);
+});
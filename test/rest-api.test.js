@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startBridge } = require("./harness");
+
+// REST responses over a real HTTP server on an ephemeral port
+
+const USERS = [
+  { username: "olga", password: "operator-pass", role: "operator" },
+  { username: "vic", password: "viewer-pass", role: "viewer" }
+];
+
+async function bridgeFor(t, overrides, options) {
+  const harness = await startBridge(overrides, options);
+  t.after(() => harness.close());
+  return harness;
+}
+
+test("status endpoints report the door and robot state", async (t) => {
+  const harness = await bridgeFor(t);
+
+  assert.deepEqual((await harness.request("GET", "/door-status")).body, { stringMessage: "DOOR_BLOCKED" });
+  assert.deepEqual((await harness.request("GET", "/robot-status")).body, { stringMessage: "ROBOT_IDLE" });
+
+  const doors = await harness.request("GET", "/doors");
+  assert.equal(doors.status, 200);
+  assert.deepEqual(doors.body.doors.map((door) => door.id), ["main"]);
+  assert.equal((await harness.request("GET", "/doors/nope/status")).status, 404);
+});
+
+test("POST /commands/robot publishes, applies the command and reports the result", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, broker } = harness;
+
+  const res = await harness.request("POST", "/commands/robot", { body: { action: "start" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.published, true);
+  assert.equal(res.body.result.to, "ROBOT_PROCESSING");
+  assert.equal(res.body.robot.state, "ROBOT_PROCESSING");
+  assert.deepEqual(broker.published("granted/command"), ["BLOCKED"]);
+
+  // The broker echo of our own command is not routed a second time
+  await broker.settle();
+  assert.equal(bridge.robotQueue.describe().queued.length, 0);
+});
+
+test("a refused command answers 409 with the guard that refused it and publishes nothing", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, broker, config } = harness;
+
+  await harness.request("POST", "/commands/robot", { body: { action: "start" } });
+  const res = await harness.request("POST", "/commands/door", { body: { action: "authorize" } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.published, false);
+  assert.equal(res.body.result.reason, "GUARD_REJECTED");
+  assert.equal(res.body.door.state, "IDLE");
+
+  assert.deepEqual(broker.published(config.doors[0].topic), ["BLOCKED"]);
+  const { events } = await bridge.eventStore.query({ type: "command_published" });
+  assert.deepEqual(events.map((event) => event.payload), ["BLOCKED"]);
+});
+
+test("invalid request bodies answer 400", async (t) => {
+  const harness = await bridgeFor(t);
+
+  assert.equal((await harness.request("POST", "/commands/robot", { body: { action: "dance" } })).status, 400);
+  assert.equal((await harness.request("POST", "/robot/queue", { body: { priority: "urgent" } })).status, 400);
+  assert.equal((await harness.request("POST", "/robot/queue", { body: { parcels: 0 } })).status, 400);
+  assert.equal((await harness.request("GET", "/events?limit=5000")).status, 400);
+});
+
+test("GET /events leaves out the excluded topics", async (t) => {
+  const harness = await bridgeFor(t);
+  const { broker } = harness;
+
+  broker.publish("cps/nodes/env/heartbeat", JSON.stringify({ rssi: -60 }));
+  broker.publish("cps/nodes/env/telemetry", JSON.stringify({ gas: 120 }));
+  broker.publish("granted/command", "BLOCKED");
+  await broker.settle();
+
+  const res = await harness.request("GET", "/events?type=mqtt_received&excludeTopic=cps/nodes/%2B/heartbeat,cps/nodes/%2B/telemetry");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.events.map((event) => event.topic), ["granted/command"]);
+});
+
+test("POST /robot/queue queues jobs behind the running one", async (t) => {
+  const harness = await bridgeFor(t);
+
+  const first = await harness.request("POST", "/robot/queue", { body: { parcels: 2 } });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.position, null, "started straight away");
+
+  const second = await harness.request("POST", "/robot/queue", { body: { priority: "high" } });
+  assert.equal(second.status, 201);
+  assert.equal(second.body.position, 1);
+
+  const cancelled = await harness.request("DELETE", `/robot/queue/${second.body.job.id}`);
+  assert.equal(cancelled.body.job.status, "cancelled");
+  assert.equal((await harness.request("DELETE", `/robot/queue/${first.body.job.id}`)).status, 409);
+});
+
+test("GET /production counts parcels of completed jobs", async (t) => {
+  const harness = await bridgeFor(t, { robot: { processingMs: 10000, ack: null }, production: { idealCycleMs: 10000 } });
+
+  await harness.request("POST", "/robot/queue", { body: { parcels: 3 } });
+  harness.clock.tick(30000);
+
+  const res = await harness.request("GET", "/production");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.counts, { good: 3, rejected: 0, interrupted: 0, total: 3 });
+  assert.equal(res.body.oee.performance, 1);
+});
+
+test("roles are enforced when authentication is on", async (t) => {
+  const harness = await bridgeFor(t, {}, { users: USERS });
+
+  assert.equal((await harness.request("GET", "/robot-status")).status, 401);
+
+  const viewer = await harness.login("vic", "viewer-pass");
+  assert.equal((await harness.request("GET", "/robot-status", { token: viewer })).status, 200);
+  assert.equal((await harness.request("POST", "/commands/robot", { token: viewer, body: { action: "start" } })).status, 403);
+
+  const operator = await harness.login("olga", "operator-pass");
+  const res = await harness.request("POST", "/commands/robot", { token: operator, body: { action: "start" } });
+  assert.equal(res.status, 200);
+
+  const audit = await harness.request("GET", "/audit?action=robot.start", { token: operator });
+  assert.equal(audit.body.events[0].actor.username, "olga");
+});
+
+test("tokens expire on the bridge clock", async (t) => {
+  const harness = await bridgeFor(t, {}, { users: USERS });
+  const { clock, config } = harness;
+
+  const viewer = await harness.login("vic", "viewer-pass");
+  clock.tick(config.auth.tokenTtlHours * 60 * 60 * 1000 - 1);
+  assert.equal((await harness.request("GET", "/robot-status", { token: viewer })).status, 200);
+  clock.tick(2);
+  assert.equal((await harness.request("GET", "/robot-status", { token: viewer })).status, 401);
+});
+
+test("repeated failed logins lock the user for lockoutMs", async (t) => {
+  const harness = await bridgeFor(t, { auth: { maxLoginFailures: 3, lockoutMs: 60000 } }, { users: USERS });
+  const login = (password) => harness.request("POST", "/auth/login", { body: { username: "vic", password } });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await login("wrong")).status, 401);
+  }
+  const locked = await login("viewer-pass");
+  assert.equal(locked.status, 429);
+  assert.equal((await harness.request("POST", "/auth/login", { body: { username: "olga", password: "operator-pass" } })).status, 200,
+    "other users are not affected");
+
+  harness.clock.tick(60000);
+  assert.equal((await login("viewer-pass")).status, 200);
+});
+
+test("a leaf of a blocked door cannot be opened", async (t) => {
+  const harness = await bridgeFor(t, {
+    doors: [{ id: "main", name: "Molding Station Airlock", sensors: { main: "sensor/main", small: "sensor/small" } }]
+  });
+  const { broker, config } = harness;
+
+  const refused = await harness.request("POST", "/doors/main/leaves/main", { body: { action: "open" } });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.result.reason, "DOOR_BLOCKED");
+  assert.deepEqual(broker.published(config.doors[0].topic), []);
+
+  await harness.request("POST", "/commands/door", { body: { action: "authorize" } });
+  const opened = await harness.request("POST", "/doors/main/leaves/main", { body: { action: "open" } });
+  assert.equal(opened.status, 200);
+  assert.deepEqual(broker.published(config.doors[0].topic), ["Authorized", config.doors[0].leafCommands.main.open]);
+});
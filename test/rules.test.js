@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { validateRule, dryRun } = require("../server/rules");
+const { startBridge } = require("./harness");
+
+// Threshold rules: hold times, actions, /rules and dry runs
+
+const USERS = [
+  { username: "olga", password: "operator-pass", role: "operator" },
+  { username: "vic", password: "viewer-pass", role: "viewer" }
+];
+const NODES = { nodes: { list: [{ id: "env", name: "Environmental Monitoring System" }] } };
+const GAS_RULE = {
+  name: "MQ135 gas high",
+  forMs: 10000,
+  condition: { type: "telemetry", node: "env", metric: "gas", op: ">", value: 400 },
+  actions: [{ type: "alarm", severity: "high", message: "Gas above 400 ppm" }, { type: "robot_stop" }]
+};
+const CONTEXT = {
+  machines: { robot: ["IDLE", "ROBOT_PROCESSING", "FOG_LOCKED"], "door:main": ["IDLE", "DOOR_CYCLING", "AUTHORIZED"] },
+  doors: ["main"],
+  isPublishAllowed: (topic) => topic === "granted/command"
+};
+
+async function bridgeFor(t, overrides, options) {
+  const harness = await startBridge(overrides, options);
+  t.after(() => harness.close());
+  return harness;
+}
+
+async function gas(harness, value) {
+  harness.broker.publish("cps/nodes/env/telemetry", JSON.stringify({ gas: value }));
+  await harness.broker.settle();
+}
+
+test("rules are checked against the plant and the publish whitelist", () => {
+  assert.deepEqual(validateRule(GAS_RULE, CONTEXT).errors, []);
+  assert.equal(validateRule(GAS_RULE, CONTEXT).rule.enabled, true);
+
+  const { errors } = validateRule({
+    name: "bad",
+    forMs: -1,
+    condition: { type: "state", machine: "door:side", op: ">", value: "OPEN" },
+    actions: [{ type: "publish", topic: "factory/reset", payload: "ALL" }, { type: "alarm", severity: "urgent" }]
+  }, CONTEXT);
+  assert.equal(errors.length, 5);
+  assert.match(errors.join("\n"), /commands\.publishAllowed/);
+
+  const state = (machine, value) => ({ ...GAS_RULE, condition: { type: "state", machine, op: "==", value } });
+  assert.deepEqual(validateRule(state("robot", "FOG_LOCKED"), CONTEXT).errors, []);
+  assert.match(validateRule(state("robot", "FOGGED"), CONTEXT).errors.join(), /must be a state of robot/);
+  assert.match(validateRule(state("door:main", "ROBOT_PROCESSING"), CONTEXT).errors.join(), /must be a state of door:main/);
+  const leaf = { ...GAS_RULE, condition: { type: "leaf", door: "main", leaf: "small", op: "==", value: "AJAR" } };
+  assert.match(validateRule(leaf, CONTEXT).errors.join(), /leaf position/);
+});
+
+test("a dry run fires once the hold time passes between samples and re-arms", () => {
+  const rule = validateRule(GAS_RULE, CONTEXT).rule;
+  const at = (s) => Date.parse("2026-03-02T08:00:00Z") + s * 1000;
+  const events = dryRun(rule, [[at(0), 380], [at(5), 420], [at(30), 450], [at(40), 390], [at(50), 410]], at(0), at(55));
+
+  assert.deepEqual(events, [
+    { at: new Date(at(15)).toISOString(), event: "fire", value: 420 },
+    { at: new Date(at(40)).toISOString(), event: "clear", value: 390 }
+  ]);
+});
+
+test("gas held above the threshold stops the robot and raises the rule's alarm", async (t) => {
+  const harness = await bridgeFor(t, NODES);
+  const { bridge, broker, clock } = harness;
+  bridge.rules.create(GAS_RULE);
+
+  harness.broker.publish("granted/command", "BLOCKED");
+  await gas(harness, 450);
+  clock.tick(5000);
+  await gas(harness, 460);
+  assert.equal(bridge.alarms.describe().alarms.length, 0, "not held for 10 s yet");
+
+  clock.tick(5000);
+  await harness.broker.settle();
+  const [alarm] = bridge.alarms.describe().alarms;
+  assert.deepEqual({ code: alarm.code, subject: alarm.subject, severity: alarm.severity, message: alarm.message },
+    { code: "RULE_TRIGGERED", subject: "mq135-gas-high", severity: "high", message: "Gas above 400 ppm" });
+  assert.ok(broker.published("granted/command").includes("STOP"));
+  assert.equal(bridge.plant.robot.state, "IDLE");
+  assert.equal(bridge.rules.get("mq135-gas-high").status.fireCount, 1);
+
+  clock.tick(5000);
+  await gas(harness, 470);
+  assert.equal(bridge.rules.get("mq135-gas-high").status.fireCount, 1, "fires once per excursion");
+
+  await gas(harness, 300);
+  assert.equal(bridge.alarms.describe().alarms[0].active, false);
+  const events = await bridge.eventStore.query({ type: "rule_fired,rule_cleared" });
+  assert.deepEqual(events.events.map((event) => [event.type, event.value]), [["rule_fired", 460], ["rule_cleared", 300]]);
+});
+
+test("operators edit rules over /rules; they are kept in rules.file", async (t) => {
+  const harness = await bridgeFor(t, NODES, { users: USERS });
+  const { bridge, clock } = harness;
+  const viewer = await harness.login("vic", "viewer-pass");
+  const operator = await harness.login("olga", "operator-pass");
+
+  assert.equal((await harness.request("POST", "/rules", { token: viewer, body: GAS_RULE })).status, 403);
+  const bad = await harness.request("POST", "/rules", { token: operator, body: { ...GAS_RULE, actions: [] } });
+  assert.equal(bad.status, 400);
+
+  const created = await harness.request("POST", "/rules", { token: operator, body: GAS_RULE });
+  assert.equal(created.status, 201);
+  const { id } = created.body.rule;
+  const stored = JSON.parse(fs.readFileSync(path.resolve(harness.config.rules.file), "utf8"));
+  assert.deepEqual(stored.rules.map((rule) => rule.id), [id]);
+
+  await gas(harness, 500);
+  clock.tick(10000);
+  assert.equal(bridge.alarms.describe().summary.active, 1);
+
+  // Disabling a fired rule lifts its alarm
+  const disabled = await harness.request("PUT", `/rules/${id}`, { token: operator, body: { ...GAS_RULE, enabled: false } });
+  assert.equal(disabled.status, 200);
+  assert.equal(bridge.alarms.describe().summary.active, 0);
+  assert.equal((await harness.request("PUT", "/rules/nope", { token: operator, body: GAS_RULE })).status, 404);
+
+  const listed = await harness.request("GET", "/rules", { token: viewer });
+  assert.deepEqual(listed.body.rules.map(({ id: ruleId, enabled }) => ({ id: ruleId, enabled })), [{ id, enabled: false }]);
+
+  assert.equal((await harness.request("DELETE", `/rules/${id}`, { token: operator })).status, 200);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.resolve(harness.config.rules.file), "utf8")).rules, []);
+
+  const audit = await bridge.auditLog.query({ action: "rule.create,rule.update,rule.delete" });
+  assert.deepEqual(audit.events.map((entry) => entry.action), ["rule.create", "rule.update", "rule.delete"]);
+});
+
+test("a dry run replays recorded state transitions without acting", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, clock } = harness;
+
+  harness.broker.publish("granted/command", "FOG_BLOCK");
+  await harness.broker.settle();
+  clock.tick(30000);
+  harness.broker.publish("granted/command", "ENV_OK");
+  await harness.broker.settle();
+  const alarmsBefore = bridge.alarms.describe().summary.standing;
+
+  const res = await harness.request("POST", "/rules/dry-run", {
+    body: {
+      rule: {
+        name: "Fog lock-out over 20 s",
+        forMs: 20000,
+        condition: { type: "state", machine: "robot", op: "==", value: "FOG_LOCKED" },
+        actions: [{ type: "robot_stop" }]
+      }
+    }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.fires, 1);
+  assert.deepEqual(res.body.events.map(({ event }) => event), ["fire", "clear"]);
+  assert.equal(res.body.events[0].at, new Date(clock.now() - 10000).toISOString());
+  assert.equal(bridge.alarms.describe().summary.standing, alarmsBefore);
+  assert.deepEqual(bridge.rules.describe(), []);
+});
+
+test("dry runs longer than the window cap are refused", async (t) => {
+  const harness = await bridgeFor(t);
+  const rule = { ...GAS_RULE, condition: { type: "state", machine: "robot", op: "==", value: "FOG_LOCKED" }, actions: [{ type: "robot_stop" }] };
+
+  const res = await harness.request("POST", "/rules/dry-run", {
+    body: { rule, from: "2026-01-01T00:00:00Z", to: "2026-03-01T00:00:00Z" }
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.errors[0], /at most 31 days/);
+
+  const unknownState = await harness.request("POST", "/rules", { body: { ...rule, condition: { ...rule.condition, value: "LOCKED" } } });
+  assert.equal(unknownState.status, 400);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTelemetryBuffer } = require("../server/telemetry");
+const { createFakeClock, startBridge } = require("./harness");
+
+// Node telemetry buffer and GET /nodes/:id/telemetry
+
+const NODES = { list: [{ id: "env", name: "Environmental Monitoring System" }] };
+
+async function bridgeFor(t) {
+  const harness = await startBridge({ nodes: NODES });
+  t.after(() => harness.close());
+  return harness;
+}
+
+test("readings keep one sample per resolution step and only the last window", () => {
+  const clock = createFakeClock();
+  const telemetry = createTelemetryBuffer({ windowMs: 60000, resolutionMs: 5000, clock });
+
+  telemetry.record("env", JSON.stringify({ temperature: 21 }));
+  clock.tick(1000);
+  telemetry.record("env", JSON.stringify({ temperature: 22 }));
+  assert.deepEqual(telemetry.describe("env").metrics.temperature.samples, [[clock.now(), 22]], "latest in the step wins");
+
+  clock.tick(5000);
+  telemetry.record("env", JSON.stringify({ temperature: 23, humidity: 40 }));
+  assert.equal(telemetry.describe("env").metrics.temperature.samples.length, 2);
+
+  clock.tick(58000);
+  const { metrics } = telemetry.describe("env");
+  assert.deepEqual(metrics.temperature.samples.map(([, value]) => value), [23]);
+  assert.deepEqual(metrics.humidity.latest, { at: new Date(clock.now() - 58000).toISOString(), value: 40 });
+});
+
+test("payloads without numeric metrics are ignored", () => {
+  const telemetry = createTelemetryBuffer({ clock: createFakeClock() });
+
+  assert.equal(telemetry.record("env", "not json"), null);
+  assert.equal(telemetry.record("env", JSON.stringify({ label: "warm" })), null);
+  assert.equal(telemetry.has("env"), false);
+
+  const reading = telemetry.record("env", JSON.stringify({ gas: 310, label: "warm" }));
+  assert.deepEqual(reading.values, { gas: 310 });
+});
+
+test("metrics per node are capped", () => {
+  const telemetry = createTelemetryBuffer({ clock: createFakeClock() });
+  const many = Object.fromEntries(Array.from({ length: 40 }, (_, i) => [`m${i}`, i]));
+
+  assert.equal(Object.keys(telemetry.record("env", JSON.stringify(many)).values).length, 32);
+  assert.equal(telemetry.record("env", JSON.stringify({ extra: 1 })), null);
+  assert.equal(telemetry.latest("env", "m0"), 0);
+});
+
+test("readings over MQTT are served by GET /nodes/:id/telemetry", async (t) => {
+  const harness = await bridgeFor(t);
+
+  harness.broker.publish("cps/nodes/env/telemetry", JSON.stringify({ temperature: 24.6, light: 512 }));
+  await harness.broker.settle();
+
+  const res = await harness.request("GET", "/nodes/env/telemetry");
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body.metrics).sort(), ["light", "temperature"]);
+  assert.equal(res.body.metrics.temperature.latest.value, 24.6);
+});
+
+test("a configured node without readings has no metrics; an unknown one is 404", async (t) => {
+  const harness = await bridgeFor(t);
+
+  const res = await harness.request("GET", "/nodes/env/telemetry");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.metrics, {});
+  assert.equal((await harness.request("GET", "/nodes/nope/telemetry")).status, 404);
+});
+
+test("readings are kept only for tracked nodes and dropped with them", async (t) => {
+  const harness = await bridgeFor(t);
+  const { bridge, broker } = harness;
+
+  broker.publish("cps/nodes/spare-1/telemetry", JSON.stringify({ temperature: 30 }));
+  await broker.settle();
+  assert.equal(bridge.telemetry.has("spare-1"), false, "no heartbeat yet, so not tracked");
+
+  broker.publish("cps/nodes/spare-1/heartbeat", "{}");
+  await broker.settle();
+  broker.publish("cps/nodes/spare-1/telemetry", JSON.stringify({ temperature: 31 }));
+  await broker.settle();
+  assert.equal((await harness.request("GET", "/nodes/spare-1/telemetry")).body.metrics.temperature.latest.value, 31);
+
+  broker.publish("cps/nodes/spare-1/status", "offline");
+  await broker.settle();
+  assert.equal(bridge.telemetry.has("spare-1"), false);
+  assert.equal((await harness.request("GET", "/nodes/spare-1/telemetry")).status, 404);
+});
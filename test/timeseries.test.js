@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseStep, createTimeSeriesStore } = require("../server/timeseries");
+const { createFakeClock, startBridge } = require("./harness");
+
+// Telemetry history on disk and GET /telemetry/:node/:metric
+
+const MINUTE_MS = 60 * 1000;
+
+function storeFor(t, clock, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "timeseries-test-"));
+  const store = createTimeSeriesStore({ dir, clock, ...options });
+  t.after(async () => {
+    store.close();
+    await store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, store };
+}
+
+test("steps accept milliseconds or s/m/h/d units", () => {
+  assert.equal(parseStep("90000"), 90000);
+  assert.equal(parseStep("30s"), 30000);
+  assert.equal(parseStep("5m"), 5 * MINUTE_MS);
+  assert.equal(parseStep("1d"), 24 * 60 * MINUTE_MS);
+  assert.equal(parseStep(undefined), null);
+  assert.throws(() => parseStep("500"), /at least 1000 ms/);
+  assert.throws(() => parseStep("5 minutes"), /step/);
+});
+
+test("short steps average the raw readings", async (t) => {
+  const clock = createFakeClock();
+  const { store } = storeFor(t, clock);
+  const fromMs = clock.now();
+
+  [20, 22, 30].forEach((value) => {
+    store.record("furnace", { temperature: value, current: 1 });
+    clock.tick(5000);
+  });
+
+  const { source, points } = await store.query({ node: "furnace", metric: "temperature", fromMs, toMs: clock.now(), step: 10000 });
+  assert.equal(source, "raw");
+  assert.deepEqual(points.map(({ avg, min, max, count }) => ({ avg, min, max, count })), [
+    { avg: 21, min: 20, max: 22, count: 2 },
+    { avg: 30, min: 30, max: 30, count: 1 }
+  ]);
+});
+
+test("long steps read the per-minute rollups, including the open minute", async (t) => {
+  const clock = createFakeClock();
+  const { dir, store } = storeFor(t, clock);
+  const fromMs = clock.now();
+
+  store.record("motor", { current: 400 });
+  store.record("motor", { current: 500 });
+  clock.tick(MINUTE_MS);
+  store.record("motor", { current: 300 });
+  await store.flush();
+
+  const day = new Date(fromMs).toISOString().slice(0, 10);
+  const rollups = fs.readFileSync(path.join(dir, "minute", "motor", `${day}.jsonl`), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(rollups, [{ t: fromMs, metric: "current", n: 2, avg: 450, min: 400, max: 500 }]);
+
+  const { source, points } = await store.query({ node: "motor", metric: "current", fromMs, toMs: clock.now(), step: 5 * MINUTE_MS });
+  assert.equal(source, "minute");
+  assert.deepEqual(points.map(({ avg, count }) => ({ avg, count })), [{ avg: 400, count: 3 }]);
+});
+
+test("closing the store writes the open minutes", async (t) => {
+  const clock = createFakeClock();
+  const { dir, store } = storeFor(t, clock);
+  const fromMs = clock.now();
+
+  store.record("furnace", { temperature: 812 });
+  store.close();
+  await store.flush();
+
+  const reopened = createTimeSeriesStore({ dir, clock });
+  t.after(() => reopened.close());
+  const { points } = await reopened.query({ node: "furnace", metric: "temperature", fromMs, toMs: fromMs + MINUTE_MS, step: MINUTE_MS });
+  assert.equal(points[0].avg, 812);
+});
+
+test("raw day files past rawRetentionDays are pruned, the rollups kept", async (t) => {
+  const clock = createFakeClock();
+  const { dir, store } = storeFor(t, clock, { rawRetentionDays: 1 });
+
+  store.record("furnace", { temperature: 812 });
+  clock.tick(MINUTE_MS);
+  await store.flush();
+  assert.deepEqual(fs.readdirSync(path.join(dir, "raw", "furnace")), ["2026-03-02.jsonl"]);
+
+  clock.tick(2 * 24 * 60 * MINUTE_MS);
+  await store.flush();
+  assert.deepEqual(fs.readdirSync(path.join(dir, "raw", "furnace")), []);
+  assert.deepEqual(fs.readdirSync(path.join(dir, "minute", "furnace")), ["2026-03-02.jsonl"]);
+});
+
+test("dry-run samples fall back to the rollups past rawRetentionDays and stop at the limit", async (t) => {
+  const clock = createFakeClock();
+  const { store } = storeFor(t, clock, { rawRetentionDays: 1 });
+  const fromMs = clock.now();
+
+  [20, 22, 30].forEach((value) => {
+    store.record("furnace", { temperature: value });
+    clock.tick(20000);
+  });
+  const recent = await store.samples({ node: "furnace", metric: "temperature", fromMs, toMs: clock.now(), limit: 2 });
+  assert.deepEqual([recent.source, recent.samples.map(([, value]) => value), recent.complete], ["raw", [20, 22], false]);
+
+  clock.tick(2 * 24 * 60 * MINUTE_MS);
+  await store.flush();
+  const old = await store.samples({ node: "furnace", metric: "temperature", fromMs, toMs: fromMs + MINUTE_MS });
+  assert.deepEqual([old.source, old.samples, old.complete], ["minute", [[fromMs, 24]], true]);
+});
+
+test("node telemetry over MQTT is served by GET /telemetry/:node/:metric", async (t) => {
+  const harness = await startBridge({ nodes: { list: [{ id: "env", name: "Environmental Monitoring System" }] } });
+  t.after(() => harness.close());
+  const { broker, clock } = harness;
+
+  for (const temperature of [24, 26]) {
+    broker.publish("cps/nodes/env/telemetry", JSON.stringify({ temperature }));
+    await broker.settle();
+    clock.tick(5000);
+  }
+
+  const res = await harness.request("GET", "/telemetry/env/temperature?step=1m");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.step, MINUTE_MS);
+  assert.equal(res.body.to, new Date(clock.now()).toISOString());
+  assert.deepEqual(res.body.points.map(({ avg, count }) => ({ avg, count })), [{ avg: 25, count: 2 }]);
+
+  assert.equal((await harness.request("GET", "/telemetry/env/temperature?step=2s&from=2026-01-01T00:00:00Z")).status, 400);
+  assert.equal((await harness.request("GET", "/telemetry/env/temperature?from=tomorrow")).status, 400);
+  assert.equal((await harness.request("GET", "/telemetry/env%2F..%2F..%2Fx/temperature")).status, 400);
+});